@@ -356,6 +356,12 @@ const CognoDashboard = {
         // Load today's goals
         await this.loadGoals();
 
+        // Load this week's learning plan goals
+        await this.loadWeeklyPlan();
+
+        // Load words due for review
+        await this.loadReviewSummary();
+
         // Load module progress
         await this.loadModuleProgress();
 
@@ -413,35 +419,10 @@ const CognoDashboard = {
                 totalPoints += achievements.reduce((sum, a) => sum + (a.xp_reward || 0), 0);
             }
 
-            // Calculate streak from activity dates
-            let streak = 0;
-            if (progress?.length) {
-                // Get unique dates
-                const dates = [...new Set(progress.map(p =>
-                    new Date(p.updated_at).toDateString()
-                ))].sort((a, b) => new Date(b) - new Date(a));
-
-                // Count consecutive days from today
-                const today = new Date().toDateString();
-                const yesterday = new Date(Date.now() - 86400000).toDateString();
-
-                // Check if there's activity today or yesterday
-                if (dates.includes(today) || dates.includes(yesterday)) {
-                    streak = 1;
-                    let checkDate = dates.includes(today) ? new Date() : new Date(Date.now() - 86400000);
-
-                    for (let i = 1; i < 365; i++) {
-                        checkDate.setDate(checkDate.getDate() - 1);
-                        if (dates.includes(checkDate.toDateString())) {
-                            streak++;
-                        } else {
-                            break;
-                        }
-                    }
-                }
-            }
-
-            if (streakEl) streakEl.textContent = streak;
+            // Streak in the child's timezone, including earned freezes
+            const streak = await CognoStreaks.getStreak(this.user.id, { profile: this.user.profile });
+            if (streakEl) streakEl.textContent = streak.current;
+            CognoStreaks.remind(streak);
             if (pointsEl) pointsEl.textContent = CognoUtils.Number.format(totalPoints);
 
             // Update highlights
@@ -509,6 +490,84 @@ const CognoDashboard = {
         });
     },
 
+    async loadWeeklyPlan() {
+        const section = document.getElementById('weekly-plan-section');
+        const planList = document.getElementById('weekly-plan-list');
+        const planProgress = document.getElementById('weekly-plan-progress');
+        if (!planList || typeof CognoLearningPlans === 'undefined') return;
+
+        const plan = await CognoLearningPlans.getActivePlan(this.user.id);
+        const weekIndex = plan?.weeks?.length ? CognoLearningPlans.currentWeekIndex(plan) : -1;
+        if (weekIndex < 0) {
+            if (section) section.style.display = 'none';
+            return;
+        }
+
+        const { start, end } = CognoLearningPlans.weekRange(plan, weekIndex);
+        const sessions = await CognoLearningPlans.loadSessions(
+            this.user.id,
+            CognoLearningPlans.formatDay(start),
+            CognoLearningPlans.formatDay(end)
+        );
+        const week = CognoLearningPlans.evaluateWeek(plan, weekIndex, sessions[this.user.id]);
+        const metCount = week.goals.filter(g => g.met).length;
+
+        if (section) section.style.display = '';
+        if (planProgress) {
+            planProgress.textContent = `Week ${weekIndex + 1} of ${plan.weeks.length} · ${metCount} of ${week.goals.length} goals`;
+        }
+
+        planList.innerHTML = week.goals.map((goal, i) => {
+            const activity = typeof CognoActivityRegistry !== 'undefined'
+                ? CognoActivityRegistry.getActivity(goal.moduleId, goal.activityId)
+                : null;
+            const accuracy = goal.accuracy === null ? '' : ` · ${goal.accuracy}% accuracy`;
+
+            return `
+                <a href="../${activity?.path || `modules/${goal.moduleId}/index.html`}" class="goal-item ${goal.met ? 'completed' : ''}">
+                    <div class="goal-checkbox">
+                        <input type="checkbox" id="plan-goal-${i}" ${goal.met ? 'checked' : ''} disabled>
+                        <label for="plan-goal-${i}"></label>
+                    </div>
+                    <div class="goal-content">
+                        <span class="goal-text">${CognoLearningPlans.activityName(goal)} ${goal.sessions} time${goal.sessions === 1 ? '' : 's'} at ${goal.targetAccuracy}%+</span>
+                        <span class="goal-points">${Math.min(goal.done, goal.sessions)} of ${goal.sessions} done${accuracy}</span>
+                    </div>
+                </a>
+            `;
+        }).join('');
+    },
+
+    async loadReviewSummary() {
+        const reviewList = document.getElementById('review-list');
+        const reviewProgress = document.getElementById('review-progress');
+        if (!reviewList || typeof CognoReview === 'undefined') return;
+
+        const summary = await CognoReview.getSummary(this.user.id);
+        if (reviewProgress) reviewProgress.textContent = `${summary.due} due today`;
+
+        const decks = [
+            { id: 'sight-words', path: '../modules/dyslexia/sight-words.html' },
+            { id: 'spelling', path: '../modules/dyslexia/spelling-bee.html' }
+        ];
+
+        reviewList.innerHTML = decks.map(deck => {
+            const counts = summary.decks[deck.id] || { due: 0, mastered: 0, total: 0 };
+            const status = counts.total === 0
+                ? 'Not started yet'
+                : `${counts.due} due · ${counts.mastered} of ${counts.total} mastered`;
+
+            return `
+                <a href="${deck.path}" class="goal-item ${counts.total > 0 && counts.due === 0 ? 'completed' : ''}">
+                    <div class="goal-content">
+                        <span class="goal-text">${CognoReview.DECKS[deck.id]}</span>
+                        <span class="goal-points">${status}</span>
+                    </div>
+                </a>
+            `;
+        }).join('');
+    },
+
     async loadModuleProgress() {
         const modules = ['dyslexia', 'dyscalculia', 'dysgraphia', 'dyspraxia'];
 
@@ -840,7 +899,7 @@ const CognoDashboard = {
         // Get linked children
         const { data } = await CognoSupabase.query(
             'parent_child_links',
-            '*, children:child_id(id, profiles(*))',
+            '*, children:child_id(id, profiles(id, full_name, avatar_url, timezone))',
             [
                 { column: 'parent_id', value: this.user.id },
                 { column: 'status', value: 'active' }
@@ -858,8 +917,9 @@ const CognoDashboard = {
 
         // Update children grid
         if (grid) {
-            grid.innerHTML = data.map(link => {
+            const cards = await Promise.all(data.map(async link => {
                 const child = link.children?.profiles;
+                const streak = await CognoStreaks.getStreak(link.child_id, { profile: child });
                 return `
                     <div class="child-card" data-child-id="${link.child_id}">
                         <div class="child-avatar">
@@ -869,7 +929,7 @@ const CognoDashboard = {
                             <h4 class="child-name">${child?.full_name || 'Child'}</h4>
                             <span class="child-streak">
                                 <i class="fa-solid fa-fire"></i>
-                                ${child?.streak_days || 0} day streak
+                                ${streak.current} day streak
                             </span>
                         </div>
                         <a href="../progress/child/${link.child_id}" class="btn btn-ghost btn-sm">
@@ -877,7 +937,8 @@ const CognoDashboard = {
                         </a>
                     </div>
                 `;
-            }).join('');
+            }));
+            grid.innerHTML = cards.join('');
         }
 
         // Update sidebar submenu
@@ -1365,22 +1426,8 @@ const CognoDashboard = {
                 dyspraxia: { name: 'Motor', css: 'dyspraxia' }
             };
 
-            // Calculate streak from activity dates
-            let streak = 0;
-            if (progress?.length) {
-                const dates = [...new Set(progress.map(p => new Date(p.updated_at).toDateString()))].sort((a, b) => new Date(b) - new Date(a));
-                const today = new Date().toDateString();
-                const yesterday = new Date(Date.now() - 86400000).toDateString();
-                if (dates.includes(today) || dates.includes(yesterday)) {
-                    streak = 1;
-                    let checkDate = dates.includes(today) ? new Date() : new Date(Date.now() - 86400000);
-                    for (let i = 1; i < 365; i++) {
-                        checkDate.setDate(checkDate.getDate() - 1);
-                        if (dates.includes(checkDate.toDateString())) streak++;
-                        else break;
-                    }
-                }
-            }
+            // Streak in the patient's timezone
+            const { current: streak } = await CognoStreaks.getStreak(link.patient_id, { profile: patient });
 
             // Build progress bars HTML from real data
             const progressBarsHtml = Object.entries(moduleStats).map(([mod, stats]) => {
@@ -1775,13 +1822,16 @@ const CognoDashboard = {
                     filter: `user_id=eq.${this.user.id}`
                 }, (payload) => {
                     const notif = payload.new;
+                    // Calls and waitlist offers stay until acted on
+                    const persistent = ['appointment', 'waitlist_offer'].includes(notif.notification_type);
 
                     // Show toast for all new notifications
                     CognoNotifications.show(notif.message, notif.notification_type || 'info', {
                         title: notif.title,
-                        duration: notif.notification_type === 'appointment' ? 0 : 5000, // Persistent if it's an appointment/call
+                        icon: notif.notification_type === 'waitlist_offer' ? 'fa-solid fa-calendar-plus' : null,
+                        duration: persistent ? 0 : 5000,
                         action: notif.action_url ? () => window.location.href = notif.action_url : null,
-                        actionText: notif.notification_type === 'appointment' ? 'Join Call' : 'View'
+                        actionText: { appointment: 'Join Call', waitlist_offer: 'Claim Slot' }[notif.notification_type] || 'View'
                     });
 
                     // Refresh unread count
@@ -708,6 +708,16 @@ const DoctorPortal = {
         return new Date(date).toLocaleDateString();
     },
     
+    // Escape text written by patients before it goes into innerHTML
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+    
     // Patients page initialization
     initPatientsPage() {
         console.log('Initializing patients page...');
@@ -1112,6 +1122,412 @@ const DoctorPortal = {
                 avatarEl.textContent = patient.name?.split(' ').map(n => n[0]).join('') || '?';
             }
         }
+        
+        this.renderErrorPatterns(patient.id);
+        this.renderMovementMetrics(patient.id);
+        this.renderHandwritingReplay(patient.id);
+        this.renderContentPacks(patient.id);
+    },
+    
+    // Render the patient's custom activity content (js/content-packs.js)
+    async renderContentPacks(patientId) {
+        const container = document.getElementById('content-packs');
+        if (!container || typeof CognoContentPacks === 'undefined') return;
+        
+        const packs = await CognoContentPacks.listForPatient(patientId);
+        const activities = CognoContentPacks.listActivities();
+        const findPack = key => packs.find(p => `${p.module_type}/${p.activity_id}` === key);
+        
+        container.innerHTML = `
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 1.5rem;">
+                <div>
+                    <div class="form-group">
+                        <label class="form-label">Activity</label>
+                        <select class="form-select" id="pack-activity">
+                            ${activities.map(a => `
+                                <option value="${a.key}">${a.name} (${a.moduleId})${findPack(a.key) ? ' - custom' : ''}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Title (optional)</label>
+                        <input type="text" class="form-input" id="pack-title" placeholder="e.g. Week 3 spelling list">
+                    </div>
+                    <div class="form-group" id="pack-words-group">
+                        <label class="form-label">Words, one per line</label>
+                        <textarea class="form-textarea" id="pack-words" rows="8" placeholder="friend - Someone you like to play with"></textarea>
+                        <small id="pack-words-help" style="color: var(--text-secondary);">Add a hint after a dash: <em>word - hint</em></small>
+                    </div>
+                    <div class="form-group" id="pack-numbers-group" style="display: none;">
+                        <label class="form-label">Number range and questions</label>
+                        <div style="display: flex; gap: 0.5rem;">
+                            <input type="number" class="form-input" id="pack-min" placeholder="From" min="0">
+                            <input type="number" class="form-input" id="pack-max" placeholder="To" min="1">
+                            <input type="number" class="form-input" id="pack-count" placeholder="Questions" min="1" value="5">
+                        </div>
+                    </div>
+                    <button class="btn btn-primary" id="pack-save">
+                        <i class="fa-solid fa-floppy-disk"></i> Save for Patient
+                    </button>
+                </div>
+                <div>
+                    <h4 style="margin-top: 0;">Assigned Content</h4>
+                    ${packs.length === 0 ? `
+                        <p style="color: var(--text-secondary);">No custom content yet - activities use their built-in lists.</p>
+                    ` : packs.map(pack => `
+                        <div style="display: flex; align-items: center; gap: 0.75rem; padding: 0.75rem 0; border-bottom: 1px solid var(--border-color);">
+                            <div style="flex: 1;">
+                                <div style="font-weight: 500;">${this.escapeHtml(pack.title || CognoActivityRegistry.getActivity(pack.module_type, pack.activity_id)?.name || pack.activity_id)}</div>
+                                <div style="font-size: 0.8rem; color: var(--text-secondary);">${this.describeContentPack(pack)}</div>
+                            </div>
+                            <button class="btn btn-ghost btn-sm" onclick="DoctorPortal.removeContentPack('${patientId}', '${pack.id}')" title="Remove">
+                                <i class="fa-solid fa-trash"></i>
+                            </button>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+        
+        const activitySelect = document.getElementById('pack-activity');
+        const fillForm = () => {
+            const activity = activities.find(a => a.key === activitySelect.value);
+            const pack = findPack(activity.key);
+            
+            document.getElementById('pack-words-group').style.display = activity.type === 'words' ? '' : 'none';
+            document.getElementById('pack-numbers-group').style.display = activity.type === 'numbers' ? '' : 'none';
+            document.getElementById('pack-words-help').style.display = activity.hints ? '' : 'none';
+            document.getElementById('pack-title').value = pack?.title || '';
+            document.getElementById('pack-words').value = (pack?.content?.items || [])
+                .map(item => item.hint ? `${item.word} - ${item.hint}` : item.word)
+                .join('\n');
+            document.getElementById('pack-min').value = pack?.content?.min ?? '';
+            document.getElementById('pack-max').value = pack?.content?.max ?? '';
+            document.getElementById('pack-max').max = activity.maxNumber ?? CognoContentPacks.LIMITS.maxNumber;
+            document.getElementById('pack-count').value = pack?.content?.count ?? 5;
+        };
+        
+        activitySelect.addEventListener('change', fillForm);
+        document.getElementById('pack-save').addEventListener('click', () => this.saveContentPack(patientId));
+        fillForm();
+    },
+    
+    // One-line summary of a content pack (HTML-escaped)
+    describeContentPack(pack) {
+        const content = pack.content || {};
+        if (content.type === 'numbers') {
+            return `Numbers ${content.min}-${content.max}, ${content.count} questions`;
+        }
+        const words = (content.items || []).map(item => item.word);
+        return `${words.length} words: ${this.escapeHtml(words.slice(0, 5).join(', '))}${words.length > 5 ? '...' : ''}`;
+    },
+    
+    // Save the content pack form
+    async saveContentPack(patientId) {
+        const [moduleId, activityId] = document.getElementById('pack-activity').value.split('/');
+        const { type } = CognoContentPacks.getActivityType(moduleId, activityId);
+        
+        const content = type === 'numbers'
+            ? {
+                min: parseInt(document.getElementById('pack-min').value, 10),
+                max: parseInt(document.getElementById('pack-max').value, 10),
+                count: parseInt(document.getElementById('pack-count').value, 10)
+            }
+            : CognoContentPacks.parseWords(document.getElementById('pack-words').value);
+        
+        const result = await CognoContentPacks.save({
+            doctorId: this.currentDoctor.id,
+            patientId,
+            moduleId,
+            activityId,
+            title: document.getElementById('pack-title').value.trim(),
+            content
+        });
+        
+        if (!result.success) {
+            this.showToast(result.errors.join('. '), 'error');
+            return;
+        }
+        
+        const activity = CognoActivityRegistry.getActivity(moduleId, activityId);
+        const activityName = activity?.name || activityId;
+        await CognoSupabase?.client
+            ?.from('notifications')
+            ?.insert({
+                user_id: patientId,
+                title: 'New Practice Content',
+                message: `Dr. ${this.doctorProfile?.full_name} updated your ${activityName} activity.`,
+                notification_type: 'assignment',
+                entity_type: 'content_pack',
+                entity_id: result.data.id,
+                action_url: activity ? `../${activity.path}` : null
+            });
+        
+        this.showToast(`Saved custom content for ${activityName}`, 'success');
+        this.renderContentPacks(patientId);
+    },
+    
+    // Remove a content pack
+    async removeContentPack(patientId, packId) {
+        if (!confirm('Remove this custom content? The activity will go back to its built-in list.')) return;
+        
+        const result = await CognoContentPacks.remove(packId);
+        if (!result.success) {
+            this.showToast('Failed to remove content', 'error');
+            return;
+        }
+        
+        this.showToast('Custom content removed', 'success');
+        this.renderContentPacks(patientId);
+    },
+    
+    // Render recurring error types from per-trial results (js/error-patterns.js)
+    async renderErrorPatterns(patientId) {
+        const container = document.getElementById('error-patterns');
+        if (!container || typeof CognoErrorPatterns === 'undefined') return;
+        
+        const trials = await CognoErrorPatterns.fetchTrials(patientId);
+        const analysis = CognoErrorPatterns.analyze(trials);
+        
+        if (analysis.patterns.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state" style="text-align: center; padding: 2rem; color: var(--text-secondary);">
+                    <i class="fa-solid fa-magnifying-glass-chart" style="font-size: 2rem; margin-bottom: 0.75rem;"></i>
+                    <p>${analysis.totalTrials === 0
+                        ? 'No per-question results recorded yet. Letter Match, Word Builder, Number Line and Addition record them.'
+                        : `No recurring error patterns in the last ${analysis.totalTrials} answers.`}</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const moduleColors = { dyslexia: '#3b82f6', dyscalculia: '#10b981' };
+        
+        container.innerHTML = `
+            <p style="color: var(--text-secondary); margin-bottom: 1rem;">
+                ${analysis.totalErrors} wrong answers out of ${analysis.totalTrials} in the last 90 days
+            </p>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 1rem; margin-bottom: 1.5rem;">
+                ${analysis.patterns.map(pattern => {
+                    const color = moduleColors[pattern.module] || '#6b7280';
+                    return `
+                        <div class="card" style="padding: 1.25rem;">
+                            <div style="display: flex; align-items: center; gap: 0.75rem; margin-bottom: 0.75rem;">
+                                <div style="width: 40px; height: 40px; border-radius: 10px; background: ${color}20; color: ${color}; display: flex; align-items: center; justify-content: center;">
+                                    <i class="fa-solid fa-${pattern.icon}"></i>
+                                </div>
+                                <div>
+                                    <h4 style="margin: 0;">${pattern.label}</h4>
+                                    <p style="margin: 0; font-size: 0.8rem; color: var(--text-secondary);">${pattern.count} times &middot; ${pattern.share}% of errors</p>
+                                </div>
+                            </div>
+                            <p style="font-size: 0.85rem; color: var(--text-secondary); margin-bottom: 0.75rem;">${pattern.description}</p>
+                            <div style="font-size: 0.85rem;">
+                                ${pattern.examples.map(trial => `
+                                    <div style="display: flex; justify-content: space-between; padding: 0.35rem 0; border-top: 1px solid var(--border-color);">
+                                        <span>${this.escapeHtml(trial.prompt)} &rarr; <strong style="color: var(--color-error);">${this.escapeHtml(trial.response)}</strong></span>
+                                        <span style="color: var(--text-secondary);">${new Date(trial.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            <div class="card">
+                <div class="card-header">
+                    <h2><i class="fa-solid fa-chart-line"></i> Errors per 100 answers, by week</h2>
+                </div>
+                <div class="card-body">
+                    <canvas id="error-trend-chart" height="200"></canvas>
+                </div>
+            </div>
+        `;
+        
+        const ctx = document.getElementById('error-trend-chart');
+        if (!ctx || typeof Chart === 'undefined') return;
+        
+        const palette = ['#ef4444', '#f59e0b', '#8b5cf6', '#3b82f6'];
+        new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: analysis.weeks.map(week => new Date(`${week}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })),
+                datasets: analysis.patterns.map((pattern, i) => ({
+                    label: pattern.label,
+                    data: pattern.trend.map(point => point.rate),
+                    borderColor: palette[i % palette.length],
+                    backgroundColor: 'transparent',
+                    tension: 0.3
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: { y: { beginAtZero: true } }
+            }
+        });
+    },
+    
+    // Render movement quality trends from the dyspraxia games (js/movement-metrics.js)
+    async renderMovementMetrics(patientId) {
+        const container = document.getElementById('movement-metrics');
+        if (!container || typeof CognoMovement === 'undefined') return;
+        
+        const history = await CognoMovement.loadHistory(patientId);
+        
+        if (history.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state" style="text-align: center; padding: 2rem; color: var(--text-secondary);">
+                    <i class="fa-solid fa-person-running" style="font-size: 2rem; margin-bottom: 0.75rem;"></i>
+                    <p>No movement metrics recorded in the last 90 days. The camera games and Balance Beam record them.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        // Average of the latest five sessions that recorded each metric
+        const latest = key => {
+            const values = history.map(entry => entry.metrics[key]).filter(v => typeof v === 'number').slice(-5);
+            return values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+        };
+        const summary = [
+            { label: 'Reaction time', value: latest('reaction_time_ms'), unit: ' ms' },
+            { label: 'Reach accuracy', value: latest('reach_accuracy'), unit: '%' },
+            { label: 'Jerk', value: latest('jerk'), unit: '' },
+            { label: 'Left / right hand', value: latest('left_hand_pct') === null ? null : `${latest('left_hand_pct')} / ${latest('right_hand_pct')}`, unit: '%' },
+            { label: 'Balance sway', value: latest('sway_rms'), unit: '%' }
+        ].filter(item => item.value !== null);
+        
+        const metrics = Object.entries(CognoMovement.CHART_METRICS);
+        
+        container.innerHTML = `
+            <p style="color: var(--text-secondary); margin-bottom: 1rem;">
+                ${history.length} sessions in the last 90 days &middot; averages of the latest 5
+            </p>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 1rem; margin-bottom: 1.5rem;">
+                ${summary.map(item => `
+                    <div class="card" style="padding: 1rem; text-align: center;">
+                        <div style="font-size: 1.25rem; font-weight: 600; color: #8b5cf6;">${item.value}${item.unit}</div>
+                        <div style="font-size: 0.75rem; color: var(--text-secondary);">${item.label}</div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="form-group">
+                <select class="form-select" id="movement-metric">
+                    ${metrics.map(([key, metric]) => `<option value="${key}">${metric.label}</option>`).join('')}
+                </select>
+            </div>
+            <div style="height: 260px;">
+                <canvas id="movement-trend-chart"></canvas>
+            </div>
+        `;
+        
+        const ctx = document.getElementById('movement-trend-chart');
+        const select = document.getElementById('movement-metric');
+        if (!ctx || typeof Chart === 'undefined') return;
+        
+        let chart = null;
+        const render = metric => {
+            chart?.destroy();
+            chart = new Chart(ctx, CognoMovement.chartConfig(history, metric));
+        };
+        select.addEventListener('change', e => render(e.target.value));
+        render(select.value);
+    },
+    
+    // Replay recorded handwriting side by side (js/handwriting-replay.js)
+    async renderHandwritingReplay(patientId) {
+        const container = document.getElementById('handwriting-replay');
+        if (!container || typeof CognoReplay === 'undefined') return;
+        
+        const samples = await CognoReplay.fetchSamples(patientId);
+        
+        if (samples.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state" style="text-align: center; padding: 2rem; color: var(--text-secondary);">
+                    <i class="fa-solid fa-signature" style="font-size: 2rem; margin-bottom: 0.75rem;"></i>
+                    <p>No handwriting recorded in the last 90 days. The tracing activities and Free Draw record it.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const groups = CognoReplay.groupByPrompt(samples);
+        const colors = CognoReplay.COLORS;
+        const panel = side => `
+            <div class="card" style="padding: 1rem;">
+                <select class="form-select" id="replay-sample-${side}" style="margin-bottom: 0.75rem;"></select>
+                <canvas id="replay-canvas-${side}" style="width: 100%; height: auto; background: white; border-radius: 8px; border: 1px solid var(--border-color);"></canvas>
+                <p id="replay-caption-${side}" style="font-size: 0.8rem; color: var(--text-secondary); margin: 0.5rem 0 0;"></p>
+            </div>
+        `;
+        
+        container.innerHTML = `
+            <div style="display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: center; margin-bottom: 1rem;">
+                <select class="form-select" id="replay-prompt" style="max-width: 200px;">
+                    ${Object.entries(groups).map(([prompt, list]) => `<option value="${this.escapeHtml(prompt)}">${this.escapeHtml(prompt)} (${list.length})</option>`).join('')}
+                </select>
+                <button class="btn btn-primary btn-sm" id="replay-play"><i class="fa-solid fa-play"></i> Play</button>
+                <button class="btn btn-outline btn-sm" id="replay-pause"><i class="fa-solid fa-pause"></i> Pause</button>
+                <select class="form-select" id="replay-speed" style="max-width: 100px;">
+                    ${CognoReplay.SPEEDS.map(speed => `<option value="${speed}" ${speed === 1 ? 'selected' : ''}>${speed}x</option>`).join('')}
+                </select>
+                <label style="font-size: 0.85rem;"><input type="checkbox" id="replay-overlay" checked> Template</label>
+                <label style="font-size: 0.85rem;"><input type="checkbox" id="replay-highlight" checked> Highlight mistakes</label>
+            </div>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 1rem;">
+                ${panel('a')}
+                ${panel('b')}
+            </div>
+            <p style="font-size: 0.8rem; color: var(--text-secondary); margin-top: 0.75rem;">
+                <span style="color: ${colors.ink};">&#9679;</span> As taught &nbsp;
+                <span style="color: ${colors.order};">&#9679;</span> Out of order &nbsp;
+                <span style="color: ${colors.direction};">&#9679;</span> Wrong direction &nbsp;
+                &middot; Numbers show the order the child drew the strokes
+            </p>
+        `;
+        
+        const players = ['a', 'b'].map(side => ({
+            side,
+            select: document.getElementById(`replay-sample-${side}`),
+            caption: document.getElementById(`replay-caption-${side}`),
+            player: new HandwritingReplay(document.getElementById(`replay-canvas-${side}`))
+        }));
+        const promptSelect = document.getElementById('replay-prompt');
+        
+        const showSample = (view, list) => {
+            const sample = list[view.select.value];
+            view.player.load(sample);
+            const { strokes, orderMistakes, directionMistakes, durationMs } = view.player.summary();
+            view.caption.textContent = `${strokes} strokes · ${(durationMs / 1000).toFixed(1)}s` +
+                (sample.handwriting.template?.type === 'text' ? '' : ` · ${orderMistakes} out of order · ${directionMistakes} wrong direction`);
+        };
+        
+        // Oldest attempt on the left, newest on the right
+        const showPrompt = prompt => {
+            const list = groups[prompt];
+            players.forEach((view, i) => {
+                view.select.innerHTML = list.map((sample, idx) => `<option value="${idx}">${this.escapeHtml(CognoReplay.label(sample))}</option>`).join('');
+                view.select.value = i === 0 ? list.length - 1 : 0;
+                view.select.onchange = () => showSample(view, list);
+                showSample(view, list);
+            });
+        };
+        
+        promptSelect.addEventListener('change', e => showPrompt(e.target.value));
+        document.getElementById('replay-play').addEventListener('click', () => players.forEach(view => view.player.restart()));
+        document.getElementById('replay-pause').addEventListener('click', () => players.forEach(view => view.player.pause()));
+        document.getElementById('replay-speed').addEventListener('change', e => {
+            players.forEach(view => view.player.setSpeed(parseFloat(e.target.value)));
+        });
+        document.getElementById('replay-overlay').addEventListener('change', e => {
+            players.forEach(view => view.player.setOverlay(e.target.checked));
+        });
+        document.getElementById('replay-highlight').addEventListener('change', e => {
+            players.forEach(view => view.player.setHighlight(e.target.checked));
+        });
+        
+        showPrompt(promptSelect.value);
     },
     
     // Initialize tabs
@@ -1137,6 +1553,19 @@ const DoctorPortal = {
         console.log('Initializing schedule page...');
         this.initCalendarNavigation();
         this.renderScheduleCalendar();
+        this.initAvailabilityEditor();
+    },
+    
+    // Weekly hours, breaks and days off used to generate booking slots (js/availability.js)
+    async initAvailabilityEditor() {
+        if (typeof AvailabilityEditor === 'undefined' || !document.getElementById('availability-editor')) return;
+        if (!this.currentDoctor?.id) return;
+        
+        try {
+            this.availabilityEditor = await new AvailabilityEditor('#availability-editor', this.currentDoctor.id).init();
+        } catch (error) {
+            console.error('Failed to load availability:', error);
+        }
     },
     
     // Initialize calendar navigation
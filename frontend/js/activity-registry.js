@@ -0,0 +1,537 @@
+/**
+ * COGNO SOLUTION - Activity Registry
+ * Single source of truth for every learning module and activity.
+ *
+ * js/modules.js, modules/modules.js (CognoModules) and js/activity-tracker.js
+ * (CognoTracker) all derive their catalogs from this file, so new activities
+ * only need to be added here. Run `node scripts/validate-activity-registry.js`
+ * to check that every page under modules/<module>/ has an entry.
+ *
+ * Activity schema:
+ *   id          {string}   Unique within its module, same value passed as activityId to CognoTracker
+ *   module      {string}   Module key (dyslexia, dyscalculia, dysgraphia, dyspraxia)
+ *   name        {string}   Display name (also stored as student_progress.activity_type)
+ *   description {string}   Short description for catalog cards
+ *   icon        {string}   Font Awesome icon class
+ *   path        {string}   Page path relative to the frontend root
+ *   maxScore    {number}   Default maximum score when the page does not pass one
+ *   difficulty  {string}   One of DIFFICULTIES
+ *   camera      {boolean}  Whether the activity needs a webcam
+ *   skills      {string[]} Skills practised by the activity
+ *   listed      {boolean}  Shown in module catalogs (false for legacy pages that are still reachable)
+ */
+
+const DIFFICULTIES = ['Beginner', 'Intermediate', 'Advanced'];
+
+// =========================================================
+// MODULES
+// =========================================================
+
+const REGISTRY_MODULES = {
+    dyslexia: {
+        id: 'dyslexia',
+        name: 'Dyslexia',
+        title: 'Reading & Words',
+        description: 'Reading and language support activities',
+        icon: 'fa-book-open',
+        color: '#0066cc',
+        cssColor: 'var(--color-dyslexia)',
+        requiresCamera: false
+    },
+    dyscalculia: {
+        id: 'dyscalculia',
+        name: 'Dyscalculia',
+        title: 'Numbers & Math',
+        description: 'Mathematics and number skills development',
+        icon: 'fa-calculator',
+        color: '#10b981',
+        cssColor: 'var(--color-dyscalculia)',
+        requiresCamera: false
+    },
+    dysgraphia: {
+        id: 'dysgraphia',
+        name: 'Dysgraphia',
+        title: 'Writing Practice',
+        description: 'Handwriting and writing skills support',
+        icon: 'fa-pen',
+        color: '#a855f7',
+        cssColor: 'var(--color-dysgraphia)',
+        requiresCamera: false
+    },
+    dyspraxia: {
+        id: 'dyspraxia',
+        name: 'Dyspraxia',
+        title: 'Movement Games',
+        description: 'Coordination and motor skills support',
+        icon: 'fa-person-running',
+        color: '#ec4899',
+        cssColor: 'var(--color-dyspraxia)',
+        requiresCamera: true
+    }
+};
+
+// =========================================================
+// ACTIVITIES
+// =========================================================
+
+const REGISTRY_ACTIVITIES = [
+    // ---------- Dyslexia ----------
+    {
+        id: 'text-reader', module: 'dyslexia', name: 'Text Reader',
+        description: 'Read text with visual support and speech', icon: 'fa-volume-up',
+        path: 'modules/dyslexia/reader.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['reading-fluency', 'listening'], listed: true
+    },
+    {
+        id: 'text-simplifier', module: 'dyslexia', name: 'Text Simplifier',
+        description: 'Simplify complex text for easier reading', icon: 'fa-wand-magic-sparkles',
+        path: 'modules/dyslexia/simplify.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['reading-comprehension', 'vocabulary'], listed: true
+    },
+    {
+        id: 'letter-match', module: 'dyslexia', name: 'Letter Match',
+        description: 'Match uppercase and lowercase letters', icon: 'fa-square',
+        path: 'modules/dyslexia/letter-match.html', maxScore: 130, difficulty: 'Beginner',
+        camera: false, skills: ['letter-recognition', 'visual-discrimination'], listed: true
+    },
+    {
+        id: 'word-builder', module: 'dyslexia', name: 'Word Builder',
+        description: 'Arrange letters to form words', icon: 'fa-cubes',
+        path: 'modules/dyslexia/word-builder.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['phonics', 'spelling'], listed: true
+    },
+    {
+        id: 'sight-words', module: 'dyslexia', name: 'Sight Words',
+        description: 'Learn and recognize common sight words', icon: 'fa-eye',
+        path: 'modules/dyslexia/sight-words.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['word-recognition', 'reading-fluency'], listed: true
+    },
+    {
+        id: 'rhyme-time', module: 'dyslexia', name: 'Rhyme Time',
+        description: 'Identify rhyming words and patterns', icon: 'fa-music',
+        path: 'modules/dyslexia/rhyme-time.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['phonological-awareness', 'rhyming'], listed: true
+    },
+    {
+        id: 'spelling-bee', module: 'dyslexia', name: 'Spelling Bee',
+        description: 'Practice spelling with audio guidance', icon: 'fa-spell-check',
+        path: 'modules/dyslexia/spelling-bee.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['spelling', 'listening'], listed: true
+    },
+    {
+        id: 'word-scramble', module: 'dyslexia', name: 'Word Scramble',
+        description: 'Unscramble letters to form words', icon: 'fa-shuffle',
+        path: 'modules/dyslexia/word-scramble.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['spelling', 'letter-sequencing'], listed: true
+    },
+    {
+        id: 'reading-practice', module: 'dyslexia', name: 'Reading Practice',
+        description: 'Read a short story and answer questions', icon: 'fa-book',
+        path: 'modules/dyslexia/reading.html', maxScore: 3, difficulty: 'Intermediate',
+        camera: false, skills: ['reading-comprehension'], listed: false
+    },
+    {
+        id: 'spelling-practice', module: 'dyslexia', name: 'Spelling Practice',
+        description: 'Listen to words and spell them', icon: 'fa-spell-check',
+        path: 'modules/dyslexia/spelling.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['spelling', 'listening'], listed: false
+    },
+    {
+        id: 'word-games', module: 'dyslexia', name: 'Word Games',
+        description: 'Mixed word recognition games', icon: 'fa-gamepad',
+        path: 'modules/dyslexia/games.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['word-recognition'], listed: false
+    },
+
+    // ---------- Dyscalculia ----------
+    {
+        id: 'number-line', module: 'dyscalculia', name: 'Number Line',
+        description: 'Understand number position and magnitude', icon: 'fa-chart-line',
+        path: 'modules/dyscalculia/number-line.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['number-sense', 'magnitude'], listed: true
+    },
+    {
+        id: 'counting', module: 'dyscalculia', name: 'Counting',
+        description: 'Interactive counting practice', icon: 'fa-hand-pointer',
+        path: 'modules/dyscalculia/counting.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['counting', 'number-sense'], listed: true
+    },
+    {
+        id: 'number-match', module: 'dyscalculia', name: 'Number Match',
+        description: 'Match numbers to quantities', icon: 'fa-equals',
+        path: 'modules/dyscalculia/number-match.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['number-sense', 'subitizing'], listed: true
+    },
+    {
+        id: 'addition', module: 'dyscalculia', name: 'Addition',
+        description: 'Learn addition with visual blocks', icon: 'fa-plus',
+        path: 'modules/dyscalculia/addition.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['addition'], listed: true
+    },
+    {
+        id: 'subtraction', module: 'dyscalculia', name: 'Subtraction',
+        description: 'Understand subtraction as removal', icon: 'fa-minus',
+        path: 'modules/dyscalculia/subtraction.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['subtraction'], listed: true
+    },
+    {
+        id: 'multiplication', module: 'dyscalculia', name: 'Multiplication',
+        description: 'Learn multiplication with arrays', icon: 'fa-xmark',
+        path: 'modules/dyscalculia/multiplication.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['multiplication'], listed: true
+    },
+    {
+        id: 'division', module: 'dyscalculia', name: 'Division',
+        description: 'Understand division with equal groups', icon: 'fa-divide',
+        path: 'modules/dyscalculia/division.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['division'], listed: true
+    },
+    {
+        id: 'math-pop', module: 'dyscalculia', name: 'Math Pop',
+        description: 'Timed math game with bubbles', icon: 'fa-bomb',
+        path: 'modules/dyscalculia/math-pop.html', maxScore: 100, difficulty: 'Advanced',
+        camera: false, skills: ['mental-math', 'processing-speed'], listed: true
+    },
+    {
+        id: 'number-puzzle', module: 'dyscalculia', name: 'Number Puzzle',
+        description: 'Solve mathematical puzzles', icon: 'fa-puzzle-piece',
+        path: 'modules/dyscalculia/number-puzzle.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['problem-solving', 'mental-math'], listed: true
+    },
+    {
+        id: 'number-basics', module: 'dyscalculia', name: 'Number Basics',
+        description: 'Recognise and order numbers', icon: 'fa-1',
+        path: 'modules/dyscalculia/number-basics.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['number-sense'], listed: false
+    },
+    {
+        id: 'math-operations', module: 'dyscalculia', name: 'Math Operations',
+        description: 'Mixed arithmetic practice', icon: 'fa-calculator',
+        path: 'modules/dyscalculia/operations.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['addition', 'subtraction'], listed: false
+    },
+    {
+        id: 'math-games', module: 'dyscalculia', name: 'Math Games',
+        description: 'Collection of quick math games', icon: 'fa-gamepad',
+        path: 'modules/dyscalculia/math-games.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['mental-math'], listed: false
+    },
+
+    // ---------- Dysgraphia ----------
+    {
+        id: 'letter-tracing', module: 'dysgraphia', name: 'Letter Tracing',
+        description: 'Trace letters with visual guidance', icon: 'fa-pen',
+        path: 'modules/dysgraphia/letter-tracing.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['letter-formation', 'fine-motor'], listed: true
+    },
+    {
+        id: 'letter-formation', module: 'dysgraphia', name: 'Letter Formation',
+        description: 'Learn step-by-step letter formation', icon: 'fa-pen-fancy',
+        path: 'modules/dysgraphia/letter-formation.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['letter-formation', 'stroke-order'], listed: true
+    },
+    {
+        id: 'alphabet-practice', module: 'dysgraphia', name: 'Alphabet Practice',
+        description: 'Practice writing all 26 letters', icon: 'fa-a',
+        path: 'modules/dysgraphia/alphabet-practice.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['letter-formation', 'handwriting'], listed: true
+    },
+    {
+        id: 'word-tracing', module: 'dysgraphia', name: 'Word Tracing',
+        description: 'Trace words for spelling practice', icon: 'fa-pen-to-square',
+        path: 'modules/dysgraphia/word-tracing.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['handwriting', 'spelling'], listed: true
+    },
+    {
+        id: 'spelling-write', module: 'dysgraphia', name: 'Spelling Write',
+        description: 'Type words from spelling list', icon: 'fa-spell-check',
+        path: 'modules/dysgraphia/spelling-write.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['spelling'], listed: true
+    },
+    {
+        id: 'copy-practice', module: 'dysgraphia', name: 'Copy Practice',
+        description: 'Copy text from a model', icon: 'fa-copy',
+        path: 'modules/dysgraphia/copy-practice.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['copying', 'handwriting'], listed: true
+    },
+    {
+        id: 'free-draw', module: 'dysgraphia', name: 'Free Draw',
+        description: 'Create artwork and practice motor control', icon: 'fa-paintbrush',
+        path: 'modules/dysgraphia/free-draw.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['fine-motor'], listed: true
+    },
+    {
+        id: 'shape-tracing', module: 'dysgraphia', name: 'Shape Tracing',
+        description: 'Trace geometric shapes', icon: 'fa-shapes',
+        path: 'modules/dysgraphia/shape-tracing.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['fine-motor', 'visual-motor-integration'], listed: true
+    },
+    {
+        id: 'sentence-write', module: 'dysgraphia', name: 'Sentence Write',
+        description: 'Write sentences about prompts', icon: 'fa-pen-nib',
+        path: 'modules/dysgraphia/sentence-write.html', maxScore: 100, difficulty: 'Advanced',
+        camera: false, skills: ['composition', 'spelling'], listed: true
+    },
+    {
+        id: 'letter-practice', module: 'dysgraphia', name: 'Letter Practice',
+        description: 'Write individual letters on a canvas', icon: 'fa-pen',
+        path: 'modules/dysgraphia/letter-practice.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['letter-formation'], listed: false
+    },
+    {
+        id: 'word-writing', module: 'dysgraphia', name: 'Word Writing',
+        description: 'Write whole words from prompts', icon: 'fa-pen-to-square',
+        path: 'modules/dysgraphia/word-writing.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['handwriting', 'spelling'], listed: false
+    },
+    {
+        id: 'drawing-exercises', module: 'dysgraphia', name: 'Drawing Exercises',
+        description: 'Pre-writing drawing exercises', icon: 'fa-paintbrush',
+        path: 'modules/dysgraphia/drawing.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['fine-motor'], listed: false
+    },
+
+    // ---------- Dyspraxia ----------
+    {
+        id: 'balloon-pop', module: 'dyspraxia', name: 'Balloon Pop',
+        description: 'Pop balloons by reaching with your hands', icon: 'fa-circle',
+        path: 'modules/dyspraxia/balloon-pop.html', maxScore: 100, difficulty: 'Beginner',
+        camera: true, skills: ['gross-motor', 'hand-eye-coordination'], listed: true
+    },
+    {
+        id: 'catch-stars', module: 'dyspraxia', name: 'Catch Stars',
+        description: 'Catch falling stars with your hands', icon: 'fa-star',
+        path: 'modules/dyspraxia/catch-stars.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: true, skills: ['hand-eye-coordination', 'reaction-time'], listed: true
+    },
+    {
+        id: 'mirror-me', module: 'dyspraxia', name: 'Mirror Me',
+        description: 'Copy the poses shown on screen', icon: 'fa-person',
+        path: 'modules/dyspraxia/mirror-me.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: true, skills: ['motor-planning', 'body-awareness'], listed: true
+    },
+    {
+        id: 'freeze-dance', module: 'dyspraxia', name: 'Freeze Dance',
+        description: 'Dance and freeze when the music stops', icon: 'fa-music',
+        path: 'modules/dyspraxia/freeze-dance.html', maxScore: 100, difficulty: 'Beginner',
+        camera: true, skills: ['gross-motor', 'inhibitory-control'], listed: true
+    },
+    {
+        id: 'body-movement', module: 'dyspraxia', name: 'Movement Prep',
+        description: 'Warm-up movements before camera games', icon: 'fa-person-walking',
+        path: 'modules/dyspraxia/body-movement.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['gross-motor'], listed: true
+    },
+    {
+        id: 'tightrope-walk', module: 'dyspraxia', name: 'Tightrope Walk',
+        description: 'Keep steady while walking the rope', icon: 'fa-person-walking',
+        path: 'modules/dyspraxia/tightrope-walk.html', maxScore: 100, difficulty: 'Advanced',
+        camera: true, skills: ['balance', 'body-awareness'], listed: true
+    },
+    {
+        id: 'obstacle-course', module: 'dyspraxia', name: 'Obstacle Course',
+        description: 'Navigate through obstacles', icon: 'fa-bolt',
+        path: 'modules/dyspraxia/obstacle-course.html', maxScore: 100, difficulty: 'Advanced',
+        camera: true, skills: ['gross-motor', 'motor-planning'], listed: true
+    },
+    {
+        id: 'balance-beam', module: 'dyspraxia', name: 'Balance Beam',
+        description: 'Keep balance on the beam', icon: 'fa-person',
+        path: 'modules/dyspraxia/balance-beam.html', maxScore: 100, difficulty: 'Advanced',
+        camera: false, skills: ['balance', 'fine-motor'], listed: true
+    },
+    {
+        id: 'balance', module: 'dyspraxia', name: 'Balance Master',
+        description: 'Hold the balance point steady', icon: 'fa-scale-balanced',
+        path: 'modules/dyspraxia/balance.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['balance', 'fine-motor'], listed: true
+    },
+    {
+        id: 'finger-tap', module: 'dyspraxia', name: 'Finger Tap',
+        description: 'Test finger tapping speed', icon: 'fa-hand',
+        path: 'modules/dyspraxia/finger-tap.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['fine-motor', 'processing-speed'], listed: true
+    },
+    {
+        id: 'drag-drop', module: 'dyspraxia', name: 'Drag & Drop',
+        description: 'Drag items to where they belong', icon: 'fa-hand-pointer',
+        path: 'modules/dyspraxia/drag-drop.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['fine-motor', 'hand-eye-coordination'], listed: true
+    },
+    {
+        id: 'track-path', module: 'dyspraxia', name: 'Track Path',
+        description: 'Follow the path without leaving it', icon: 'fa-route',
+        path: 'modules/dyspraxia/track-path.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['fine-motor', 'visual-tracking'], listed: true
+    },
+    {
+        id: 'rhythm-tap', module: 'dyspraxia', name: 'Rhythm Tap',
+        description: 'Tap to the rhythm', icon: 'fa-music',
+        path: 'modules/dyspraxia/rhythm-tap.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['rhythm', 'timing'], listed: true
+    },
+    {
+        id: 'tapping-sequence', module: 'dyspraxia', name: 'Sequence Tap',
+        description: 'Follow the tapping pattern', icon: 'fa-gamepad',
+        path: 'modules/dyspraxia/tapping-sequence.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['sequencing', 'working-memory'], listed: true
+    },
+    {
+        id: 'hand-exercises', module: 'dyspraxia', name: 'Hand Exercises',
+        description: 'Guided hand and finger exercises', icon: 'fa-hand-fist',
+        path: 'modules/dyspraxia/hand-exercises.html', maxScore: 100, difficulty: 'Beginner',
+        camera: false, skills: ['fine-motor'], listed: true
+    },
+    {
+        id: 'mirror-moves', module: 'dyspraxia', name: 'Mirror Moves',
+        description: 'Copy the movement patterns', icon: 'fa-users',
+        path: 'modules/dyspraxia/mirror-moves.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['motor-planning', 'sequencing'], listed: true
+    },
+    {
+        id: 'click-sequence', module: 'dyspraxia', name: 'Click Sequence',
+        description: 'Click objects in correct order', icon: 'fa-circle',
+        path: 'modules/dyspraxia/click-sequence.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['sequencing', 'hand-eye-coordination'], listed: true
+    },
+    {
+        id: 'catch-objects', module: 'dyspraxia', name: 'Catch Objects',
+        description: 'Catch falling objects', icon: 'fa-basket-shopping',
+        path: 'modules/dyspraxia/catch-objects.html', maxScore: 100, difficulty: 'Advanced',
+        camera: false, skills: ['hand-eye-coordination', 'reaction-time'], listed: true
+    },
+    {
+        id: 'drag-targets', module: 'dyspraxia', name: 'Drag Targets',
+        description: 'Test hand-eye coordination', icon: 'fa-arrows-up-down-left-right',
+        path: 'modules/dyspraxia/drag-targets.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: false, skills: ['hand-eye-coordination', 'fine-motor'], listed: true
+    },
+    {
+        id: 'catch-star', module: 'dyspraxia', name: 'Catch the Star',
+        description: 'Camera star catching (backend version)', icon: 'fa-star',
+        path: 'modules/dyspraxia/catch-star.html', maxScore: 100, difficulty: 'Intermediate',
+        camera: true, skills: ['hand-eye-coordination', 'reaction-time'], listed: false
+    }
+];
+
+// =========================================================
+// REGISTRY API
+// =========================================================
+
+const CognoActivityRegistry = {
+    DIFFICULTIES,
+    modules: REGISTRY_MODULES,
+    activities: REGISTRY_ACTIVITIES,
+
+    /**
+     * Get module metadata
+     * @param {string} moduleId - Module key
+     * @returns {Object|null}
+     */
+    getModule(moduleId) {
+        return this.modules[moduleId] || null;
+    },
+
+    /**
+     * Get activities for a module
+     * @param {string} moduleId - Module key
+     * @param {Object} [options]
+     * @param {boolean} [options.includeUnlisted=false] - Include legacy pages
+     * @returns {Array<Object>}
+     */
+    getActivities(moduleId, { includeUnlisted = false } = {}) {
+        return this.activities.filter(a =>
+            a.module === moduleId && (includeUnlisted || a.listed)
+        );
+    },
+
+    /**
+     * Get a single activity (listed or not)
+     * @param {string} moduleId - Module key
+     * @param {string} activityId - Activity ID
+     * @returns {Object|null}
+     */
+    getActivity(moduleId, activityId) {
+        return this.activities.find(a => a.module === moduleId && a.id === activityId) || null;
+    },
+
+    /**
+     * Find the activity whose page matches a URL path
+     * @param {string} pathname - e.g. window.location.pathname
+     * @returns {Object|null}
+     */
+    findByPath(pathname) {
+        return this.activities.find(a => pathname.endsWith(a.path)) || null;
+    },
+
+    /**
+     * Validate registry entries against the schema and, optionally,
+     * against the activity pages that exist on disk.
+     * @param {Object<string, string[]>} [pagesByModule] - e.g. { dyslexia: ['reader.html', ...] }
+     * @returns {{ valid: boolean, errors: string[] }}
+     */
+    validate(pagesByModule = null) {
+        const errors = [];
+        const seen = new Set();
+
+        this.activities.forEach((activity, index) => {
+            const label = activity.id ? `${activity.module}/${activity.id}` : `activities[${index}]`;
+
+            ['id', 'module', 'name', 'path', 'difficulty'].forEach(field => {
+                if (typeof activity[field] !== 'string' || !activity[field]) {
+                    errors.push(`${label}: "${field}" must be a non-empty string`);
+                }
+            });
+            if (!this.modules[activity.module]) {
+                errors.push(`${label}: unknown module "${activity.module}"`);
+            }
+            if (typeof activity.path === 'string' && !activity.path.startsWith(`modules/${activity.module}/`)) {
+                errors.push(`${label}: path "${activity.path}" is outside modules/${activity.module}/`);
+            }
+            if (!Number.isFinite(activity.maxScore) || activity.maxScore <= 0) {
+                errors.push(`${label}: "maxScore" must be a positive number`);
+            }
+            if (!DIFFICULTIES.includes(activity.difficulty)) {
+                errors.push(`${label}: "difficulty" must be one of ${DIFFICULTIES.join(', ')}`);
+            }
+            if (typeof activity.camera !== 'boolean' || typeof activity.listed !== 'boolean') {
+                errors.push(`${label}: "camera" and "listed" must be booleans`);
+            }
+            if (!Array.isArray(activity.skills) || activity.skills.length === 0) {
+                errors.push(`${label}: "skills" must be a non-empty array`);
+            }
+            if (seen.has(label)) {
+                errors.push(`${label}: duplicate activity id`);
+            }
+            seen.add(label);
+        });
+
+        if (pagesByModule) {
+            for (const [moduleId, pages] of Object.entries(pagesByModule)) {
+                pages.forEach(page => {
+                    const path = `modules/${moduleId}/${page}`;
+                    if (!this.activities.some(a => a.path === path)) {
+                        errors.push(`${path}: activity page has no registry entry`);
+                    }
+                });
+            }
+            this.activities.forEach(activity => {
+                const pages = pagesByModule[activity.module];
+                if (pages && !pages.includes(activity.path.split('/').pop())) {
+                    errors.push(`${activity.module}/${activity.id}: page "${activity.path}" does not exist`);
+                }
+            });
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+};
+
+// Export for Node scripts (validation) and the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CognoActivityRegistry;
+}
+
+if (typeof window !== 'undefined') {
+    window.CognoActivityRegistry = CognoActivityRegistry;
+}
@@ -3,7 +3,9 @@
  * Universal score saving and progress tracking for all learning activities
  * 
  * Usage in games:
- *   1. Include this script: <script src="../../js/activity-tracker.js"></script>
+ *   1. Include the registry and this script:
+ *        <script src="../../js/activity-registry.js"></script>
+ *        <script src="../../js/activity-tracker.js"></script>
  *   2. Call on game end: await CognoTracker.saveActivity({ ... });
  */
 
@@ -15,71 +17,27 @@ const CognoTracker = {
         minDurationSeconds: 5      // Minimum valid activity duration
     },
 
-    // Module and activity definitions
-    modules: {
-        dyslexia: {
-            name: 'Dyslexia',
-            icon: 'fa-book-reader',
-            color: '#0066cc',
-            activities: {
-                'text-reader': { name: 'Text Reader', maxScore: 100 },
-                'text-simplifier': { name: 'Text Simplifier', maxScore: 100 },
-                'letter-match': { name: 'Letter Match', maxScore: 130 },
-                'word-builder': { name: 'Word Builder', maxScore: 100 },
-                'sight-words': { name: 'Sight Words', maxScore: 100 },
-                'rhyme-time': { name: 'Rhyme Time', maxScore: 100 },
-                'spelling-bee': { name: 'Spelling Bee', maxScore: 100 },
-                'word-scramble': { name: 'Word Scramble', maxScore: 100 }
-            }
-        },
-        dyscalculia: {
-            name: 'Dyscalculia',
-            icon: 'fa-calculator',
-            color: '#10b981',
-            activities: {
-                'number-line': { name: 'Number Line', maxScore: 100 },
-                'counting': { name: 'Counting', maxScore: 100 },
-                'number-match': { name: 'Number Match', maxScore: 100 },
-                'addition': { name: 'Addition', maxScore: 100 },
-                'subtraction': { name: 'Subtraction', maxScore: 100 },
-                'multiplication': { name: 'Multiplication', maxScore: 100 },
-                'division': { name: 'Division', maxScore: 100 },
-                'math-pop': { name: 'Math Pop', maxScore: 100 },
-                'number-puzzle': { name: 'Number Puzzle', maxScore: 100 }
-            }
-        },
-        dysgraphia: {
-            name: 'Dysgraphia',
-            icon: 'fa-pen-fancy',
-            color: '#f59e0b',
-            activities: {
-                'letter-tracing': { name: 'Letter Tracing', maxScore: 100 },
-                'letter-formation': { name: 'Letter Formation', maxScore: 100 },
-                'alphabet-practice': { name: 'Alphabet Practice', maxScore: 100 },
-                'word-tracing': { name: 'Word Tracing', maxScore: 100 },
-                'spelling-write': { name: 'Spelling Write', maxScore: 100 },
-                'copy-practice': { name: 'Copy Practice', maxScore: 100 },
-                'free-draw': { name: 'Free Draw', maxScore: 100 },
-                'shape-tracing': { name: 'Shape Tracing', maxScore: 100 },
-                'sentence-write': { name: 'Sentence Write', maxScore: 100 }
-            }
-        },
-        dyspraxia: {
-            name: 'Dyspraxia',
-            icon: 'fa-hand-paper',
-            color: '#8b5cf6',
-            activities: {
-                'balloon-pop': { name: 'Balloon Pop', maxScore: 100 },
-                'catch-stars': { name: 'Catch Stars', maxScore: 100 },
-                'mirror-me': { name: 'Mirror Me', maxScore: 100 },
-                'freeze-dance': { name: 'Freeze Dance', maxScore: 100 },
-                'tightrope-walk': { name: 'Tightrope Walk', maxScore: 100 },
-                'obstacle-course': { name: 'Obstacle Course', maxScore: 100 },
-                'finger-tap': { name: 'Finger Tap', maxScore: 100 },
-                'drag-drop': { name: 'Drag & Drop', maxScore: 100 },
-                'track-path': { name: 'Track Path', maxScore: 100 }
-            }
-        }
+    // Module and activity definitions (derived from js/activity-registry.js)
+    modules: Object.fromEntries(
+        Object.values(CognoActivityRegistry.modules).map(mod => [mod.id, {
+            name: mod.name,
+            icon: mod.icon,
+            color: mod.color,
+            activities: Object.fromEntries(
+                CognoActivityRegistry.getActivities(mod.id, { includeUnlisted: true }).map(activity => [
+                    activity.id,
+                    { name: activity.name, maxScore: activity.maxScore, listed: activity.listed }
+                ])
+            )
+        }])
+    ),
+
+    /**
+     * IDs of activities shown in the module catalog (legacy pages excluded)
+     */
+    getListedActivityIds(moduleId) {
+        const activities = this.modules[moduleId]?.activities || {};
+        return Object.keys(activities).filter(id => activities[id].listed);
     },
 
     /**
@@ -96,6 +54,12 @@ const CognoTracker = {
         this.user = await this.getCurrentUser();
         console.log('🎮 CognoTracker initialized', this.user ? `for ${this.user.email}` : '(guest mode)');
 
+        // Replay results that were saved while offline
+        this.registerOutboxHandlers();
+        if (typeof CognoOutbox !== 'undefined') {
+            CognoOutbox.flush();
+        }
+
         return this;
     },
 
@@ -126,7 +90,7 @@ const CognoTracker = {
             if (typeof CognoSupabase === 'undefined') return null;
 
             const { user, profile } = await CognoSupabase.getCurrentUser();
-            if (!user) return null;
+            if (!user) return this.isOffline() ? this.getCachedSessionUser() : null;
 
             return {
                 id: user.id,
@@ -137,10 +101,42 @@ const CognoTracker = {
             };
         } catch (error) {
             console.error('CognoTracker: Error getting user:', error);
-            return null;
+            return this.isOffline() ? this.getCachedSessionUser() : null;
         }
     },
 
+    /**
+     * Build the user from the locally persisted session (works offline)
+     */
+    async getCachedSessionUser() {
+        const { session } = await CognoSupabase.getSession() || {};
+        const user = session?.user;
+        if (!user) return null;
+
+        return {
+            id: user.id,
+            email: user.email,
+            name: user.user_metadata?.full_name || user.email.split('@')[0],
+            role: user.user_metadata?.role || 'student',
+            avatarUrl: user.user_metadata?.avatar_url
+        };
+    },
+
+    /**
+     * Check if the browser reports no network connection
+     */
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    },
+
+    /**
+     * Check if a Supabase error was caused by the network rather than the database
+     */
+    isNetworkError(error) {
+        const message = String(error?.message || error || '');
+        return this.isOffline() || /failed to fetch|networkerror|network request failed|load failed/i.test(message);
+    },
+
     /**
      * Save activity progress to Supabase
      * @param {Object} activity - Activity data
@@ -151,6 +147,12 @@ const CognoTracker = {
      * @param {number} activity.duration - Time spent in seconds
      * @param {number} [activity.accuracy] - Accuracy percentage (0-100)
      * @param {Object} [activity.metadata] - Additional activity data
+     * @param {string} [activity.idempotencyKey] - Unique key for this result (generated when omitted)
+     * @param {number|string} [activity.difficultyLevel] - Level the items were picked for. Only results
+     *   with a level are recorded with the adaptive engine, so fixed content never moves the level.
+     * @param {Array<Object>} [activity.trials] - Per-item results (see CognoActivity.recordTrial)
+     * @param {Object} [activity.movement] - Movement metrics (see CognoMovement.summarize)
+     * @param {Object} [activity.fluency] - Reading fluency metrics (see CognoFluency.summarize)
      */
     async saveActivity(activity) {
         try {
@@ -179,6 +181,8 @@ const CognoTracker = {
             const maxScore = activity.maxScore || activityInfo?.maxScore || 100;
             const percentage = Math.min(100, Math.round((activity.score / maxScore) * 100));
             const accuracy = activity.accuracy ?? percentage;
+            const idempotencyKey = activity.idempotencyKey || this.createIdempotencyKey();
+            const difficulty = await this.recordDifficulty(activity, accuracy);
 
             // Prepare record for student_progress table
             const progressRecord = {
@@ -192,13 +196,43 @@ const CognoTracker = {
                 time_spent_seconds: activity.duration || 0,
                 completed: percentage >= 50, // Consider complete if >= 50%
                 attempts: 1, // Will increment via upsert logic
+                difficulty_level: difficulty?.tier || null,
                 data: {
                     completion_percentage: percentage,
-                    ...(activity.metadata || {})
+                    ...(activity.metadata || {}),
+                    idempotency_key: idempotencyKey,
+                    ...(difficulty ? { adaptive: difficulty.adaptive } : {}),
+                    ...(activity.trials?.length ? { trials: this.summarizeTrials(activity.trials) } : {}),
+                    ...(activity.movement ? { movement: activity.movement } : {}),
+                    ...(activity.fluency ? { fluency: activity.fluency } : {})
                 },
                 updated_at: new Date().toISOString()
             };
 
+            // No connection - keep the result on this device until we are back online
+            if (this.isOffline()) {
+                return await this.queueActivity(activity, progressRecord, percentage, idempotencyKey);
+            }
+
+            // Extend the stored level history when it could not be loaded earlier
+            if (progressRecord.data.adaptive?.partial) {
+                const { data: stored, error: readError } = await CognoSupabase.client
+                    .from('student_progress')
+                    .select('data')
+                    .eq('student_id', progressRecord.student_id)
+                    .eq('module_type', progressRecord.module_type)
+                    .eq('activity_id', progressRecord.activity_id)
+                    .maybeSingle();
+
+                if (readError) {
+                    if (this.isNetworkError(readError)) {
+                        return await this.queueActivity(activity, progressRecord, percentage, idempotencyKey);
+                    }
+                    throw readError;
+                }
+                progressRecord.data.adaptive = CognoAdaptive.mergeStored(progressRecord.data.adaptive, stored?.data?.adaptive);
+            }
+
             console.log('CognoTracker: Saving activity progress...', progressRecord);
 
             // Upsert to student_progress table
@@ -210,6 +244,10 @@ const CognoTracker = {
                 .select();
 
             if (error) {
+                if (this.isNetworkError(error)) {
+                    return await this.queueActivity(activity, progressRecord, percentage, idempotencyKey);
+                }
+
                 console.error('CognoTracker: Database error:', error);
                 // Still show feedback even if save fails
                 this.showLocalFeedback(activity, percentage);
@@ -217,9 +255,13 @@ const CognoTracker = {
             }
 
             console.log('CognoTracker: ✅ Activity saved!', data);
+            this.commitDifficulty(activity, progressRecord);
 
             // Log to activity_logs for history
-            await this.logActivityHistory(activity, percentage);
+            await this.logActivityHistory(activity, percentage, idempotencyKey, progressRecord.difficulty_level);
+
+            // Store individual trials so error patterns can be queried
+            await this.saveTrials(activity, idempotencyKey, progressRecord.difficulty_level);
 
             // Check for achievements
             await this.checkAchievements(activity.moduleId, percentage);
@@ -241,119 +283,274 @@ const CognoTracker = {
     },
 
     /**
-     * Log activity to activity_logs table for history tracking
+     * Record the result with the adaptive difficulty engine and return the
+     * level it was played at plus the state to store for the next session
      */
-    async logActivityHistory(activity, percentage) {
+    async recordDifficulty(activity, accuracy) {
+        if (typeof CognoAdaptive === 'undefined' || !activity.difficultyLevel) return null;
+
         try {
-            const moduleInfo = this.modules[activity.moduleId];
-            const activityInfo = moduleInfo?.activities?.[activity.activityId];
+            // Load the stored history first so it is extended rather than replaced
+            if (!CognoAdaptive.getLevel(activity.moduleId, activity.activityId) && !this.isOffline()) {
+                await CognoAdaptive.getRecommendation(activity.moduleId, activity.activityId, this.user.id);
+            }
 
-            await CognoSupabase.logActivity('activity_completed', {
-                module_type: activity.moduleId,
-                module_name: moduleInfo?.name,
-                activity_id: activity.activityId,
-                activity_name: activityInfo?.name || activity.activityId,
-                score: activity.score,
-                percentage: percentage,
-                duration: activity.duration
-            });
+            return CognoAdaptive.recordResult(
+                activity.moduleId,
+                activity.activityId,
+                accuracy,
+                CognoAdaptive.toLevel(activity.difficultyLevel)
+            );
         } catch (error) {
-            console.error('CognoTracker: Error logging activity history:', error);
+            console.error('CognoTracker: Error recording difficulty:', error);
+            return null;
         }
     },
 
     /**
-     * Check and unlock achievements based on activity
+     * Move the page's adaptive level on once a result is saved or queued
      */
-    async checkAchievements(moduleId, percentage) {
-        try {
-            if (!this.user) return;
+    commitDifficulty(activity, progressRecord) {
+        if (typeof CognoAdaptive === 'undefined' || !progressRecord.data.adaptive) return;
+        CognoAdaptive.commitResult(activity.moduleId, activity.activityId, progressRecord.data.adaptive);
+    },
+
+    /**
+     * Generate a unique key identifying one saved result
+     */
+    createIdempotencyKey() {
+        if (typeof CognoOutbox !== 'undefined') {
+            return CognoOutbox.createKey();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    },
+
+    /**
+     * Queue a result (progress row, history row and achievement check) in the
+     * offline outbox so it can be replayed in order once we are back online
+     */
+    async queueActivity(activity, progressRecord, percentage, idempotencyKey) {
+        if (typeof CognoOutbox === 'undefined' || !CognoOutbox.isSupported()) {
+            console.error('CognoTracker: Offline and no outbox available - activity not saved');
+            this.showLocalFeedback(activity, percentage);
+            return { success: false, error: 'Offline' };
+        }
+
+        const queued = await CognoOutbox.enqueue('progress', { record: progressRecord }, `${idempotencyKey}:progress`);
+        if (!queued.success) {
+            this.showLocalFeedback(activity, percentage);
+            return { success: false, error: queued.error };
+        }
+        this.commitDifficulty(activity, progressRecord);
+
+        await CognoOutbox.enqueue('history', {
+            metadata: this.buildHistoryMetadata(activity, percentage, idempotencyKey, progressRecord.difficulty_level)
+        }, `${idempotencyKey}:history`);
+        if (activity.trials?.length) {
+            await CognoOutbox.enqueue('trials', {
+                rows: this.buildTrialRows(activity, idempotencyKey, progressRecord.difficulty_level)
+            }, `${idempotencyKey}:trials`);
+        }
+        await CognoOutbox.enqueue('achievements', {
+            moduleId: activity.moduleId,
+            percentage
+        }, `${idempotencyKey}:achievements`);
+
+        console.log('CognoTracker: Offline - activity queued for sync', progressRecord);
+        this.showToast(`📦 ${percentage}% saved on this device - it will sync when you're back online`, 'info');
+
+        return { success: true, queued: true, percentage };
+    },
+
+    /**
+     * Register replay handlers for entries queued by queueActivity
+     */
+    registerOutboxHandlers() {
+        if (typeof CognoOutbox === 'undefined') return;
+
+        // student_progress - skip when this result (or a newer one) is already stored
+        CognoOutbox.registerHandler('progress', async ({ record }) => {
+            const { data: existing, error: readError } = await CognoSupabase.client
+                .from('student_progress')
+                .select('data, updated_at')
+                .eq('student_id', record.student_id)
+                .eq('module_type', record.module_type)
+                .eq('activity_id', record.activity_id)
+                .maybeSingle();
+
+            if (readError) throw new Error(readError.message);
+            if (existing?.data?.idempotency_key === record.data.idempotency_key) return;
+            if (existing && new Date(existing.updated_at) > new Date(record.updated_at)) return;
 
-            const achievementsToCheck = [];
+            // Results saved offline before the level history was loaded extend the stored one
+            const adaptive = record.data.adaptive?.partial && typeof CognoAdaptive !== 'undefined'
+                ? CognoAdaptive.mergeStored(record.data.adaptive, existing?.data?.adaptive)
+                : record.data.adaptive;
 
-            // First activity ever
-            const { data: allProgress } = await CognoSupabase.client
+            const { error } = await CognoSupabase.client
                 .from('student_progress')
+                .upsert({ ...record, data: { ...record.data, adaptive } }, { onConflict: 'student_id,module_type,activity_id' });
+
+            if (error) throw new Error(error.message);
+        });
+
+        // activity_logs - plain insert, so look the key up first. The row keeps
+        // the time the result was queued, not the time it synced.
+        CognoOutbox.registerHandler('history', async ({ metadata }, entry) => {
+            const { data: existing, error: readError } = await CognoSupabase.client
+                .from('activity_logs')
                 .select('id')
-                .eq('student_id', this.user.id);
-
-            if (allProgress?.length === 1) {
-                achievementsToCheck.push({
-                    type: 'milestone',
-                    id: 'first_activity',
-                    title: 'First Steps',
-                    description: 'Complete your first activity',
-                    icon: '🌟'
-                });
+                .eq('activity_type', 'activity_completed')
+                .eq('metadata->>idempotency_key', metadata.idempotency_key)
+                .limit(1);
+
+            if (readError) throw new Error(readError.message);
+            if (existing?.length > 0) return;
+
+            const result = await CognoSupabase.logActivity('activity_completed', metadata, { createdAt: entry.queuedAt });
+            if (!result.success) throw new Error(result.error);
+        });
+
+        // activity_trials - (session_key, trial_index) is unique, so duplicates are ignored
+        CognoOutbox.registerHandler('trials', async ({ rows }) => {
+            const { error } = await CognoSupabase.client
+                .from('activity_trials')
+                .upsert(rows, { onConflict: 'session_key,trial_index', ignoreDuplicates: true });
+
+            if (error) throw new Error(error.message);
+        });
+
+        // Achievements are evaluated against the synced data
+        CognoOutbox.registerHandler('achievements', async ({ moduleId, percentage }) => {
+            if (!this.user) {
+                this.user = await this.getCurrentUser();
             }
+            if (!this.user) throw new Error('Not signed in');
+            await this.checkAchievements(moduleId, percentage);
+        });
+    },
+
+    /**
+     * Build the activity_logs metadata for a completed activity
+     */
+    buildHistoryMetadata(activity, percentage, idempotencyKey, difficultyLevel = null) {
+        const moduleInfo = this.modules[activity.moduleId];
+        const activityInfo = moduleInfo?.activities?.[activity.activityId];
+
+        return {
+            module_type: activity.moduleId,
+            module_name: moduleInfo?.name,
+            activity_id: activity.activityId,
+            activity_name: activityInfo?.name || activity.activityId,
+            score: activity.score,
+            percentage: percentage,
+            duration: activity.duration,
+            difficulty_level: difficultyLevel,
+            idempotency_key: idempotencyKey,
+            ...(activity.movement ? { movement: activity.movement } : {}),
+            ...(activity.fluency ? { fluency: activity.fluency } : {})
+        };
+    },
+
+    /**
+     * Log activity to activity_logs table for history tracking
+     */
+    async logActivityHistory(activity, percentage, idempotencyKey, difficultyLevel = null) {
+        try {
+            const metadata = this.buildHistoryMetadata(activity, percentage, idempotencyKey, difficultyLevel);
+            const result = await CognoSupabase.logActivity('activity_completed', metadata);
 
-            // Perfect score
-            if (percentage === 100) {
-                achievementsToCheck.push({
-                    type: 'performance',
-                    id: `perfect_${moduleId}`,
-                    title: 'Perfect Score!',
-                    description: `Get 100% on a ${this.modules[moduleId]?.name} activity`,
-                    icon: '🏆'
-                });
+            // Connection dropped after the progress row was saved
+            if (!result.success && this.isNetworkError(result.error) && typeof CognoOutbox !== 'undefined') {
+                await CognoOutbox.enqueue('history', { metadata }, `${idempotencyKey}:history`);
             }
+        } catch (error) {
+            console.error('CognoTracker: Error logging activity history:', error);
+        }
+    },
 
-            // Module mastery (complete all activities in a module)
-            const moduleActivities = Object.keys(this.modules[moduleId]?.activities || {});
-            const { data: moduleProgress } = await CognoSupabase.client
-                .from('student_progress')
-                .select('activity_id')
-                .eq('student_id', this.user.id)
-                .eq('module_type', moduleId)
-                .eq('completed', true);
-
-            const completedActivities = new Set(moduleProgress?.map(p => p.activity_id) || []);
-            if (moduleActivities.length > 0 && moduleActivities.every(a => completedActivities.has(a))) {
-                achievementsToCheck.push({
-                    type: 'mastery',
-                    id: `mastery_${moduleId}`,
-                    title: `${this.modules[moduleId]?.name} Master`,
-                    description: `Complete all ${this.modules[moduleId]?.name} activities`,
-                    icon: '👑'
-                });
+    /**
+     * Build activity_trials rows for a session's trials
+     */
+    buildTrialRows(activity, idempotencyKey, difficultyLevel = null) {
+        const text = value => (value === null || value === undefined ? null : String(value));
+
+        return (activity.trials || []).map((trial, i) => ({
+            student_id: this.user.id,
+            module_type: activity.moduleId,
+            activity_id: activity.activityId,
+            session_key: idempotencyKey,
+            trial_index: trial.index ?? i,
+            prompt: text(trial.prompt),
+            expected: text(trial.expected ?? trial.prompt),
+            response: text(trial.response),
+            correct: !!trial.correct,
+            latency_ms: trial.latencyMs ?? null,
+            hints_used: trial.hintsUsed || 0,
+            difficulty_level: difficultyLevel,
+            meta: trial.meta || {},
+            created_at: trial.at || new Date().toISOString()
+        }));
+    },
+
+    /**
+     * Short summary of a session's trials, stored on the progress row
+     */
+    summarizeTrials(trials) {
+        const latencies = trials.map(t => t.latencyMs).filter(ms => typeof ms === 'number');
+        return {
+            count: trials.length,
+            correct: trials.filter(t => t.correct).length,
+            hints_used: trials.reduce((sum, t) => sum + (t.hintsUsed || 0), 0),
+            avg_latency_ms: latencies.length
+                ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length)
+                : null
+        };
+    },
+
+    /**
+     * Save a session's trials to activity_trials. Replays rely on the
+     * (session_key, trial_index) unique key from
+     * supabase/migrations/20261018130100_activity_trials.sql.
+     */
+    async saveTrials(activity, idempotencyKey, difficultyLevel = null) {
+        if (!activity.trials?.length) return;
+
+        const rows = this.buildTrialRows(activity, idempotencyKey, difficultyLevel);
+        try {
+            const { error } = await CognoSupabase.client
+                .from('activity_trials')
+                .upsert(rows, { onConflict: 'session_key,trial_index', ignoreDuplicates: true });
+
+            if (error) throw error;
+        } catch (error) {
+            if (this.isNetworkError(error) && typeof CognoOutbox !== 'undefined') {
+                await CognoOutbox.enqueue('trials', { rows }, `${idempotencyKey}:trials`);
+            } else {
+                console.error('CognoTracker: Error saving trials:', error);
             }
+        }
+    },
 
-            // Save any new achievements
-            for (const achievement of achievementsToCheck) {
-                // Check if already earned
-                const { data: existing } = await CognoSupabase.client
-                    .from('user_achievements')
-                    .select('id')
-                    .eq('user_id', this.user.id)
-                    .eq('achievement_id', achievement.id)
-                    .single();
-
-                if (!existing) {
-                    const { error } = await CognoSupabase.client
-                        .from('user_achievements')
-                        .insert({
-                            user_id: this.user.id,
-                            achievement_type: achievement.type,
-                            achievement_id: achievement.id,
-                            title: achievement.title,
-                            description: achievement.description,
-                            icon: achievement.icon,
-                            xp_reward: percentage >= 90 ? 50 : 25,
-                            unlocked_at: new Date().toISOString()
-                        });
-
-                    if (!error) {
-                        this.showAchievementUnlocked(achievement);
-                        // Trigger email notification
-                        if (typeof CognoAPI !== 'undefined' && CognoAPI.Email) {
-                            CognoAPI.Email.sendAchievementNotification(
-                                this.user.name,
-                                this.user.email,
-                                achievement.title,
-                                achievement.description
-                            ).catch(e => console.error('Failed to send achievement email:', e));
-                        }
-                    }
+    /**
+     * Evaluate the achievement rules (js/achievements.js) after a saved result
+     */
+    async checkAchievements(moduleId, percentage) {
+        try {
+            if (!this.user || typeof CognoAchievements === 'undefined') return;
+
+            const unlocked = await CognoAchievements.checkAndAward(this.user.id);
+
+            for (const achievement of unlocked) {
+                this.showAchievementUnlocked(achievement);
+                // Trigger email notification
+                if (typeof CognoAPI !== 'undefined' && CognoAPI.Email) {
+                    CognoAPI.Email.sendAchievementNotification(
+                        this.user.name,
+                        this.user.email,
+                        achievement.title,
+                        achievement.description
+                    ).catch(e => console.error('Failed to send achievement email:', e));
                 }
             }
         } catch (error) {
@@ -551,8 +748,7 @@ const CognoTracker = {
 
             if (error) throw error;
 
-            const activities = this.modules[moduleId]?.activities || {};
-            const totalActivities = Object.keys(activities).length;
+            const totalActivities = this.getListedActivityIds(moduleId).length;
             const completedActivities = data?.filter(p => p.completed)?.length || 0;
             const avgScore = data?.length > 0
                 ? Math.round(data.reduce((sum, p) => sum + ((p.score / p.max_score) * 100 || 0), 0) / data.length)
@@ -12,6 +12,7 @@ const API_BASE_URL = window.location.hostname === 'localhost'
     : 'https://new-cogno-version-1-1-backend.onrender.com/api';
 
 const API_TIMEOUT = 30000; // 30 seconds
+const API_RETRY_AFTER = 60000; // Wait before trying an unreachable backend again
 
 // =========================================================
 // API CLIENT CLASS
@@ -22,6 +23,12 @@ class APIClient {
         this.defaultHeaders = {
             'Content-Type': 'application/json'
         };
+        // Set after the backend fails to answer, so later calls with a local fallback skip the
+        // round-trip until API_RETRY_AFTER has passed or the browser comes back online
+        this.unreachableUntil = 0;
+        window.addEventListener('online', () => {
+            this.unreachableUntil = 0;
+        });
     }
 
     /**
@@ -29,6 +36,9 @@ class APIClient {
      * @returns {Promise<Object>} Headers with auth token
      */
     async getAuthHeaders() {
+        // Pages without js/supabase-client.js call public endpoints only
+        if (typeof CognoSupabase === 'undefined') return this.defaultHeaders;
+
         const { session } = await CognoSupabase.getSession();
 
         if (session?.access_token) {
@@ -163,6 +173,36 @@ class APIClient {
             return { success: false, error: error.message };
         }
     }
+
+    /**
+     * True when a failed request never got an answer from the backend
+     * @param {Object} result - request() / postFormData() result
+     */
+    isUnreachable(result) {
+        return !navigator.onLine ||
+            /failed to fetch|networkerror|load failed|timeout|abort|HTTP 50[234]/i.test(result.error || '');
+    }
+
+    /**
+     * Call the backend, falling back to an on-device implementation when it is unreachable
+     * @param {Function} send - Makes the backend request
+     * @param {Function|null} runLocally - Returns a result of the same shape, or null when there is no fallback
+     * @returns {Promise<Object>} Backend result, or the local one (marked source: 'device')
+     */
+    async withLocalFallback(send, runLocally) {
+        if (!runLocally) return send();
+
+        if (Date.now() < this.unreachableUntil || !navigator.onLine) {
+            return runLocally();
+        }
+
+        const result = await send();
+        if (!result.success && this.isUnreachable(result)) {
+            this.unreachableUntil = Date.now() + API_RETRY_AFTER;
+            return runLocally();
+        }
+        return result;
+    }
 }
 
 // Create API instance
@@ -170,17 +210,23 @@ const api = new APIClient();
 
 // =========================================================
 // DYSPRAXIA MODULE API
-// Requires backend for OpenCV/MediaPipe processing
+// With js/pose-detection.js loaded, CognoPose analyses frames on the device
+// and sends them to the backend itself until the models are deployed;
+// without it every frame goes to the backend
 // =========================================================
 
 const DyspraxiaAPI = {
     /**
      * Process video frame for movement analysis
-     * @param {Blob} frameBlob - Video frame as blob
-     * @param {string} exerciseType - Type of exercise
+     * @param {Blob|HTMLVideoElement|HTMLCanvasElement} frameBlob - Video frame
+     * @param {string} exerciseType - Type of exercise ('hands' or 'body')
      * @returns {Promise<Object>} Analysis results
      */
     async analyzeFrame(frameBlob, exerciseType) {
+        if (typeof CognoPose !== 'undefined') {
+            return CognoPose.analyzeFrame(frameBlob, exerciseType);
+        }
+
         const formData = new FormData();
         formData.append('frame', frameBlob, 'frame.jpg');
         formData.append('exercise_type', exerciseType);
@@ -200,10 +246,14 @@ const DyspraxiaAPI = {
     /**
      * End movement exercise session and get results
      * @param {string} sessionId - Session ID
+     * @param {Object} [movement] - Movement metrics from CognoMovement.summarize()
      * @returns {Promise<Object>} Session results
      */
-    async endSession(sessionId) {
-        return api.post('/dyspraxia/session/end', { session_id: sessionId });
+    async endSession(sessionId, movement = null) {
+        return api.post('/dyspraxia/session/end', {
+            session_id: sessionId,
+            ...(movement ? { movement_metrics: movement } : {})
+        });
     },
 
     /**
@@ -228,10 +278,18 @@ const DyspraxiaAPI = {
 
 // =========================================================
 // AI TEXT PROCESSING API
-// Text simplification for dyslexia support
+// Text simplification for dyslexia support. Simplification, syllables and
+// reading level fall back to js/readability.js when the backend is unreachable
 // =========================================================
 
 const TextProcessingAPI = {
+    /**
+     * On-device implementation of a method, when js/readability.js is loaded
+     */
+    local(method, ...args) {
+        return typeof CognoReadability !== 'undefined' ? () => CognoReadability[method](...args) : null;
+    },
+
     /**
      * Simplify text for easier reading
      * @param {string} text - Text to simplify
@@ -239,7 +297,7 @@ const TextProcessingAPI = {
      * @returns {Promise<Object>} Simplified text
      */
     async simplifyText(text, level = 'intermediate') {
-        return api.post('/text/simplify', { text, level });
+        return api.withLocalFallback(() => api.post('/text/simplify', { text, level }), this.local('simplify', text, level));
     },
 
     /**
@@ -257,7 +315,7 @@ const TextProcessingAPI = {
      * @returns {Promise<Object>} Syllabified text
      */
     async syllabifyText(text) {
-        return api.post('/text/syllabify', { text });
+        return api.withLocalFallback(() => api.post('/text/syllabify', { text }), this.local('syllabifyText', text));
     },
 
     /**
@@ -266,7 +324,7 @@ const TextProcessingAPI = {
      * @returns {Promise<Object>} Reading level info
      */
     async assessReadingLevel(text) {
-        return api.post('/text/reading-level', { text });
+        return api.withLocalFallback(() => api.post('/text/reading-level', { text }), this.local('assess', text));
     },
 
     /**
@@ -281,35 +339,55 @@ const TextProcessingAPI = {
 
 // =========================================================
 // HANDWRITING ANALYSIS API (Dysgraphia)
+// When stroke data is passed and js/handwriting-analysis.js is loaded,
+// analysis runs on the device whenever the backend cannot be reached
 // =========================================================
 
 const HandwritingAPI = {
     /**
      * Analyze handwriting from canvas image
-     * @param {Blob} imageBlob - Canvas image as blob
+     * @param {Blob|null} imageBlob - Canvas image as blob (null to analyse the strokes on the device)
      * @param {string} expectedText - Expected text (for comparison)
+     * @param {Object} [sample] - Strokes from StrokeCapture.toSample(), for the offline path
      * @returns {Promise<Object>} Analysis results
      */
-    async analyzeHandwriting(imageBlob, expectedText) {
-        const formData = new FormData();
-        formData.append('image', imageBlob, 'handwriting.png');
-        formData.append('expected_text', expectedText);
+    async analyzeHandwriting(imageBlob, expectedText, sample = null) {
+        const local = sample && typeof CognoHandwriting !== 'undefined'
+            ? () => CognoHandwriting.analyze(sample, expectedText)
+            : null;
+
+        if (!imageBlob && local) return local();
+
+        return api.withLocalFallback(() => {
+            const formData = new FormData();
+            formData.append('image', imageBlob, 'handwriting.png');
+            formData.append('expected_text', expectedText);
 
-        return api.postFormData('/dysgraphia/analyze', formData);
+            return api.postFormData('/dysgraphia/analyze', formData);
+        }, local);
     },
 
     /**
      * Get letter formation feedback
-     * @param {Blob} imageBlob - Canvas image of letter
+     * @param {Blob|null} imageBlob - Canvas image of letter (null to analyse the strokes on the device)
      * @param {string} targetLetter - Letter being practiced
+     * @param {Object} [sample] - Strokes from StrokeCapture.toSample(), for the offline path
      * @returns {Promise<Object>} Feedback
      */
-    async getLetterFeedback(imageBlob, targetLetter) {
-        const formData = new FormData();
-        formData.append('image', imageBlob, 'letter.png');
-        formData.append('target_letter', targetLetter);
+    async getLetterFeedback(imageBlob, targetLetter, sample = null) {
+        const local = sample && typeof CognoHandwriting !== 'undefined'
+            ? () => CognoHandwriting.letterFeedback(sample, targetLetter)
+            : null;
+
+        if (!imageBlob && local) return local();
+
+        return api.withLocalFallback(() => {
+            const formData = new FormData();
+            formData.append('image', imageBlob, 'letter.png');
+            formData.append('target_letter', targetLetter);
 
-        return api.postFormData('/dysgraphia/letter-feedback', formData);
+            return api.postFormData('/dysgraphia/letter-feedback', formData);
+        }, local);
     },
 
     /**
@@ -0,0 +1,647 @@
+/**
+ * COGNO SOLUTION - Doctor Availability
+ * Weekly working hours, breaks and vacation blocks for each doctor, and the
+ * booking slots they produce.
+ *
+ * Availability is one doctor_availability row per doctor
+ * (supabase/migrations/*_doctor_availability.sql):
+ *   timezone            - IANA zone the hours are written in
+ *   slot_minutes        - length of a booking slot
+ *   min_notice_minutes  - how soon a slot can still be booked
+ *   weekly_hours        - { 0-6 (Sunday-Saturday): [{ start: 'HH:MM', end: 'HH:MM' }] }
+ *   breaks              - [{ start, end, label, days? }] daily, or only on `days`
+ *   blocked_dates       - [{ start: 'YYYY-MM-DD', end: 'YYYY-MM-DD', reason }] vacations
+ *
+ * Slots are generated here from the doctor's busy times (the get_doctor_busy_times
+ * RPC, which returns times only). Times are converted between the doctor's timezone
+ * and the family's, and slots that overlap an active consultation are unavailable.
+ * Hours without a timezone are read in the doctor's profiles.timezone, else UTC.
+ *
+ * Double booking is prevented by the database: consultations has an exclusion
+ * constraint on (doctor_id, time range) for active statuses, see
+ * supabase/migrations/*_consultation_booking_conflicts.sql. An insert or update
+ * that would overlap fails with SQLSTATE 23P01, which toConflict() turns into
+ * a 'slot_conflict' error.
+ *
+ * Usage:
+ *   const slots = await CognoAvailability.getSlots(doctorId, '2026-03-02');
+ *   const { data, error } = await CognoAvailability.book({ doctor_id, patient_id, scheduled_at, ... });
+ *   new AvailabilityEditor('#availability-editor', doctorId);
+ */
+
+const CognoAvailability = {
+    TABLE: 'doctor_availability',
+
+    // Consultations that hold their time
+    ACTIVE_STATUSES: ['pending', 'confirmed', 'in_progress'],
+
+    // Returns a doctor's active bookings as { scheduled_at, duration_minutes }
+    BUSY_TIMES_RPC: 'get_doctor_busy_times',
+
+    // Postgres exclusion_violation, raised by consultations_no_double_booking
+    OVERLAP_ERROR_CODE: '23P01',
+
+    DAY_NAMES: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+
+    DEFAULTS: {
+        timezone: 'UTC',                // Used when neither the schedule nor the doctor's profile has one
+        slot_minutes: 30,
+        min_notice_minutes: 60,
+        weekly_hours: {
+            1: [{ start: '09:00', end: '18:00' }],
+            2: [{ start: '09:00', end: '18:00' }],
+            3: [{ start: '09:00', end: '18:00' }],
+            4: [{ start: '09:00', end: '18:00' }],
+            5: [{ start: '09:00', end: '18:00' }]
+        },
+        breaks: [],
+        blocked_dates: []
+    },
+
+    // =========================================================
+    // TIMEZONES
+    // =========================================================
+
+    /**
+     * The signed-in user's timezone (settings, then the browser's)
+     */
+    viewerTimezone() {
+        if (window.CognoStreaks) return CognoStreaks.getTimezone();
+
+        try {
+            const settings = JSON.parse(localStorage.getItem('cogno-settings') || '{}');
+            if (settings.timezone && this.isValidTimezone(settings.timezone)) return settings.timezone;
+        } catch (e) {
+            // Ignore unreadable settings
+        }
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    },
+
+    isValidTimezone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    zoneParts(date, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(date));
+        const get = type => parts.find(p => p.type === type).value;
+        return { day: `${get('year')}-${get('month')}-${get('day')}`, time: `${get('hour')}:${get('minute')}` };
+    },
+
+    /**
+     * Calendar day of a moment in a timezone, as YYYY-MM-DD
+     */
+    dayKey(date, timeZone) {
+        return this.zoneParts(date, timeZone).day;
+    },
+
+    /**
+     * Wall-clock time of a moment in a timezone, as HH:MM
+     */
+    timeIn(date, timeZone) {
+        return this.zoneParts(date, timeZone).time;
+    },
+
+    /**
+     * Minutes a timezone is ahead of UTC at a moment
+     */
+    offsetMinutes(ms, timeZone) {
+        const { day, time } = this.zoneParts(ms, timeZone);
+        const [y, m, d] = day.split('-').map(Number);
+        const [h, mi] = time.split(':').map(Number);
+        return Math.round((Date.UTC(y, m - 1, d, h, mi) - Math.floor(ms / 60000) * 60000) / 60000);
+    },
+
+    /**
+     * The moment a wall-clock time happens in a timezone
+     * @param {string} day - YYYY-MM-DD
+     * @param {string} time - HH:MM
+     * @param {string} timeZone
+     * @returns {Date}
+     */
+    toInstant(day, time, timeZone) {
+        const [y, m, d] = day.split('-').map(Number);
+        const [h, mi] = time.split(':').map(Number);
+        const wall = Date.UTC(y, m - 1, d, h, mi);
+
+        // The offset can change between the guess and the answer around DST switches
+        const guess = wall - this.offsetMinutes(wall, timeZone) * 60000;
+        return new Date(wall - this.offsetMinutes(guess, timeZone) * 60000);
+    },
+
+    addDays(day, days) {
+        const [y, m, d] = day.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d + days)).toISOString().split('T')[0];
+    },
+
+    weekday(day) {
+        const [y, m, d] = day.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+    },
+
+    minutes(time) {
+        const [h, m] = time.split(':').map(Number);
+        return h * 60 + m;
+    },
+
+    formatMinutes(total) {
+        return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    },
+
+    // =========================================================
+    // STORAGE
+    // =========================================================
+
+    /**
+     * A doctor's availability, with defaults for anything not set yet
+     * @param {string} doctorId
+     * @returns {Promise<Object>}
+     */
+    async load(doctorId) {
+        const [schedule, profile] = await Promise.all([
+            CognoSupabase.client
+                .from(this.TABLE)
+                .select('*')
+                .eq('doctor_id', doctorId)
+                .maybeSingle(),
+            CognoSupabase.client
+                .from('profiles')
+                .select('timezone')
+                .eq('id', doctorId)
+                .maybeSingle()
+        ]);
+
+        if (schedule.error) console.error('Failed to load availability:', schedule.error);
+        return this.withDefaults(schedule.data || {}, profile.data?.timezone);
+    },
+
+    /**
+     * Fill in unset fields. The timezone is always the doctor's - never the
+     * viewer's - so every family sees the same hours.
+     * @param {Object} config - doctor_availability row
+     * @param {string} [doctorTimezone] - The doctor's profiles.timezone
+     */
+    withDefaults(config, doctorTimezone = null) {
+        const merged = { ...this.DEFAULTS, ...config };
+        Object.keys(merged).forEach(key => {
+            if (merged[key] === null || merged[key] === undefined) merged[key] = this.DEFAULTS[key];
+        });
+        merged.timezone = [config.timezone, doctorTimezone].find(zone => zone && this.isValidTimezone(zone))
+            || this.DEFAULTS.timezone;
+        return merged;
+    },
+
+    /**
+     * Save a doctor's availability
+     * @param {string} doctorId
+     * @param {Object} config - Fields described at the top of this file
+     */
+    async save(doctorId, config) {
+        const row = {
+            doctor_id: doctorId,
+            timezone: config.timezone,
+            slot_minutes: config.slot_minutes,
+            min_notice_minutes: config.min_notice_minutes,
+            weekly_hours: config.weekly_hours,
+            breaks: config.breaks,
+            blocked_dates: config.blocked_dates,
+            updated_at: new Date().toISOString()
+        };
+
+        const { error } = await CognoSupabase.client
+            .from(this.TABLE)
+            .upsert(row, { onConflict: 'doctor_id' });
+
+        if (error) throw error;
+        return row;
+    },
+
+    /**
+     * When a doctor is booked within a time range, across all families
+     * @param {string} doctorId
+     * @param {Date|string|number} from
+     * @param {Date|string|number} to
+     * @param {Object} [options]
+     * @param {string} [options.excludeId] - Consultation being moved
+     * @returns {Promise<Array<{ scheduled_at, duration_minutes }>>}
+     */
+    async loadBookings(doctorId, from, to, { excludeId = null } = {}) {
+        const { data, error } = await CognoSupabase.client.rpc(this.BUSY_TIMES_RPC, {
+            p_doctor_id: doctorId,
+            p_from: new Date(from).toISOString(),
+            p_to: new Date(to).toISOString(),
+            p_exclude_id: excludeId
+        });
+
+        if (error) throw error;
+        return data || [];
+    },
+
+    // =========================================================
+    // SLOTS
+    // =========================================================
+
+    isBlocked(config, day) {
+        return config.blocked_dates.some(block => day >= block.start && day <= (block.end || block.start));
+    },
+
+    inBreak(config, weekday, start, end) {
+        return config.breaks.some(b => (!b.days?.length || b.days.includes(weekday))
+            && start < this.minutes(b.end) && end > this.minutes(b.start));
+    },
+
+    bookingEnd(booking) {
+        return new Date(booking.scheduled_at).getTime() + (booking.duration_minutes || 30) * 60000;
+    },
+
+    overlapping(bookings, start, end) {
+        return bookings.filter(b => new Date(b.scheduled_at).getTime() < end && this.bookingEnd(b) > start);
+    },
+
+    /**
+     * Whether a time range lies inside the doctor's working hours
+     * (not on a blocked date and clear of breaks)
+     */
+    isWithinHours(config, start, durationMinutes) {
+        const day = this.dayKey(start, config.timezone);
+        if (this.isBlocked(config, day)) return false;
+
+        const weekday = this.weekday(day);
+        const from = this.minutes(this.timeIn(start, config.timezone));
+        const to = from + durationMinutes;
+
+        return (config.weekly_hours[weekday] || []).some(w => from >= this.minutes(w.start) && to <= this.minutes(w.end))
+            && !this.inBreak(config, weekday, from, to);
+    },
+
+    /**
+     * Booking slots that start on a day in the viewer's timezone
+     * @param {Object} config - Availability from load()
+     * @param {string} day - YYYY-MM-DD in the viewer's timezone
+     * @param {Object} [options]
+     * @param {string} [options.timeZone] - Viewer's timezone
+     * @param {Array} [options.bookings=[]] - Active consultations (scheduled_at, duration_minutes)
+     * @param {Date} [options.now=new Date()]
+     * @returns {Array<Object>} [{ start, end, time, doctor_time, is_available, reason }]
+     *   time is HH:MM for the viewer, doctor_time for the doctor; reason is 'booked' or 'too_soon'
+     */
+    generateSlots(config, day, { timeZone = this.viewerTimezone(), bookings = [], now = new Date() } = {}) {
+        const length = config.slot_minutes;
+        const earliest = now.getTime() + config.min_notice_minutes * 60000;
+        const slots = [];
+
+        // The viewer's day can overlap the doctor's previous or next day
+        [-1, 0, 1].forEach(shift => {
+            const doctorDay = this.addDays(day, shift);
+            if (this.isBlocked(config, doctorDay)) return;
+            const weekday = this.weekday(doctorDay);
+
+            (config.weekly_hours[weekday] || []).forEach(window => {
+                for (let m = this.minutes(window.start); m + length <= this.minutes(window.end); m += length) {
+                    if (this.inBreak(config, weekday, m, m + length)) continue;
+
+                    const doctorTime = this.formatMinutes(m);
+                    const start = this.toInstant(doctorDay, doctorTime, config.timezone);
+                    if (this.dayKey(start, timeZone) !== day) continue;
+
+                    const end = start.getTime() + length * 60000;
+                    const reason = start.getTime() < earliest ? 'too_soon'
+                        : this.overlapping(bookings, start.getTime(), end).length ? 'booked'
+                            : null;
+
+                    slots.push({
+                        start: start.toISOString(),
+                        end: new Date(end).toISOString(),
+                        time: this.timeIn(start, timeZone),
+                        doctor_time: doctorTime,
+                        is_available: !reason,
+                        reason
+                    });
+                }
+            });
+        });
+
+        return slots.sort((a, b) => a.start.localeCompare(b.start));
+    },
+
+    /**
+     * Slots for a doctor on a day, with current bookings
+     * @param {string} doctorId
+     * @param {string} day - YYYY-MM-DD in the viewer's timezone
+     * @param {Object} [options] - { timeZone }
+     */
+    async getSlots(doctorId, day, { timeZone = this.viewerTimezone() } = {}) {
+        const config = await this.load(doctorId);
+        const from = this.toInstant(day, '00:00', timeZone);
+        const to = this.toInstant(this.addDays(day, 1), '00:00', timeZone);
+        const bookings = await this.loadBookings(doctorId, from, to);
+        return this.generateSlots(config, day, { timeZone, bookings });
+    },
+
+    // =========================================================
+    // BOOKING
+    // =========================================================
+
+    conflictError(message = 'That time has just been booked. Please pick another slot.') {
+        const error = new Error(message);
+        error.code = 'slot_conflict';
+        return error;
+    },
+
+    /**
+     * A database error from saving a consultation, as a 'slot_conflict' error
+     * when the time overlapped another booking
+     * @param {Object|null} error - Supabase error
+     * @returns {Object|null}
+     */
+    toConflict(error) {
+        return error?.code === this.OVERLAP_ERROR_CODE ? this.conflictError() : error;
+    },
+
+    /**
+     * Why a consultation can't go at a time, if it can't. Lets the page explain
+     * before saving; the database still has the final say.
+     * @param {string} doctorId
+     * @param {string|Date} scheduledAt
+     * @param {number} durationMinutes
+     * @param {Object} [options]
+     * @param {string} [options.excludeId] - Consultation being moved
+     * @param {boolean} [options.requireHours=true] - Also require the doctor's working hours
+     * @returns {Promise<Error|null>} Error with code 'slot_conflict'
+     */
+    async checkConflict(doctorId, scheduledAt, durationMinutes, { excludeId = null, requireHours = true } = {}) {
+        const start = new Date(scheduledAt).getTime();
+        const end = start + durationMinutes * 60000;
+
+        if (requireHours) {
+            const config = await this.load(doctorId);
+            if (!this.isWithinHours(config, start, durationMinutes)) {
+                return this.conflictError('The doctor is not available at that time.');
+            }
+        }
+
+        const bookings = await this.loadBookings(doctorId, start, end, { excludeId });
+        if (this.overlapping(bookings, start, end).length) {
+            return this.conflictError();
+        }
+        return null;
+    },
+
+    /**
+     * Insert a consultation unless it clashes with the doctor's hours or another booking
+     * @param {Object} consultation - consultations row (doctor_id, scheduled_at, duration_minutes, ...)
+     * @param {Object} [options] - { requireHours }
+     * @returns {Promise<{ data: Object|null, error: Error|null }>}
+     */
+    async book(consultation, { requireHours = true } = {}) {
+        const duration = consultation.duration_minutes || 30;
+        const conflict = await this.checkConflict(consultation.doctor_id, consultation.scheduled_at, duration, { requireHours });
+        if (conflict) return { data: null, error: conflict };
+
+        // Two families can pass the check at the same moment; the constraint rejects the later one
+        const { data, error } = await CognoSupabase.client
+            .from('consultations')
+            .insert({ ...consultation, duration_minutes: duration })
+            .select()
+            .single();
+
+        if (error) return { data: null, error: this.toConflict(error) };
+        return { data, error: null };
+    }
+};
+
+// =========================================================
+// AVAILABILITY EDITOR CLASS
+// =========================================================
+
+class AvailabilityEditor {
+    /**
+     * @param {string} containerSelector - Element to render the editor into
+     * @param {string} doctorId
+     * @param {Object} [options]
+     * @param {Function} [options.onSave] - Called with the saved availability
+     */
+    constructor(containerSelector, doctorId, options = {}) {
+        this.container = document.querySelector(containerSelector);
+        this.doctorId = doctorId;
+        this.options = { onSave: null, ...options };
+        this.config = null;
+    }
+
+    async init() {
+        this.config = await CognoAvailability.load(this.doctorId);
+        this.render();
+        this.bindEvents();
+        return this;
+    }
+
+    attr(value) {
+        return String(value || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+
+    timezoneOptions() {
+        const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [this.config.timezone];
+        if (!zones.includes(this.config.timezone)) zones.unshift(this.config.timezone);
+        return zones.map(zone => `<option value="${zone}" ${zone === this.config.timezone ? 'selected' : ''}>${zone.replace(/_/g, ' ')}</option>`).join('');
+    }
+
+    render() {
+        const { DAY_NAMES } = CognoAvailability;
+        // Monday first
+        const days = [1, 2, 3, 4, 5, 6, 0];
+
+        this.container.innerHTML = `
+            <div class="availability-editor">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Timezone</label>
+                        <select class="availability-timezone">${this.timezoneOptions()}</select>
+                    </div>
+                    <div class="form-group">
+                        <label>Slot length</label>
+                        <select class="availability-slot">
+                            ${[15, 20, 30, 45, 60].map(m => `<option value="${m}" ${m === this.config.slot_minutes ? 'selected' : ''}>${m} minutes</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Minimum notice</label>
+                        <select class="availability-notice">
+                            ${[[0, 'None'], [60, '1 hour'], [240, '4 hours'], [1440, '1 day'], [2880, '2 days']].map(([m, label]) => `<option value="${m}" ${m === this.config.min_notice_minutes ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
+
+                <div class="form-group">
+                    <label>Weekly hours</label>
+                    ${days.map(day => {
+                        const window = this.config.weekly_hours[day]?.[0];
+                        return `
+                            <div class="availability-day" data-day="${day}">
+                                <label class="availability-day-name">
+                                    <input type="checkbox" class="availability-day-on" ${window ? 'checked' : ''}>
+                                    ${DAY_NAMES[day]}
+                                </label>
+                                <input type="time" class="availability-day-start" value="${window?.start || '09:00'}" ${window ? '' : 'disabled'}>
+                                <span>to</span>
+                                <input type="time" class="availability-day-end" value="${window?.end || '18:00'}" ${window ? '' : 'disabled'}>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+
+                <div class="form-group">
+                    <label>Breaks (every working day)</label>
+                    <div class="availability-breaks"></div>
+                    <button type="button" class="btn btn-outline availability-add-break"><i class="fa-solid fa-plus"></i> Add break</button>
+                </div>
+
+                <div class="form-group">
+                    <label>Vacation and days off</label>
+                    <div class="availability-blocks"></div>
+                    <button type="button" class="btn btn-outline availability-add-block"><i class="fa-solid fa-plus"></i> Add days off</button>
+                </div>
+
+                <div class="availability-footer">
+                    <span class="availability-status"></span>
+                    <button type="button" class="btn btn-primary availability-save"><i class="fa-solid fa-check"></i> Save Availability</button>
+                </div>
+            </div>
+        `;
+
+        this.config.breaks.forEach(b => this.addBreakRow(b));
+        this.config.blocked_dates.forEach(block => this.addBlockRow(block));
+    }
+
+    addBreakRow(b = { start: '13:00', end: '14:00', label: 'Lunch' }) {
+        const row = document.createElement('div');
+        row.className = 'availability-row availability-break';
+        row.innerHTML = `
+            <input type="time" class="break-start" value="${b.start}">
+            <span>to</span>
+            <input type="time" class="break-end" value="${b.end}">
+            <input type="text" class="break-label" value="${this.attr(b.label)}" placeholder="Label">
+            <button type="button" class="btn btn-outline availability-remove" aria-label="Remove"><i class="fa-solid fa-trash"></i></button>
+        `;
+        this.container.querySelector('.availability-breaks').appendChild(row);
+    }
+
+    addBlockRow(block = {}) {
+        const today = new Date().toISOString().split('T')[0];
+        const row = document.createElement('div');
+        row.className = 'availability-row availability-block';
+        row.innerHTML = `
+            <input type="date" class="block-start" value="${block.start || today}">
+            <span>to</span>
+            <input type="date" class="block-end" value="${block.end || block.start || today}">
+            <input type="text" class="block-reason" value="${this.attr(block.reason)}" placeholder="Reason">
+            <button type="button" class="btn btn-outline availability-remove" aria-label="Remove"><i class="fa-solid fa-trash"></i></button>
+        `;
+        this.container.querySelector('.availability-blocks').appendChild(row);
+    }
+
+    bindEvents() {
+        this.container.querySelectorAll('.availability-day-on').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                checkbox.closest('.availability-day').querySelectorAll('input[type="time"]').forEach(input => {
+                    input.disabled = !checkbox.checked;
+                });
+            });
+        });
+
+        this.container.querySelector('.availability-add-break').addEventListener('click', () => this.addBreakRow());
+        this.container.querySelector('.availability-add-block').addEventListener('click', () => this.addBlockRow());
+        this.container.addEventListener('click', (e) => {
+            e.target.closest('.availability-remove')?.closest('.availability-row').remove();
+        });
+
+        this.container.querySelector('.availability-save').addEventListener('click', () => this.save());
+    }
+
+    /**
+     * Availability as entered, or an error message
+     */
+    read() {
+        const value = selector => this.container.querySelector(selector).value;
+        const weekly = {};
+
+        for (const row of this.container.querySelectorAll('.availability-day')) {
+            if (!row.querySelector('.availability-day-on').checked) continue;
+            const start = row.querySelector('.availability-day-start').value;
+            const end = row.querySelector('.availability-day-end').value;
+            if (!start || !end || start >= end) {
+                return { error: `${CognoAvailability.DAY_NAMES[row.dataset.day]}: the end time must be after the start time` };
+            }
+            weekly[row.dataset.day] = [{ start, end }];
+        }
+
+        const breaks = [...this.container.querySelectorAll('.availability-break')].map(row => ({
+            start: row.querySelector('.break-start').value,
+            end: row.querySelector('.break-end').value,
+            label: row.querySelector('.break-label').value.trim()
+        }));
+        if (breaks.some(b => !b.start || !b.end || b.start >= b.end)) {
+            return { error: 'Each break must end after it starts' };
+        }
+
+        const blocks = [...this.container.querySelectorAll('.availability-block')].map(row => ({
+            start: row.querySelector('.block-start').value,
+            end: row.querySelector('.block-end').value,
+            reason: row.querySelector('.block-reason').value.trim()
+        }));
+        if (blocks.some(b => !b.start || !b.end || b.start > b.end)) {
+            return { error: 'Each block of days off must end on or after its first day' };
+        }
+
+        return {
+            config: {
+                ...this.config,
+                timezone: value('.availability-timezone'),
+                slot_minutes: parseInt(value('.availability-slot'), 10),
+                min_notice_minutes: parseInt(value('.availability-notice'), 10),
+                weekly_hours: weekly,
+                breaks,
+                blocked_dates: blocks
+            }
+        };
+    }
+
+    async save() {
+        const status = this.container.querySelector('.availability-status');
+        const { config, error } = this.read();
+        if (error) {
+            status.textContent = error;
+            return;
+        }
+
+        const btn = this.container.querySelector('.availability-save');
+        btn.disabled = true;
+        status.textContent = 'Saving...';
+        try {
+            await CognoAvailability.save(this.doctorId, config);
+            this.config = config;
+            status.textContent = 'Saved';
+            this.options.onSave?.(config);
+        } catch (err) {
+            console.error('Failed to save availability:', err);
+            status.textContent = 'Could not save. Please try again.';
+        } finally {
+            btn.disabled = false;
+        }
+    }
+}
+
+// Make globally available
+window.CognoAvailability = CognoAvailability;
+window.AvailabilityEditor = AvailabilityEditor;
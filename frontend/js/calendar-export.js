@@ -0,0 +1,237 @@
+/**
+ * COGNO SOLUTION - Calendar Export
+ * iCalendar (.ics) events for consultations, and a private feed URL that
+ * calendar apps can subscribe to.
+ *
+ * Each consultation keeps the same UID, so importing it again or refreshing the
+ * feed updates the event. Reschedules raise SEQUENCE (from updated_at) and
+ * cancelled consultations are sent as STATUS:CANCELLED, which calendar apps
+ * show as cancelled or remove.
+ *
+ * Feed: every user gets a random token in calendar_feeds (user_id, token, created_at).
+ * The calendar-feed Edge Function (supabase/functions/calendar-feed) serves
+ * GET {SUPABASE_URL}/functions/v1/calendar-feed/<token>.ics by looking the token
+ * up with the service role key, so calendar apps need no session. It builds the
+ * same events as buildCalendar() below. Resetting the token stops the old URL working.
+ *
+ * Usage:
+ *   CognoCalendar.download(consultation, 'family');
+ *   const { url, webcal } = await CognoCalendar.getFeed(userId);
+ */
+
+const CognoCalendar = {
+    PRODID: '-//Cogno Solution//Consultations//EN',
+    FEED_TABLE: 'calendar_feeds',
+    FEED_FUNCTION: 'calendar-feed',
+
+    CANCELLED_STATUSES: ['cancelled'],
+
+    // =========================================================
+    // ICS FORMAT
+    // =========================================================
+
+    /**
+     * Escape TEXT values (RFC 5545 3.3.11)
+     */
+    escape(text) {
+        return String(text || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    /**
+     * Fold a content line to 75 octets
+     */
+    fold(line) {
+        const bytes = new TextEncoder().encode(line);
+        if (bytes.length <= 75) return line;
+
+        const parts = [];
+        let current = '';
+        let size = 0;
+        for (const char of line) {
+            const length = new TextEncoder().encode(char).length;
+            // Continuation lines start with a space, which counts towards their 75
+            if (size + length > (parts.length ? 74 : 75)) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += length;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    },
+
+    /**
+     * UTC date-time, e.g. 20260302T093000Z
+     */
+    formatDate(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    uid(consultation) {
+        return `consultation-${consultation.id}@cogno.care`;
+    },
+
+    /**
+     * Increases with every change, as calendar apps only apply updates with a higher SEQUENCE
+     */
+    sequence(consultation) {
+        if (!consultation.updated_at || !consultation.created_at) return 0;
+        return Math.max(0, Math.floor((new Date(consultation.updated_at) - new Date(consultation.created_at)) / 1000));
+    },
+
+    eventStatus(status) {
+        if (this.CANCELLED_STATUSES.includes(status)) return 'CANCELLED';
+        return status === 'pending' ? 'TENTATIVE' : 'CONFIRMED';
+    },
+
+    joinUrl(consultation) {
+        const path = consultation.meeting_url || `/consultations/video.html?id=${consultation.id}`;
+        return new URL(path, window.location.origin).href;
+    },
+
+    personName(profile) {
+        return profile?.display_name || profile?.full_name || '';
+    },
+
+    /**
+     * VEVENT lines for a consultation
+     * @param {Object} consultation - consultations row, with doctor and patient profiles joined when available
+     * @param {string} role - 'family' or 'doctor' (who the calendar belongs to)
+     * @returns {Array<string>}
+     */
+    eventLines(consultation, role) {
+        const start = new Date(consultation.scheduled_at);
+        const end = new Date(start.getTime() + (consultation.duration_minutes || 30) * 60000);
+        const cancelled = this.CANCELLED_STATUSES.includes(consultation.status);
+
+        const doctorName = this.personName(consultation.doctor);
+        const attendee = role === 'doctor'
+            ? this.personName(consultation.patient) || 'patient'
+            : doctorName ? (doctorName.startsWith('Dr.') ? doctorName : `Dr. ${doctorName}`) : 'your doctor';
+        const summary = `${cancelled ? 'Cancelled: ' : ''}Consultation with ${attendee}`;
+
+        const description = [
+            consultation.reason ? `Reason: ${consultation.reason}` : '',
+            cancelled ? 'This consultation has been cancelled.' : `Join the video call: ${this.joinUrl(consultation)}`
+        ].filter(Boolean).join('\n');
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${this.uid(consultation)}`,
+            `DTSTAMP:${this.formatDate(new Date())}`,
+            `DTSTART:${this.formatDate(start)}`,
+            `DTEND:${this.formatDate(end)}`,
+            `SEQUENCE:${this.sequence(consultation)}`,
+            `STATUS:${this.eventStatus(consultation.status)}`,
+            `SUMMARY:${this.escape(summary)}`,
+            `DESCRIPTION:${this.escape(description)}`
+        ];
+        if (!cancelled) lines.push('LOCATION:Cogno video call', `URL:${this.joinUrl(consultation)}`);
+        if (consultation.updated_at) lines.push(`LAST-MODIFIED:${this.formatDate(consultation.updated_at)}`);
+
+        // Reminder 15 minutes before, when the call can be joined
+        if (!cancelled) {
+            lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${this.escape(summary)}`, 'TRIGGER:-PT15M', 'END:VALARM');
+        }
+        lines.push('END:VEVENT');
+        return lines;
+    },
+
+    /**
+     * A complete .ics document
+     * @param {Array<Object>} consultations
+     * @param {Object} [options]
+     * @param {string|Function} [options.role='family'] - Role, or consultation => role
+     * @param {string} [options.name] - Calendar name shown by subscribing apps
+     * @returns {string}
+     */
+    buildCalendar(consultations, { role = 'family', name = null } = {}) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+        if (name) lines.push(`X-WR-CALNAME:${this.escape(name)}`, 'REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+
+        consultations.forEach(consultation => {
+            lines.push(...this.eventLines(consultation, typeof role === 'function' ? role(consultation) : role));
+        });
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.fold(line)).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Save one consultation as an .ics file
+     * @param {Object} consultation
+     * @param {string} [role='family']
+     */
+    download(consultation, role = 'family') {
+        const ics = this.buildCalendar([consultation], { role });
+        const date = new Date(consultation.scheduled_at).toISOString().split('T')[0];
+
+        const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `consultation-${date}.ics`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    // =========================================================
+    // SUBSCRIPTION FEED
+    // =========================================================
+
+    feedUrls(token) {
+        const url = `${SUPABASE_URL}/functions/v1/${this.FEED_FUNCTION}/${token}.ics`;
+        return { token, url, webcal: url.replace(/^https?:/, 'webcal:') };
+    },
+
+    createToken() {
+        const bytes = new Uint8Array(24);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * The user's feed URLs, creating the token the first time
+     * @param {string} userId
+     * @returns {Promise<{ token, url, webcal }>}
+     */
+    async getFeed(userId) {
+        const { data, error } = await CognoSupabase.client
+            .from(this.FEED_TABLE)
+            .select('token')
+            .eq('user_id', userId)
+            .maybeSingle();
+        if (error) throw error;
+
+        return data ? this.feedUrls(data.token) : this.resetFeed(userId);
+    },
+
+    /**
+     * Replace the user's token; the old feed URL stops working
+     */
+    async resetFeed(userId) {
+        const token = this.createToken();
+        const { error } = await CognoSupabase.client
+            .from(this.FEED_TABLE)
+            .upsert({ user_id: userId, token, created_at: new Date().toISOString() }, { onConflict: 'user_id' });
+        if (error) throw error;
+
+        return this.feedUrls(token);
+    }
+};
+
+// Make globally available
+window.CognoCalendar = CognoCalendar;
@@ -0,0 +1,329 @@
+/**
+ * COGNO SOLUTION - On-device Handwriting Analysis
+ * Analyses strokes recorded by js/stroke-capture.js instead of uploading a
+ * canvas image, so dysgraphia feedback works without the backend.
+ * HandwritingAPI (js/api-client.js) uses it automatically when the backend
+ * cannot be reached.
+ *
+ * Writing is split into letters by grouping strokes that overlap horizontally,
+ * then measured for:
+ *   legibility          - ink follows the guide and the expected letters are all there
+ *   letter_sizing       - letters of the same kind (small, tall, descending) are the same height
+ *   baseline_alignment  - letters sit on one straight line
+ *   spacing             - gaps between letters are even, with clear gaps between words
+ *
+ * Usage:
+ *   const result = CognoHandwriting.analyze(capture.toSample(), 'happy');
+ *   // { success: true, source: 'device', data: { overall_score, legibility, letter_sizing, ... feedback } }
+ */
+
+const CognoHandwriting = {
+    // Letter height variation (std / mean) at which the sizing score reaches 0
+    SIZE_TOLERANCE: 0.35,
+
+    // Distance from the fitted baseline (in letter heights) at which the baseline score reaches 0
+    BASELINE_TOLERANCE: 0.25,
+
+    // Spread of letter gaps (in letter heights) at which the spacing score reaches 0
+    SPACING_TOLERANCE: 0.3,
+
+    // Gaps narrower than this (in letter heights) count as crowded
+    CROWDED_GAP: 0.05,
+
+    // Word gaps should be at least this many times the average letter gap
+    WORD_GAP_RATIO: 1.5,
+
+    // Feedback is given for any part scoring below this
+    FEEDBACK_BELOW: 70,
+
+    TALL_LETTERS: 'bdfhklt',
+    DESCENDING_LETTERS: 'gjpqy',
+
+    clamp(value) {
+        return Math.round(Math.min(100, Math.max(0, value)));
+    },
+
+    mean(values) {
+        return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+    },
+
+    median(values) {
+        if (!values.length) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    },
+
+    std(values) {
+        const avg = this.mean(values);
+        return Math.sqrt(this.mean(values.map(v => (v - avg) ** 2)));
+    },
+
+    /**
+     * Small, tall or descending, for comparing like with like
+     */
+    letterKind(char) {
+        if (/[A-Z0-9]/.test(char) || this.TALL_LETTERS.includes(char)) return 'tall';
+        if (this.DESCENDING_LETTERS.includes(char)) return 'descending';
+        return 'small';
+    },
+
+    /**
+     * Strokes in canvas pixels from a StrokeCapture.toSample() (packed) or point arrays
+     */
+    strokesFrom(sample) {
+        const strokes = Array.isArray(sample) ? sample : sample?.strokes || [];
+        return strokes
+            .map(stroke => (Array.isArray(stroke[0]) ? CognoStrokes.unpack([stroke])[0] : stroke))
+            .filter(stroke => stroke.length > 0);
+    },
+
+    bounds(points) {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const box = { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+        return { ...box, width: box.maxX - box.minX, height: box.maxY - box.minY, cx: (box.minX + box.maxX) / 2 };
+    },
+
+    /**
+     * Group strokes into letters, left to right
+     * Strokes that overlap horizontally (a t's cross, an i's dot) join the same letter.
+     * @returns {Array} [{ strokes, box }]
+     */
+    segmentLetters(strokes) {
+        const items = strokes
+            .map(stroke => ({ strokes: [stroke], box: this.bounds(stroke) }))
+            .sort((a, b) => a.box.minX - b.box.minX);
+
+        return items.reduce((letters, item) => {
+            const last = letters[letters.length - 1];
+            if (last) {
+                const overlap = Math.min(last.box.maxX, item.box.maxX) - Math.max(last.box.minX, item.box.minX);
+                const narrower = Math.max(1, Math.min(last.box.width, item.box.width));
+                if (overlap >= narrower * 0.3 || (overlap >= 0 && item.box.width < 4)) {
+                    last.strokes.push(...item.strokes);
+                    last.box = this.bounds(last.strokes.flat());
+                    return letters;
+                }
+            }
+            letters.push(item);
+            return letters;
+        }, []);
+    },
+
+    /**
+     * Height consistency within each kind of letter
+     */
+    measureSizing(letters, kinds) {
+        const groups = {};
+        letters.forEach((letter, i) => {
+            (groups[kinds?.[i] || 'all'] = groups[kinds?.[i] || 'all'] || []).push(letter.box.height);
+        });
+
+        const compared = Object.values(groups).filter(heights => heights.length > 1);
+        const count = compared.reduce((sum, heights) => sum + heights.length, 0);
+        const variation = count
+            ? compared.reduce((sum, heights) => sum + (this.std(heights) / (this.mean(heights) || 1)) * heights.length, 0) / count
+            : 0;
+
+        return {
+            score: this.clamp(100 * (1 - variation / this.SIZE_TOLERANCE)),
+            average_height: Math.round(this.mean(letters.map(l => l.box.height))),
+            variation: Math.round(variation * 100) / 100
+        };
+    },
+
+    /**
+     * How far letter bottoms stray from a straight line, and how much that line slopes
+     */
+    measureBaseline(letters, kinds, letterHeight) {
+        const sitting = letters.filter((_, i) => kinds?.[i] !== 'descending');
+        if (sitting.length < 2) return { score: 100, deviation: 0, drift: 0 };
+
+        // Least-squares line through the letter bottoms
+        const xs = sitting.map(l => l.box.cx);
+        const ys = sitting.map(l => l.box.maxY);
+        const mx = this.mean(xs);
+        const my = this.mean(ys);
+        const sxx = xs.reduce((sum, x) => sum + (x - mx) ** 2, 0);
+        const slope = sxx ? xs.reduce((sum, x, i) => sum + (x - mx) * (ys[i] - my), 0) / sxx : 0;
+        const residuals = xs.map((x, i) => ys[i] - (my + slope * (x - mx)));
+        const deviation = Math.sqrt(this.mean(residuals.map(r => r * r))) / (letterHeight || 1);
+
+        return {
+            score: this.clamp(100 * (1 - deviation / this.BASELINE_TOLERANCE)),
+            deviation: Math.round(deviation * 100) / 100,
+            // Degrees; positive slopes downhill (canvas y grows downwards)
+            drift: Math.round(Math.atan(slope) * 180 / Math.PI)
+        };
+    },
+
+    /**
+     * Evenness of letter gaps, crowding, and word gaps
+     * @param {Array<number>} wordStarts - Letter indexes that start a new word
+     */
+    measureSpacing(letters, wordStarts, letterHeight) {
+        const gaps = letters.slice(1).map((letter, i) => ({
+            gap: (letter.box.minX - letters[i].box.maxX) / (letterHeight || 1),
+            word: wordStarts.includes(i + 1)
+        }));
+        const letterGaps = gaps.filter(g => !g.word).map(g => g.gap);
+        const wordGaps = gaps.filter(g => g.word).map(g => g.gap);
+
+        if (gaps.length === 0) return { score: 100, average_gap: 0, variation: 0, crowded: 0, word_gaps_clear: true };
+
+        const crowded = letterGaps.filter(gap => gap < this.CROWDED_GAP).length;
+        const spread = letterGaps.length > 1 ? this.std(letterGaps) : 0;
+        const wordGapsClear = wordGaps.every(gap => gap >= Math.max(this.CROWDED_GAP, this.mean(letterGaps)) * this.WORD_GAP_RATIO);
+
+        return {
+            score: this.clamp(100 * (1 - spread / this.SPACING_TOLERANCE)
+                - 50 * (letterGaps.length ? crowded / letterGaps.length : 0)
+                - (wordGapsClear ? 0 : 20)),
+            average_gap: Math.round(this.mean(letterGaps) * 100) / 100,
+            variation: Math.round(spread * 100) / 100,
+            crowded,
+            word_gaps_clear: wordGapsClear
+        };
+    },
+
+    /**
+     * Template fit of the ink (shape and in-bounds), when the sample was traced over a guide
+     */
+    templateFit(sample) {
+        const saved = sample?.template;
+        if (!saved?.id || typeof StrokeCapture === 'undefined' || typeof document === 'undefined') return null;
+
+        const template = CognoStrokes.getTemplate(saved.type, saved.id, { font: saved.font });
+        if (!template) return null;
+
+        // Rebuild the guide on a hidden canvas of the same size
+        const { width, height } = sample.canvas || { width: 500, height: 250 };
+        const capture = new StrokeCapture(document.createElement('canvas'), { width, height, readOnly: true });
+        capture.setTemplate(template);
+        if (sample.box) capture.box = sample.box;
+        capture.strokes = this.strokesFrom(sample);
+        return capture.score();
+    },
+
+    feedbackFor(data) {
+        const tips = [];
+        const add = (score, tip) => { if (score < this.FEEDBACK_BELOW) tips.push({ score, tip }); };
+
+        add(data.legibility.score, data.legibility.letters_found < data.legibility.letters_expected
+            ? 'Some letters are missing - check every letter of the word is there.'
+            : 'Follow the guide closely so every letter is clear.');
+        add(data.letter_sizing.score, 'Try to keep letters of the same kind the same height.');
+        add(data.baseline_alignment.score, Math.abs(data.baseline_alignment.drift) >= 5
+            ? `Your writing slopes ${data.baseline_alignment.drift > 0 ? 'down' : 'up'} - keep every letter sitting on the line.`
+            : 'Keep every letter sitting on the line.');
+        add(data.spacing.score, data.spacing.crowded > 0
+            ? 'Leave a little space between letters.'
+            : !data.spacing.word_gaps_clear
+                ? 'Leave a finger space between words.'
+                : 'Try to keep the gaps between letters even.');
+
+        return tips.length ? tips.sort((a, b) => a.score - b.score).map(t => t.tip) : ['Neat and even handwriting!'];
+    },
+
+    /**
+     * Analyse written text (same data shape as POST /dysgraphia/analyze)
+     * @param {Object|Array} sample - StrokeCapture.toSample() or strokes
+     * @param {string} [expectedText] - What the child was asked to write
+     * @returns {Object} { success, source, data: { expected_text, overall_score, legibility, letter_sizing, baseline_alignment, spacing, feedback } }
+     */
+    analyze(sample, expectedText = '') {
+        const strokes = this.strokesFrom(sample);
+        if (strokes.length === 0) return { success: false, source: 'device', error: 'No handwriting recorded' };
+
+        const letters = this.segmentLetters(strokes);
+        const expected = String(expectedText || '').trim();
+        const chars = expected.replace(/\s+/g, '').split('');
+
+        // Kinds and word breaks are only known when every letter was found
+        const matched = chars.length === letters.length;
+        const kinds = matched ? chars.map(c => this.letterKind(c)) : null;
+        const wordStarts = [];
+        if (matched) {
+            expected.split(/\s+/).reduce((index, word) => {
+                if (index > 0) wordStarts.push(index);
+                return index + word.length;
+            }, 0);
+        }
+
+        const smallHeights = letters.filter((_, i) => !kinds || kinds[i] === 'small').map(l => l.box.height);
+        const letterHeight = this.median(smallHeights.length ? smallHeights : letters.map(l => l.box.height));
+
+        const letterSizing = this.measureSizing(letters, kinds);
+        const baseline = this.measureBaseline(letters, kinds, letterHeight);
+        const spacing = this.measureSpacing(letters, wordStarts, letterHeight);
+
+        const countScore = chars.length ? this.clamp(100 * (1 - Math.abs(letters.length - chars.length) / chars.length)) : 100;
+        const fit = this.templateFit(sample);
+        const legibility = fit
+            ? this.clamp(0.6 * fit.shape + 0.2 * fit.inBounds + 0.2 * countScore)
+            : this.clamp(0.5 * countScore + 0.25 * letterSizing.score + 0.25 * baseline.score);
+
+        const data = {
+            expected_text: expected,
+            overall_score: this.clamp(0.4 * legibility + 0.2 * letterSizing.score + 0.2 * baseline.score + 0.2 * spacing.score),
+            legibility: { score: legibility, letters_found: letters.length, letters_expected: chars.length || null },
+            letter_sizing: letterSizing,
+            baseline_alignment: baseline,
+            spacing
+        };
+        data.feedback = this.feedbackFor(data);
+
+        return { success: true, source: 'device', data };
+    },
+
+    /**
+     * Feedback on one letter (same data shape as POST /dysgraphia/letter-feedback)
+     * @param {Object} sample - StrokeCapture.toSample() traced over the letter's template
+     * @param {string} targetLetter
+     * @returns {Object} { success, source, data: { target_letter, score, correct, formation, letter_sizing, baseline_alignment, feedback } }
+     */
+    letterFeedback(sample, targetLetter) {
+        const strokes = this.strokesFrom(sample);
+        const template = CognoStrokes.getTemplate('letter', targetLetter);
+        if (strokes.length === 0 || !template) {
+            return { success: false, source: 'device', error: strokes.length ? `No template for "${targetLetter}"` : 'No handwriting recorded' };
+        }
+
+        // Without the guide box, fit the template to the ink (shape only, not placement)
+        const ink = this.bounds(strokes.flat());
+        const box = sample.box || { x: ink.minX, y: ink.minY, width: ink.height * template.aspect, height: ink.height || 1 };
+        const units = strokes.map(stroke => stroke.map(p => ({ x: (p.x - box.x) / box.height, y: (p.y - box.y) / box.height })));
+        const result = CognoStrokes.score(units, template);
+
+        const heightRatio = sample.box ? ink.height / box.height : null;
+        const offset = sample.box ? (ink.maxY - (box.y + box.height)) / box.height : null;
+        const sizing = heightRatio === null ? null : this.clamp(100 * (1 - Math.abs(1 - heightRatio) / 0.5));
+        const baseline = offset === null ? null : this.clamp(100 * (1 - Math.abs(offset) / this.BASELINE_TOLERANCE));
+
+        const feedback = [CognoStrokes.feedback(result)];
+        if (sizing !== null && sizing < this.FEEDBACK_BELOW) {
+            feedback.push(heightRatio < 1 ? 'Make the letter a little bigger - reach the top of the guide.' : 'Make the letter a little smaller - stay inside the guide.');
+        }
+        if (baseline !== null && baseline < this.FEEDBACK_BELOW) {
+            feedback.push(offset < 0 ? 'Bring the letter down so it sits on the line.' : 'Stop at the line - don\'t go below it.');
+        }
+
+        return {
+            success: true,
+            source: 'device',
+            data: {
+                target_letter: template.id,
+                score: result.score,
+                correct: result.correct,
+                formation: { shape: result.shape, order: result.order, direction: result.direction, in_bounds: result.inBounds },
+                letter_sizing: { score: sizing, height_ratio: heightRatio === null ? null : Math.round(heightRatio * 100) / 100 },
+                baseline_alignment: { score: baseline, offset: offset === null ? null : Math.round(offset * 100) / 100 },
+                feedback
+            }
+        };
+    }
+};
+
+// Make globally available
+window.CognoHandwriting = CognoHandwriting;
@@ -0,0 +1,259 @@
+/**
+ * COGNO SOLUTION - Handwriting Replay
+ * Plays back strokes recorded by js/stroke-capture.js (activity_trials.meta.handwriting)
+ * so a doctor can watch how a child formed a letter, over the target template,
+ * with stroke-order and direction mistakes highlighted.
+ *
+ * Stroke colours:
+ *   ink    - stroke matches the taught order and direction
+ *   order  - stroke written out of the taught order
+ *   direction - stroke started at the wrong end
+ *
+ * Usage:
+ *   const samples = await CognoReplay.fetchSamples(studentId);
+ *   const player = new HandwritingReplay(canvas, { speed: 2 });
+ *   player.load(samples[0]);
+ *   player.play();
+ */
+
+const CognoReplay = {
+    SPEEDS: [0.5, 1, 2, 4],
+    COLORS: { ink: '#6366f1', order: '#ef4444', direction: '#f59e0b' },
+
+    /**
+     * Load a child's recorded handwriting, newest first
+     * @param {string} studentId
+     * @param {Object} [options]
+     * @param {number} [options.days=90] - How far back to look
+     * @param {number} [options.limit=200]
+     * @returns {Promise<Array>} [{ id, activityId, prompt, correct, createdAt, handwriting }]
+     */
+    async fetchSamples(studentId, { days = 90, limit = 200 } = {}) {
+        const since = new Date(Date.now() - days * 86400000).toISOString();
+        const { data, error } = await CognoSupabase.client
+            .from('activity_trials')
+            .select('id, activity_id, prompt, correct, meta, created_at')
+            .eq('student_id', studentId)
+            .eq('module_type', 'dysgraphia')
+            .not('meta->handwriting', 'is', null)
+            .gte('created_at', since)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            console.error('CognoReplay: Failed to load handwriting:', error);
+            return [];
+        }
+
+        return (data || [])
+            .filter(row => row.meta?.handwriting?.strokes?.length)
+            .map(row => ({
+                id: row.id,
+                activityId: row.activity_id,
+                prompt: row.prompt,
+                correct: row.correct,
+                createdAt: row.created_at,
+                handwriting: row.meta.handwriting
+            }));
+    },
+
+    /**
+     * Group samples by what was asked for (letter, shape, word), keeping newest first
+     * @returns {Object} { [prompt]: samples }
+     */
+    groupByPrompt(samples) {
+        return samples.reduce((groups, sample) => {
+            const key = sample.handwriting.template?.id || sample.prompt || sample.activityId;
+            (groups[key] = groups[key] || []).push(sample);
+            return groups;
+        }, {});
+    },
+
+    /**
+     * Short label for a sample picker
+     */
+    label(sample) {
+        const date = new Date(sample.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        const score = sample.handwriting.scores?.score;
+        return score === undefined ? `${date} · ${sample.activityId}` : `${date} · ${sample.activityId} · ${score}%`;
+    }
+};
+
+// =========================================================
+// HANDWRITING REPLAY CLASS
+// =========================================================
+
+class HandwritingReplay {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} [options]
+     * @param {number} [options.speed=1] - Playback speed (1 = real time)
+     * @param {boolean} [options.overlay=true] - Show the target template under the ink
+     * @param {boolean} [options.highlight=true] - Colour order and direction mistakes
+     * @param {Function} [options.onProgress] - Called with (elapsedMs, durationMs) while playing
+     * @param {Function} [options.onEnd] - Called when playback reaches the end
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.options = {
+            speed: 1,
+            overlay: true,
+            highlight: true,
+            onProgress: null,
+            onEnd: null,
+            ...options
+        };
+        this.capture = null;
+        this.sample = null;
+        this.strokes = [];
+        this.mistakes = [];
+        this.duration = 0;
+        this.elapsed = 0;
+        this.playing = false;
+        this.frame = null;
+        this.lastTick = null;
+    }
+
+    /**
+     * Show a recorded sample, fully drawn
+     * @param {Object} sample - CognoReplay.fetchSamples() entry or a meta.handwriting object
+     */
+    load(sample) {
+        this.pause();
+        const handwriting = sample.handwriting || sample;
+        const { width, height } = handwriting.canvas || { width: 500, height: 250 };
+
+        this.sample = sample;
+        this.capture = new StrokeCapture(this.canvas, { width, height, readOnly: true, guide: this.options.overlay });
+
+        const saved = handwriting.template;
+        const template = saved?.id ? CognoStrokes.getTemplate(saved.type, saved.id, { font: saved.font }) : null;
+        this.capture.template = template;
+        this.capture.box = handwriting.box || this.capture.layoutBox(template);
+
+        this.strokes = CognoStrokes.unpack(handwriting.strokes);
+        this.duration = Math.max(0, ...this.strokes.flat().map(p => p.t));
+        this.mistakes = template?.strokes
+            ? CognoStrokes.strokeMistakes(this.strokes.map(stroke => stroke.map(p => this.capture.toUnits(p))), template)
+            : [];
+
+        this.seek(this.duration);
+    }
+
+    /**
+     * Counts for the sample's caption
+     * @returns {Object} { strokes, orderMistakes, directionMistakes, durationMs }
+     */
+    summary() {
+        return {
+            strokes: this.strokes.length,
+            orderMistakes: this.mistakes.filter(m => m.order).length,
+            directionMistakes: this.mistakes.filter(m => m.direction).length,
+            durationMs: this.duration
+        };
+    }
+
+    colorFor(index) {
+        const mistake = this.mistakes[index];
+        if (this.options.highlight && mistake?.order) return CognoReplay.COLORS.order;
+        if (this.options.highlight && mistake?.direction) return CognoReplay.COLORS.direction;
+        return CognoReplay.COLORS.ink;
+    }
+
+    /**
+     * Draw the template and every point recorded up to the current time
+     */
+    render() {
+        const capture = this.capture;
+        if (!capture) return;
+
+        capture.options.guide = this.options.overlay;
+        capture.redraw([]);
+
+        this.strokes.forEach((stroke, i) => {
+            const shown = stroke.filter(p => p.t <= this.elapsed);
+            if (shown.length === 0) return;
+
+            capture.options.inkColor = this.colorFor(i);
+            if (shown.length === 1) capture.drawSegment(shown[0], shown[0]);
+            for (let j = 1; j < shown.length; j++) capture.drawSegment(shown[j - 1], shown[j]);
+
+            // Numbered dot where the child started this stroke
+            const ctx = capture.ctx;
+            ctx.fillStyle = capture.options.inkColor;
+            ctx.beginPath();
+            ctx.arc(shown[0].x, shown[0].y, 8, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#fff';
+            ctx.font = 'bold 10px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(String(i + 1), shown[0].x, shown[0].y);
+            ctx.textAlign = 'start';
+            ctx.textBaseline = 'alphabetic';
+        });
+    }
+
+    /**
+     * Jump to a point in the recording
+     * @param {number} ms - Time since the first pen-down
+     */
+    seek(ms) {
+        this.elapsed = Math.min(Math.max(ms, 0), this.duration);
+        this.render();
+        this.options.onProgress?.(this.elapsed, this.duration);
+    }
+
+    play() {
+        if (!this.capture || this.playing) return;
+        if (this.elapsed >= this.duration) this.elapsed = 0;
+
+        this.playing = true;
+        this.lastTick = performance.now();
+        const tick = now => {
+            if (!this.playing) return;
+            this.elapsed += (now - this.lastTick) * this.options.speed;
+            this.lastTick = now;
+
+            if (this.elapsed >= this.duration) {
+                this.playing = false;
+                this.seek(this.duration);
+                this.options.onEnd?.();
+                return;
+            }
+            this.seek(this.elapsed);
+            this.frame = requestAnimationFrame(tick);
+        };
+        this.frame = requestAnimationFrame(tick);
+    }
+
+    pause() {
+        this.playing = false;
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    restart() {
+        this.pause();
+        this.seek(0);
+        this.play();
+    }
+
+    setSpeed(speed) {
+        this.options.speed = speed;
+    }
+
+    setOverlay(overlay) {
+        this.options.overlay = overlay;
+        this.render();
+    }
+
+    setHighlight(highlight) {
+        this.options.highlight = highlight;
+        this.render();
+    }
+}
+
+// Make globally available
+window.CognoReplay = CognoReplay;
+window.HandwritingReplay = HandwritingReplay;
@@ -0,0 +1,378 @@
+/**
+ * COGNO SOLUTION - Movement Quality Metrics
+ * Turns the landmark stream of a dyspraxia game (js/pose-detection.js) into
+ * movement metrics that are saved with the session and charted over time.
+ *
+ * Metrics (stored as student_progress.data.movement and activity_logs metadata.movement):
+ *   reaction_time_ms - target shown until the hand starts moving towards it
+ *   reach_accuracy   - % of targets reached before they disappeared
+ *   reach_error      - distance from the target's centre on contact (% of frame)
+ *   jerk             - RMS jerk of the hands (frame widths/s³, lower is smoother)
+ *   left_hand_pct, right_hand_pct - share of hand movement made by each hand
+ *   sway_rms, sway_velocity       - side-to-side body sway (% of frame, % per second)
+ *
+ * Usage:
+ *   CognoMovement.start('hands');                       // 'hands', 'body' or 'balance'
+ *   CognoMovement.addFrame(await CognoPose.analyzeFrame(video, 'hands'));
+ *   CognoMovement.targetShown(balloon, { x: 0.4, y: 0.2 });
+ *   CognoMovement.targetReached(balloon, { point, target, hand });
+ *   CognoTracker.saveActivity({ ..., movement: CognoMovement.summarize() });
+ */
+
+const CognoMovement = {
+    // Palm centre (middle finger knuckle) - steadier than a fingertip
+    HAND_POINT: 9,
+    POSE_POINTS: { Left: 15, Right: 16 },
+    HIPS: [23, 24],
+
+    // Samples further apart than this are treated as separate movements
+    MAX_GAP_MS: 400,
+
+    // Speed towards a target (frame widths/s) that counts as starting to move
+    ONSET_SPEED: 0.3,
+
+    // Ignore landmark jitter smaller than this when measuring hand movement
+    JITTER: 0.005,
+
+    // Charts for the progress page and the doctor patient view
+    CHART_METRICS: {
+        reaction_time_ms: { label: 'Reaction time', unit: 'ms', color: '#3b82f6' },
+        reach_accuracy: { label: 'Reach accuracy', unit: '%', color: '#10b981', max: 100 },
+        reach_error: { label: 'Reach error', unit: '% of frame', color: '#f59e0b' },
+        jerk: { label: 'Jerk (lower is smoother)', unit: '', color: '#8b5cf6' },
+        hand_usage: {
+            label: 'Left vs right hand',
+            unit: '%',
+            max: 100,
+            series: [
+                { key: 'left_hand_pct', label: 'Left hand', color: '#3b82f6' },
+                { key: 'right_hand_pct', label: 'Right hand', color: '#ef4444' }
+            ]
+        },
+        sway_rms: { label: 'Balance sway', unit: '% of frame', color: '#ef4444' }
+    },
+
+    session: null,
+
+    /**
+     * Start recording a game session
+     * @param {string} [exercise='hands'] - 'hands', 'body' or 'balance' (body plus sway)
+     */
+    start(exercise = 'hands') {
+        this.session = {
+            exercise,
+            startedAt: performance.now(),
+            frames: 0,
+            trackedFrames: 0,
+            tracks: { Left: [], Right: [] },
+            balance: [],
+            targets: new Map()
+        };
+    },
+
+    /**
+     * Record one CognoPose.analyzeFrame result
+     * @param {Object} data - analyzeFrame result
+     * @param {number} [t=performance.now()]
+     */
+    addFrame(data, t = performance.now()) {
+        const session = this.session;
+        if (!session || !data?.success) return;
+        session.frames++;
+
+        if (data.hands_detected) {
+            session.trackedFrames++;
+            (data.hand_landmarks || []).forEach((hand, i) => {
+                const side = data.handedness?.[i] === 'Left' ? 'Left' : 'Right';
+                const point = hand[this.HAND_POINT];
+                if (point) session.tracks[side].push({ t, x: point.x, y: point.y });
+            });
+        } else if (data.pose_detected) {
+            session.trackedFrames++;
+            const pose = data.landmarks || [];
+            Object.entries(this.POSE_POINTS).forEach(([side, index]) => {
+                const point = pose[index];
+                if (point && (point.visibility ?? 1) > 0.5) session.tracks[side].push({ t, x: point.x, y: point.y });
+            });
+
+            const [left, right] = this.HIPS.map(index => pose[index]);
+            if (session.exercise === 'balance' && left && right) {
+                this.addBalance((left.x + right.x) / 2, t);
+            }
+        }
+    },
+
+    /**
+     * Record the body's horizontal position (0-1) for balance games
+     */
+    addBalance(x, t = performance.now()) {
+        this.session?.balance.push({ t, x });
+    },
+
+    /**
+     * A target appeared
+     * @param {*} id - Any value identifying the target (e.g. the game's object)
+     * @param {{x: number, y: number}} [position] - Normalised (0-1) position
+     */
+    targetShown(id, position = null, t = performance.now()) {
+        this.session?.targets.set(id, { shownAt: t, position, reachedAt: null, hit: null });
+    },
+
+    /**
+     * The child reached a target
+     * @param {*} id - Same id passed to targetShown
+     * @param {Object} [contact]
+     * @param {{x, y}} [contact.point] - Where the hand touched it (normalised)
+     * @param {{x, y}} [contact.target] - Target centre at that moment (defaults to where it appeared)
+     * @param {string} [contact.hand] - 'Left' or 'Right'
+     */
+    targetReached(id, { point = null, target = null, hand = null } = {}, t = performance.now()) {
+        const entry = this.session?.targets.get(id);
+        if (!entry || entry.hit !== null) return;
+        Object.assign(entry, { reachedAt: t, hit: true, point, hand, target: target || entry.position });
+    },
+
+    /**
+     * A target disappeared without being reached
+     */
+    targetMissed(id, t = performance.now()) {
+        const entry = this.session?.targets.get(id);
+        if (!entry || entry.hit !== null) return;
+        Object.assign(entry, { reachedAt: t, hit: false });
+    },
+
+    /**
+     * Split a track into runs without long gaps
+     */
+    segments(samples) {
+        const runs = [];
+        let run = [];
+        samples.forEach(sample => {
+            if (run.length && sample.t - run[run.length - 1].t > this.MAX_GAP_MS) {
+                runs.push(run);
+                run = [];
+            }
+            run.push(sample);
+        });
+        if (run.length) runs.push(run);
+        return runs;
+    },
+
+    /**
+     * Finite-difference derivative of a series of { t, x, y } (t in ms)
+     */
+    derivative(series) {
+        const result = [];
+        for (let i = 1; i < series.length; i++) {
+            const dt = (series[i].t - series[i - 1].t) / 1000;
+            if (dt <= 0) continue;
+            result.push({
+                t: (series[i].t + series[i - 1].t) / 2,
+                x: (series[i].x - series[i - 1].x) / dt,
+                y: (series[i].y - series[i - 1].y) / dt
+            });
+        }
+        return result;
+    },
+
+    /**
+     * RMS jerk over every hand movement, or null with too few samples
+     */
+    jerk(tracks) {
+        const values = [];
+        Object.values(tracks).forEach(track => {
+            this.segments(track).forEach(run => {
+                if (run.length < 6) return;
+                // 3-point moving average to take the edge off landmark noise
+                const smooth = run.slice(1, -1).map((p, i) => ({
+                    t: p.t,
+                    x: (run[i].x + p.x + run[i + 2].x) / 3,
+                    y: (run[i].y + p.y + run[i + 2].y) / 3
+                }));
+                this.derivative(this.derivative(this.derivative(smooth)))
+                    .forEach(j => values.push(j.x * j.x + j.y * j.y));
+            });
+        });
+
+        return values.length ? Math.sqrt(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+    },
+
+    /**
+     * Distance a track moved, ignoring jitter
+     */
+    pathLength(track) {
+        return this.segments(track).reduce((total, run) => {
+            let length = 0;
+            for (let i = 1; i < run.length; i++) {
+                const step = Math.hypot(run[i].x - run[i - 1].x, run[i].y - run[i - 1].y);
+                if (step > this.JITTER) length += step;
+            }
+            return total + length;
+        }, 0);
+    },
+
+    /**
+     * When the hand first moved towards a target after it appeared
+     * @returns {number|null} ms after targetShown
+     */
+    reactionTime(entry, tracks) {
+        if (!entry.position) return entry.hit ? entry.reachedAt - entry.shownAt : null;
+
+        let onset = null;
+        Object.values(tracks).forEach(track => {
+            for (let i = 1; i < track.length; i++) {
+                const a = track[i - 1];
+                const b = track[i];
+                if (a.t < entry.shownAt || (entry.reachedAt !== null && a.t > entry.reachedAt)) continue;
+                const dt = (b.t - a.t) / 1000;
+                if (dt <= 0 || dt * 1000 > this.MAX_GAP_MS) continue;
+
+                const toTarget = Math.hypot(entry.position.x - a.x, entry.position.y - a.y) || 1;
+                const speedTowards = ((b.x - a.x) * (entry.position.x - a.x) + (b.y - a.y) * (entry.position.y - a.y)) / toTarget / dt;
+                if (speedTowards > this.ONSET_SPEED) {
+                    if (onset === null || a.t < onset) onset = a.t;
+                    break;
+                }
+            }
+        });
+
+        if (onset !== null) return onset - entry.shownAt;
+        return entry.hit ? entry.reachedAt - entry.shownAt : null;
+    },
+
+    /**
+     * Metrics for the session so far
+     * @returns {Object|null} Movement metrics (see top of file), null when nothing was recorded
+     */
+    summarize() {
+        const session = this.session;
+        if (!session) return null;
+
+        const round = (value, digits = 0) => value === null || Number.isNaN(value)
+            ? null
+            : Math.round(value * 10 ** digits) / 10 ** digits;
+        const average = values => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+        const resolved = [...session.targets.values()].filter(entry => entry.hit !== null);
+        const hits = resolved.filter(entry => entry.hit);
+        const reactionTimes = resolved.map(entry => this.reactionTime(entry, session.tracks)).filter(ms => ms !== null);
+        const errors = hits
+            .filter(entry => entry.point && entry.target)
+            .map(entry => Math.hypot(entry.point.x - entry.target.x, entry.point.y - entry.target.y));
+
+        const left = this.pathLength(session.tracks.Left);
+        const right = this.pathLength(session.tracks.Right);
+        const moved = left + right;
+
+        let swayRms = null;
+        let swayVelocity = null;
+        if (session.balance.length > 1) {
+            const xs = session.balance.map(s => s.x);
+            const mean = average(xs);
+            swayRms = Math.sqrt(average(xs.map(x => (x - mean) ** 2))) * 100;
+            const seconds = (session.balance[session.balance.length - 1].t - session.balance[0].t) / 1000;
+            const travelled = xs.slice(1).reduce((sum, x, i) => sum + Math.abs(x - xs[i]), 0);
+            swayVelocity = seconds > 0 ? (travelled / seconds) * 100 : null;
+        }
+
+        return {
+            exercise: session.exercise,
+            duration_ms: Math.round(performance.now() - session.startedAt),
+            frames: session.frames,
+            tracked_frames: session.trackedFrames,
+            targets: resolved.length,
+            reaction_time_ms: round(average(reactionTimes)),
+            reach_accuracy: resolved.length ? round((hits.length / resolved.length) * 100) : null,
+            reach_error: round(errors.length ? average(errors) * 100 : null, 1),
+            jerk: round(this.jerk(session.tracks), 1),
+            left_hand_pct: moved > 0 ? round((left / moved) * 100) : null,
+            right_hand_pct: moved > 0 ? round((right / moved) * 100) : null,
+            sway_rms: round(swayRms, 1),
+            sway_velocity: round(swayVelocity, 1)
+        };
+    },
+
+    /**
+     * Saved movement metrics for a child, oldest first
+     * @param {string} userId
+     * @param {Object} [options]
+     * @param {number} [options.days=90]
+     * @returns {Promise<Array<{ at: Date, activityId: string, metrics: Object }>>}
+     */
+    async loadHistory(userId, { days = 90 } = {}) {
+        const since = new Date(Date.now() - days * 86400000).toISOString();
+        const { data, error } = await CognoSupabase.client
+            .from('activity_logs')
+            .select('metadata, created_at')
+            .eq('user_id', userId)
+            .eq('activity_type', 'activity_completed')
+            .eq('metadata->>module_type', 'dyspraxia')
+            .gte('created_at', since)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('CognoMovement: Failed to load movement history:', error);
+            return [];
+        }
+
+        return (data || [])
+            .filter(row => row.metadata?.movement)
+            .map(row => ({
+                at: new Date(row.created_at),
+                activityId: row.metadata.activity_id,
+                metrics: row.metadata.movement
+            }));
+    },
+
+    /**
+     * Chart.js config for one metric, averaged per day
+     * @param {Array} history - loadHistory() result
+     * @param {string} metric - Key of CHART_METRICS
+     */
+    chartConfig(history, metric) {
+        const definition = this.CHART_METRICS[metric];
+        const series = definition.series || [{ key: metric, label: definition.label, color: definition.color }];
+
+        const days = new Map();
+        history.forEach(entry => {
+            const day = entry.at.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            if (!days.has(day)) days.set(day, []);
+            days.get(day).push(entry.metrics);
+        });
+
+        const dayAverage = (sessions, key) => {
+            const values = sessions.map(m => m[key]).filter(v => typeof v === 'number');
+            return values.length ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10 : null;
+        };
+
+        return {
+            type: 'line',
+            data: {
+                labels: [...days.keys()],
+                datasets: series.map(s => ({
+                    label: s.label,
+                    data: [...days.values()].map(sessions => dayAverage(sessions, s.key)),
+                    borderColor: s.color,
+                    backgroundColor: 'transparent',
+                    tension: 0.3,
+                    spanGaps: true
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { display: series.length > 1, position: 'top' } },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ...(definition.max ? { max: definition.max } : {}),
+                        title: { display: !!definition.unit, text: definition.unit }
+                    }
+                }
+            }
+        };
+    }
+};
+
+// Make globally available
+window.CognoMovement = CognoMovement;
@@ -522,7 +522,8 @@ class NotificationCenter {
             info: 'fa-solid fa-circle-info',
             achievement: 'fa-solid fa-trophy',
             message: 'fa-solid fa-message',
-            appointment: 'fa-solid fa-calendar-check'
+            appointment: 'fa-solid fa-calendar-check',
+            waitlist_offer: 'fa-solid fa-calendar-plus'
         };
         return icons[type] || icons.info;
     }
@@ -0,0 +1,341 @@
+/**
+ * COGNO SOLUTION - Progress Outbox
+ * Durable IndexedDB queue for writes that could not reach Supabase
+ * (activity results, activity history rows, trials and achievement checks).
+ *
+ * Entries are replayed strictly in the order they were queued once the
+ * browser is back online. Every entry carries an idempotency key that the
+ * replay handlers use to skip rows that already made it to the database,
+ * so a retry never inserts the same result twice.
+ *
+ * An entry the database keeps rejecting (RLS denial, missing table, bad
+ * payload) is retried MAX_ATTEMPTS times and then parked as failed, so it
+ * cannot hold back everything queued after it. Network failures do not
+ * count as attempts.
+ *
+ * Usage:
+ *   CognoOutbox.registerHandler('progress', async (payload, entry) => { ... });
+ *   await CognoOutbox.enqueue('progress', record, idempotencyKey);
+ */
+
+const CognoOutbox = {
+    DB_NAME: 'cogno-outbox',
+    DB_VERSION: 1,
+    STORE: 'entries',
+
+    // Replay handlers keyed by entry kind
+    handlers: {},
+
+    db: null,
+    flushing: false,
+    retryTimer: null,
+    retryDelayMs: 30000,
+
+    // Replays the database may reject before an entry is parked as failed
+    MAX_ATTEMPTS: 5,
+
+    /**
+     * Check if IndexedDB is available in this browser
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * Generate a unique idempotency key
+     * @returns {string}
+     */
+    createKey() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    },
+
+    /**
+     * Check if a replay failed because the network is down rather than
+     * because the database refused the write
+     */
+    isNetworkError(error) {
+        const message = String(error?.message || error || '');
+        return (typeof navigator !== 'undefined' && navigator.onLine === false) ||
+            /failed to fetch|networkerror|network request failed|load failed/i.test(message);
+    },
+
+    /**
+     * Open (and create on first use) the outbox database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (!this.isSupported()) {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.STORE)) {
+                    const store = db.createObjectStore(this.STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('key', 'key', { unique: true });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Run a request against the entries store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async withStore(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const request = operation(tx.objectStore(this.STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Register a replay handler for an entry kind
+     * @param {string} kind - Entry kind (progress, history, trials, achievements, review)
+     * @param {Function} handler - async (payload, entry) => void; throw to retry later
+     */
+    registerHandler(kind, handler) {
+        this.handlers[kind] = handler;
+    },
+
+    /**
+     * Queue a write for later replay
+     * @param {string} kind - Entry kind
+     * @param {Object} payload - Data needed to replay the write
+     * @param {string} [key] - Idempotency key (generated when omitted)
+     * @returns {Promise<Object>} { success, key }
+     */
+    async enqueue(kind, payload, key = this.createKey()) {
+        try {
+            await this.withStore('readwrite', store => store.add({
+                kind,
+                key,
+                payload,
+                attempts: 0,
+                queuedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            // Same idempotency key already queued - nothing to do
+            if (error?.name !== 'ConstraintError') {
+                console.error('CognoOutbox: Failed to queue entry:', error);
+                return { success: false, error: error?.message };
+            }
+        }
+
+        await this.updateIndicator();
+        this.scheduleRetry();
+        return { success: true, key };
+    },
+
+    /**
+     * Get all queued entries in replay order
+     * @returns {Promise<Array>}
+     */
+    async getAll() {
+        try {
+            return await this.withStore('readonly', store => store.getAll());
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Get entries still waiting to be replayed (parked failures excluded)
+     * @returns {Promise<Array>}
+     */
+    async getPending() {
+        return (await this.getAll()).filter(entry => !entry.failed);
+    },
+
+    /**
+     * Get entries parked after MAX_ATTEMPTS rejected replays
+     * @returns {Promise<Array>}
+     */
+    async getFailed() {
+        return (await this.getAll()).filter(entry => entry.failed);
+    },
+
+    /**
+     * Number of queued activity results (the figure shown to the child)
+     * @returns {Promise<number>}
+     */
+    async pendingResults() {
+        const entries = await this.getPending();
+        return entries.filter(entry => entry.kind === 'progress').length;
+    },
+
+    /**
+     * Replay queued entries in order. A network failure stops the replay so
+     * later entries never overtake earlier ones; an entry the database has
+     * rejected MAX_ATTEMPTS times is parked as failed and the replay moves on.
+     * @returns {Promise<Object>} { replayed, remaining }
+     */
+    async flush() {
+        if (this.flushing || (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+            return { replayed: 0, remaining: (await this.getPending()).length };
+        }
+
+        this.flushing = true;
+        let replayed = 0;
+        const entries = await this.getPending();
+
+        try {
+            for (const entry of entries) {
+                const handler = this.handlers[entry.kind];
+                if (!handler) {
+                    // Handler lives in a script this page does not load - stop
+                    // here and leave the rest for a page that does, so nothing
+                    // queued later is replayed first
+                    break;
+                }
+
+                try {
+                    await handler(entry.payload, entry);
+                } catch (error) {
+                    const lastError = error?.message || String(error);
+                    if (this.isNetworkError(error)) {
+                        console.warn(`CognoOutbox: Replay of ${entry.kind} failed, will retry:`, lastError);
+                        break;
+                    }
+
+                    const attempts = entry.attempts + 1;
+                    const failed = attempts >= this.MAX_ATTEMPTS;
+                    await this.withStore('readwrite', store => store.put({
+                        ...entry,
+                        attempts,
+                        lastError,
+                        ...(failed ? { failed: true, failedAt: new Date().toISOString() } : {})
+                    }));
+
+                    if (!failed) {
+                        console.warn(`CognoOutbox: Replay of ${entry.kind} rejected (attempt ${attempts}/${this.MAX_ATTEMPTS}), will retry:`, lastError);
+                        break;
+                    }
+                    console.error(`CognoOutbox: Giving up on ${entry.kind} entry ${entry.key} after ${attempts} attempts:`, lastError);
+                    continue;
+                }
+
+                await this.withStore('readwrite', store => store.delete(entry.id));
+                replayed++;
+            }
+        } finally {
+            this.flushing = false;
+        }
+
+        const remaining = (await this.getPending()).length;
+        if (replayed > 0) {
+            console.log(`CognoOutbox: ✅ Synced ${replayed} queued write(s), ${remaining} remaining`);
+        }
+        if (remaining > 0) this.scheduleRetry();
+
+        await this.updateIndicator();
+        return { replayed, remaining };
+    },
+
+    /**
+     * Retry periodically while entries are waiting
+     */
+    scheduleRetry() {
+        if (this.retryTimer) return;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush();
+        }, this.retryDelayMs);
+    },
+
+    /**
+     * Show or hide the "N results waiting to sync" indicator
+     */
+    async updateIndicator() {
+        if (typeof document === 'undefined' || !document.body) return;
+
+        const count = await this.pendingResults();
+        let indicator = document.getElementById('cogno-sync-indicator');
+
+        if (count === 0) {
+            indicator?.remove();
+            return;
+        }
+
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.id = 'cogno-sync-indicator';
+            indicator.setAttribute('role', 'status');
+            indicator.setAttribute('aria-live', 'polite');
+            indicator.style.cssText = `
+                position: fixed;
+                bottom: 20px;
+                left: 20px;
+                z-index: 10000;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                background: #1f2937;
+                color: white;
+                padding: 10px 16px;
+                border-radius: 999px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+                font-family: 'Inter', 'Lexend', sans-serif;
+                font-size: 14px;
+                font-weight: 500;
+                cursor: pointer;
+            `;
+            indicator.title = 'Tap to try syncing now';
+            indicator.addEventListener('click', () => this.flush());
+            document.body.appendChild(indicator);
+        }
+
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        indicator.innerHTML = `
+            <i class="fa-solid ${offline ? 'fa-cloud-arrow-up' : 'fa-rotate'}"></i>
+            <span>${count} result${count === 1 ? '' : 's'} waiting to sync</span>
+        `;
+    },
+
+    /**
+     * Start listening for connectivity changes and show entries left over
+     * from a previous visit. The first replay runs from CognoTracker.init,
+     * once the page's handlers are registered.
+     */
+    init() {
+        if (!this.isSupported()) return this;
+
+        window.addEventListener('online', () => this.flush());
+        window.addEventListener('offline', () => this.updateIndicator());
+
+        this.updateIndicator();
+        return this;
+    }
+};
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => CognoOutbox.init());
+} else {
+    CognoOutbox.init();
+}
+
+// Make globally available
+window.CognoOutbox = CognoOutbox;
@@ -0,0 +1,388 @@
+/**
+ * COGNO SOLUTION - Readability & Text Simplification
+ * Rule-based text tools that run in the browser, used by TextProcessingAPI
+ * (js/api-client.js) when the backend cannot be reached:
+ *   - syllabification and syllable counts
+ *   - readability scores (Flesch Reading Ease, Flesch-Kincaid grade)
+ *   - sentence splitting and simplification from a bundled easy-word dictionary
+ *
+ * English only; other scripts pass through unchanged.
+ *
+ * Usage:
+ *   CognoReadability.syllabify('butterfly');          // ['but', 'ter', 'fly']
+ *   CognoReadability.assess(text).data.grade_level;   // 6.2
+ *   CognoReadability.simplify(text, 'basic').data.simplified;
+ */
+
+const CognoReadability = {
+    // Longest sentence kept whole at each simplification level (words)
+    SENTENCE_LIMITS: { basic: 12, intermediate: 18, advanced: 25 },
+
+    // Words with this many syllables count as difficult
+    DIFFICULT_SYLLABLES: 3,
+
+    VOWELS: 'aeiouy',
+
+    // Vowel pairs said as two syllables (li-on, pi-a-no, vi-de-o)
+    HIATUS: ['ia', 'io', 'eo', 'iu', 'ua', 'uo'],
+
+    // Consonant pairs that stay together at the start of a syllable
+    ONSETS: [
+        'bl', 'br', 'ch', 'cl', 'cr', 'dr', 'fl', 'fr', 'gl', 'gr', 'ph', 'pl', 'pr', 'qu',
+        'sc', 'sh', 'sk', 'sl', 'sm', 'sn', 'sp', 'st', 'sw', 'th', 'tr', 'tw', 'wh', 'wr'
+    ],
+
+    // Consonant pairs that stay with the syllable before (pock-et, sing-er)
+    CODAS: ['ck', 'ng', 'gh'],
+
+    // Words whose full stop does not end a sentence. Leave out ones that are also
+    // ordinary words ("no", "st"), or "I said no." would run into the next sentence.
+    ABBREVIATIONS: ['mr', 'mrs', 'ms', 'dr', 'vs', 'etc', 'e.g', 'i.e', 'jr', 'sr'],
+
+    // Bundled easy-word dictionary: phrases and words mapped to plainer ones
+    EASY_WORDS: {
+        // Academic/Business words
+        'utilize': 'use', 'utilization': 'use', 'utilizing': 'using',
+        'optimize': 'improve', 'optimization': 'making better',
+        'implement': 'do', 'implementation': 'doing',
+        'facilitate': 'help', 'functionality': 'features',
+        'leverage': 'use', 'leveraging': 'using',
+        'comprehensive': 'full', 'subsequently': 'then',
+        'methodology': 'way', 'infrastructure': 'system',
+        'demonstrate': 'show', 'demonstration': 'showing',
+        'ensure': 'make sure', 'encompasses': 'includes',
+        'cutting-edge': 'latest', 'state-of-the-art': 'best',
+        'innovative': 'new', 'robust': 'strong',
+        'scalable': 'can grow', 'sustainable': 'lasting',
+        'synergy': 'working together', 'paradigm': 'way of thinking',
+        'proactive': 'ahead of time', 'strategic': 'planned',
+        'streamline': 'simplify', 'enhance': 'improve',
+        'maximize': 'get the most', 'minimize': 'reduce',
+        'prioritize': 'put first',
+
+        // Transition words
+        'furthermore': 'also', 'moreover': 'also',
+        'nevertheless': 'but', 'nonetheless': 'still',
+        'consequently': 'so', 'therefore': 'so',
+        'accordingly': 'so', 'additionally': 'also',
+        'alternatively': 'or', 'conversely': 'on the other hand',
+        'meanwhile': 'at the same time',
+
+        // Everyday words
+        'approximately': 'about', 'sufficient': 'enough',
+        'commence': 'start', 'terminate': 'end',
+        'purchase': 'buy', 'acquire': 'get',
+        'assistance': 'help', 'difficulty': 'trouble',
+        'numerous': 'many', 'regarding': 'about',
+        'immediately': 'right now', 'frequently': 'often',
+        'occasionally': 'sometimes', 'continuously': 'always',
+        'previously': 'before', 'currently': 'now',
+        'essentially': 'really', 'fundamentally': 'basically',
+        'specifically': 'exactly', 'particularly': 'especially',
+        'significantly': 'a lot', 'substantially': 'a lot',
+        'predominantly': 'mostly', 'primarily': 'mainly',
+        'ultimately': 'in the end', 'virtually': 'almost',
+        'precisely': 'exactly', 'undoubtedly': 'surely',
+        'presumably': 'probably', 'allegedly': 'supposedly',
+        'apparently': 'it seems', 'exceptionally': 'very',
+        'remarkably': 'very', 'considerably': 'much',
+        'tremendously': 'very much', 'enormous': 'huge',
+        'observe': 'see', 'inquire': 'ask', 'require': 'need',
+        'attempt': 'try', 'construct': 'build', 'inform': 'tell',
+        'obtain': 'get', 'receive': 'get', 'provide': 'give',
+        'indicate': 'show', 'assist': 'help', 'consume': 'eat',
+        'reside': 'live', 'residence': 'home', 'vehicle': 'car',
+        'beverage': 'drink', 'individual': 'person', 'individuals': 'people',
+        'magnificent': 'great', 'fatigued': 'tired', 'intelligent': 'smart',
+        'ancient': 'very old', 'curious': 'wanting to know',
+        'delicious': 'tasty', 'colossal': 'huge', 'minuscule': 'tiny',
+
+        // Formal phrases
+        'in order to': 'to',
+        'due to the fact that': 'because',
+        'for the purpose of': 'to',
+        'in the event that': 'if',
+        'in spite of': 'even though',
+        'at this point in time': 'now',
+        'in the meantime': 'while',
+        'with regard to': 'about',
+        'in terms of': 'about',
+        'a large number of': 'many',
+        'the majority of': 'most',
+        'a wide variety of': 'many kinds of',
+        'take into consideration': 'think about',
+        'make a decision': 'decide',
+        'come to a conclusion': 'decide',
+        'is able to': 'can',
+        'has the ability to': 'can',
+        'in close proximity': 'near',
+        'at the present time': 'now',
+        'in the near future': 'soon',
+        'on a daily basis': 'every day',
+        'in the absence of': 'without'
+    },
+
+    // Joins that a long sentence can be split at, and what starts the new sentence
+    SPLIT_POINTS: [
+        [/,\s+and\s+/i, ''],
+        [/,\s+but\s+/i, 'But '],
+        [/,\s+so\s+/i, 'So '],
+        [/;\s+/, ''],
+        [/,\s+which\s+/i, 'It '],
+        [/,\s+where\s+/i, 'There '],
+        [/,\s+because\s+/i, 'This is because '],
+        [/,\s+while\s+/i, 'At the same time, ']
+    ],
+
+    isVowel(word, i) {
+        const char = word[i];
+        if (char === 'y') return i > 0 && !this.VOWELS.includes(word[i - 1]);
+        if (char === 'u' && word[i - 1] === 'q') return false;
+        return 'aeiou'.includes(char);
+    },
+
+    /**
+     * True when two vowels at i-1, i are said separately (-tion, -cious and -sian are not)
+     */
+    isHiatus(word, i) {
+        return this.HIATUS.includes(word.slice(i - 1, i + 1)) && !/[tcsx]/.test(word[i - 2] || '');
+    },
+
+    /**
+     * Split one word into syllables, keeping its spelling and case
+     * @param {string} word
+     * @returns {Array<string>}
+     */
+    syllabify(word) {
+        if (!/[a-z]/i.test(word) || !/^[a-z'-]+$/i.test(word)) return [word];
+        if (word.includes('-')) return word.split('-').flatMap((part, i, parts) => {
+            const syllables = this.syllabify(part);
+            if (i < parts.length - 1) syllables[syllables.length - 1] += '-';
+            return syllables;
+        });
+
+        const lower = word.toLowerCase();
+
+        // Vowel groups: [start, end) of each run of vowels
+        const groups = [];
+        for (let i = 0; i < lower.length; i++) {
+            if (!this.isVowel(lower, i)) continue;
+            const last = groups[groups.length - 1];
+            if (last && last[1] === i && !this.isHiatus(lower, i)) {
+                last[1] = i + 1;
+            } else {
+                groups.push([i, i + 1]);
+            }
+        }
+
+        // Silent endings: final e (but not -le after a consonant), -es and -ed
+        const lastGroup = groups[groups.length - 1];
+        if (groups.length > 1 && lastGroup[1] === lower.length && lower.endsWith('e') && lastGroup[0] === lower.length - 1) {
+            if (!/[^aeiouy]le$/.test(lower)) groups.pop();
+        } else if (groups.length > 1 && /[^aeiouy]e[sd]$/.test(lower) && lastGroup[0] === lower.length - 2) {
+            const before = lower[lower.length - 3];
+            const voiced = lower.endsWith('ed') ? 'td'.includes(before) : /(s|x|z|ch|sh|ge|ce)es$/.test(lower);
+            if (!voiced) groups.pop();
+        }
+
+        if (groups.length <= 1) return [word];
+
+        // Syllable breaks between consecutive vowel groups
+        const breaks = [];
+        for (let g = 1; g < groups.length; g++) {
+            const from = groups[g - 1][1];
+            const to = groups[g][0];
+            const cluster = lower.slice(from, to);
+
+            if (cluster.length === 0) breaks.push(to);
+            else if (cluster.length === 1) breaks.push(from);
+            else if (this.CODAS.includes(cluster.slice(0, 2))) breaks.push(from + 2);
+            else if (this.ONSETS.includes(cluster.slice(-2))) breaks.push(to - 2);
+            else breaks.push(from + 1);
+        }
+
+        return [0, ...breaks].map((start, i, all) => word.slice(start, all[i + 1] ?? word.length)).filter(Boolean);
+    },
+
+    countSyllables(word) {
+        const letters = String(word).replace(/[^a-z'-]/gi, '');
+        return letters ? Math.max(1, this.syllabify(letters).length) : 0;
+    },
+
+    words(text) {
+        return String(text).match(/[A-Za-z]+(?:['-][A-Za-z]+)*/g) || [];
+    },
+
+    /**
+     * Split text into sentences without breaking after common abbreviations
+     * @returns {Array<string>}
+     */
+    splitSentences(text) {
+        const sentences = [];
+        let current = '';
+        const parts = String(text).split(/(?<=[.!?]["')\]]?)\s+/);
+
+        parts.forEach(part => {
+            current = current ? `${current} ${part}` : part;
+            const lastWord = current.trim().split(/\s+/).pop().toLowerCase().replace(/\.$/, '');
+            if (!this.ABBREVIATIONS.includes(lastWord)) {
+                sentences.push(current.trim());
+                current = '';
+            }
+        });
+        if (current.trim()) sentences.push(current.trim());
+        return sentences.filter(Boolean);
+    },
+
+    /**
+     * Readability of a text (same data shape as POST /text/reading-level)
+     * @param {string} text
+     * @returns {Object} { success, source, data: { grade_level, reading_ease, level, words, sentences, syllables, difficult_words } }
+     */
+    assess(text) {
+        const words = this.words(text);
+        const sentences = Math.max(1, this.splitSentences(text).length);
+        if (words.length === 0) {
+            return { success: true, source: 'device', data: { grade_level: 0, reading_ease: 100, level: 'very easy', words: 0, sentences: 0, syllables: 0, difficult_words: [] } };
+        }
+
+        const counts = words.map(word => this.countSyllables(word));
+        const syllables = counts.reduce((sum, n) => sum + n, 0);
+        const wordsPerSentence = words.length / sentences;
+        const syllablesPerWord = syllables / words.length;
+
+        const ease = 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord;
+        const grade = 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59;
+        const difficult = [...new Set(words.filter((word, i) => counts[i] >= this.DIFFICULT_SYLLABLES).map(w => w.toLowerCase()))];
+
+        return {
+            success: true,
+            source: 'device',
+            data: {
+                grade_level: Math.max(0, Math.round(grade * 10) / 10),
+                reading_ease: Math.round(Math.min(100, Math.max(0, ease)) * 10) / 10,
+                level: this.levelFor(ease),
+                words: words.length,
+                sentences,
+                syllables,
+                difficult_words: difficult
+            }
+        };
+    },
+
+    /**
+     * Plain-language label for a Flesch Reading Ease score
+     */
+    levelFor(ease) {
+        if (ease >= 90) return 'very easy';
+        if (ease >= 80) return 'easy';
+        if (ease >= 70) return 'fairly easy';
+        if (ease >= 60) return 'standard';
+        if (ease >= 50) return 'fairly difficult';
+        if (ease >= 30) return 'difficult';
+        return 'very difficult';
+    },
+
+    /**
+     * Keep the capital of a replaced word
+     */
+    matchCase(original, replacement) {
+        return original[0] === original[0].toUpperCase() && original[0] !== original[0].toLowerCase()
+            ? replacement.charAt(0).toUpperCase() + replacement.slice(1)
+            : replacement;
+    },
+
+    /**
+     * Swap dictionary words and phrases for easier ones
+     * @returns {Object} { text, replacements: [{ from, to }] }
+     */
+    replaceWords(text) {
+        const replacements = [];
+        const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        // Longest phrases first so "in order to" wins over "order"
+        const keys = Object.keys(this.EASY_WORDS).sort((a, b) => b.length - a.length);
+        const pattern = new RegExp(`\\b(${keys.map(escape).join('|')})\\b`, 'gi');
+
+        const replaced = text.replace(pattern, match => {
+            const easy = this.EASY_WORDS[match.toLowerCase()];
+            replacements.push({ from: match, to: easy });
+            return this.matchCase(match, easy);
+        });
+
+        return { text: replaced, replacements };
+    },
+
+    /**
+     * Break a sentence at its joins until every piece fits the word limit
+     */
+    shortenSentence(sentence, limit) {
+        if (this.words(sentence).length <= limit) return [sentence];
+
+        for (const [point, starter] of this.SPLIT_POINTS) {
+            const match = sentence.match(point);
+            if (!match) continue;
+
+            const first = sentence.slice(0, match.index).trim();
+            const rest = sentence.slice(match.index + match[0].length).trim();
+            if (this.words(first).length < 3 || this.words(rest).length < 3) continue;
+
+            const end = /[.!?]["')\]]?$/.test(rest) ? '' : '.';
+            const next = starter ? starter + rest : rest.charAt(0).toUpperCase() + rest.slice(1);
+            return [
+                ...this.shortenSentence(`${first}.`, limit),
+                ...this.shortenSentence(next + end, limit)
+            ];
+        }
+        return [sentence];
+    },
+
+    /**
+     * Simplify text (same data shape as POST /text/simplify)
+     * @param {string} text
+     * @param {string} [level='intermediate'] - basic, intermediate or advanced
+     * @returns {Object} { success, source, data: { simplified, original_level, simplified_level, replacements } }
+     */
+    simplify(text, level = 'intermediate') {
+        const limit = this.SENTENCE_LIMITS[level] || this.SENTENCE_LIMITS.intermediate;
+
+        const paragraphs = String(text).split(/\n\s*\n/);
+        const allReplacements = [];
+        const simplified = paragraphs.map(paragraph => {
+            const { text: replaced, replacements } = this.replaceWords(paragraph.replace(/\s+/g, ' ').trim());
+            allReplacements.push(...replacements);
+            return this.splitSentences(replaced).flatMap(sentence => this.shortenSentence(sentence, limit)).join(' ');
+        }).join('\n\n');
+
+        return {
+            success: true,
+            source: 'device',
+            data: {
+                simplified,
+                original_level: this.assess(text).data,
+                simplified_level: this.assess(simplified).data,
+                replacements: allReplacements
+            }
+        };
+    },
+
+    /**
+     * Syllabify every word of a text (same data shape as POST /text/syllabify)
+     * @param {string} text
+     * @param {string} [separator='·']
+     * @returns {Object} { success, source, data: { syllabified, words: [{ word, syllables }] } }
+     */
+    syllabifyText(text, separator = '·') {
+        const words = [];
+        const syllabified = String(text).replace(/[A-Za-z]+(?:['-][A-Za-z]+)*/g, word => {
+            const syllables = this.syllabify(word);
+            words.push({ word, syllables });
+            return syllables.join(separator);
+        });
+
+        return { success: true, source: 'device', data: { syllabified, words } };
+    }
+};
+
+// Make globally available
+window.CognoReadability = CognoReadability;
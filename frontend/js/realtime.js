@@ -374,9 +374,17 @@ class BroadcastChannel {
 // =========================================================
 
 class ConsultationRoom {
-    constructor(consultationId, userId) {
+    /**
+     * @param {string} consultationId
+     * @param {string} userId
+     * @param {Object} [options]
+     * @param {Array<string>} [options.allowedUserIds] - Only these users' presence and
+     *        messages are passed on (the booked doctor and patient)
+     */
+    constructor(consultationId, userId, { allowedUserIds = null } = {}) {
         this.consultationId = consultationId;
         this.userId = userId;
+        this.allowedUserIds = allowedUserIds;
         this.channelName = `consultation:${consultationId}`;
         this.channel = null;
         this.presence = null;
@@ -385,16 +393,39 @@ class ConsultationRoom {
         this.onParticipantLeft = null;
         this.onMessageReceived = null;
         this.onStatusChanged = null;
+        this.onSignal = null;
+        this.onConnected = null;
+    }
+
+    /**
+     * Whether a user belongs in this room
+     * @param {string} userId
+     */
+    isAllowed(userId) {
+        return !this.allowedUserIds || this.allowedUserIds.includes(userId);
     }
 
     /**
-     * Join consultation room
+     * Join consultation room. The channel is private: Realtime authorization
+     * (supabase/migrations/*_consultation_realtime_authorization.sql) only lets
+     * the booked doctor and patient in, so a payload's sender id is one of theirs.
      * @param {Object} userInfo - User info (name, role, avatar)
+     * @returns {Promise} Resolves once the channel is connected
      */
     async join(userInfo) {
         if (!window.CognoSupabase?.client) return;
 
-        this.channel = window.CognoSupabase.client.channel(this.channelName);
+        // Private channels are checked against the signed-in user's token
+        const { session } = await CognoSupabase.getSession();
+        await window.CognoSupabase.client.realtime.setAuth(session?.access_token);
+
+        this.channel = window.CognoSupabase.client.channel(this.channelName, {
+            config: {
+                private: true,
+                broadcast: { self: false },
+                presence: { key: this.userId }
+            }
+        });
 
         // Presence tracking
         this.channel
@@ -403,37 +434,56 @@ class ConsultationRoom {
             })
             .on('presence', { event: 'join' }, ({ newPresences }) => {
                 if (this.onParticipantJoined) {
-                    newPresences.forEach(p => this.onParticipantJoined(p));
+                    newPresences
+                        .filter(p => p.user_id !== this.userId && this.isAllowed(p.user_id))
+                        .forEach(p => this.onParticipantJoined(p));
                 }
             })
             .on('presence', { event: 'leave' }, ({ leftPresences }) => {
                 if (this.onParticipantLeft) {
-                    leftPresences.forEach(p => this.onParticipantLeft(p));
+                    leftPresences
+                        .filter(p => p.user_id !== this.userId && this.isAllowed(p.user_id))
+                        .forEach(p => this.onParticipantLeft(p));
                 }
             });
 
         // Broadcast events
         this.channel
             .on('broadcast', { event: 'chat' }, ({ payload }) => {
-                if (this.onMessageReceived) {
+                if (this.onMessageReceived && this.isAllowed(payload.user_id)) {
                     this.onMessageReceived(payload);
                 }
             })
             .on('broadcast', { event: 'status' }, ({ payload }) => {
-                if (this.onStatusChanged) {
+                if (this.onStatusChanged && this.isAllowed(payload.user_id)) {
                     this.onStatusChanged(payload);
                 }
+            })
+            .on('broadcast', { event: 'signal' }, ({ payload }) => {
+                // WebRTC signalling addressed to this user (see js/video-call.js)
+                if (payload.to && payload.to !== this.userId) return;
+                if (this.onSignal && this.isAllowed(payload.from)) {
+                    this.onSignal(payload);
+                }
             });
 
-        // Subscribe and track presence
-        await this.channel.subscribe(async (status) => {
-            if (status === 'SUBSCRIBED') {
-                await this.channel.track({
-                    user_id: this.userId,
-                    ...userInfo,
-                    joined_at: new Date().toISOString()
-                });
-            }
+        // Subscribe and track presence (runs again after the channel reconnects)
+        await new Promise((resolve, reject) => {
+            this.channel.subscribe(async (status) => {
+                if (status === 'SUBSCRIBED') {
+                    await this.channel.track({
+                        user_id: this.userId,
+                        ...userInfo,
+                        joined_at: new Date().toISOString()
+                    });
+                    resolve();
+                    if (this.onConnected) {
+                        this.onConnected();
+                    }
+                } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                    reject(new Error(`Consultation channel ${status}`));
+                }
+            });
         });
 
         // Update consultation status in database
@@ -487,6 +537,27 @@ class ConsultationRoom {
         });
     }
 
+    /**
+     * Send a WebRTC signalling message
+     * @param {string|null} to - Recipient user ID (null for everyone in the room)
+     * @param {string} type - hello, offer, answer, candidate or bye
+     * @param {Object} [data] - Session description or ICE candidate
+     */
+    async sendSignal(to, type, data = null) {
+        if (!this.channel) return;
+
+        await this.channel.send({
+            type: 'broadcast',
+            event: 'signal',
+            payload: {
+                from: this.userId,
+                to,
+                type,
+                data
+            }
+        });
+    }
+
     /**
      * Get participants
      * @returns {Array} Participants list
@@ -495,7 +566,7 @@ class ConsultationRoom {
         if (!this.channel) return [];
 
         const state = this.channel.presenceState();
-        return Object.values(state).flat();
+        return Object.values(state).flat().filter(p => this.isAllowed(p.user_id));
     }
 
     /**
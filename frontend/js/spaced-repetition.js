@@ -0,0 +1,298 @@
+/**
+ * COGNO SOLUTION - Spaced Repetition Scheduler
+ * Leitner-box memory model for word items (sight words, spelling lists).
+ *
+ * Each child/deck/word pair is one row in the review_items table:
+ *   box (1-5), due_date (YYYY-MM-DD, child's local day), correct_count,
+ *   attempt_count, last_result, last_reviewed_at
+ *
+ * A correct answer moves the word up one box, a wrong answer sends it back
+ * to box 1, and a correct answer that needed hints keeps it in its box.
+ * Words in the top box are counted as mastered.
+ *
+ * Rows are mirrored in localStorage so queues still work offline; writes
+ * that fail for lack of a network go through the progress outbox
+ * (js/progress-outbox.js) when loaded. The table and its unique key are
+ * created by supabase/migrations/20261018130000_review_items.sql.
+ */
+
+const CognoReview = {
+    // Days until the next review for each box (index = box)
+    BOX_INTERVALS: [0, 1, 2, 4, 7, 14],
+    MAX_BOX: 5,
+
+    // Decks shared between activities
+    DECKS: {
+        'sight-words': 'Sight Words',
+        'spelling': 'Spelling'
+    },
+
+    userId: null,
+    items: {},   // deck -> { word -> row }
+
+    /**
+     * Normalise a word to its item key
+     */
+    itemKey(word) {
+        return String(word).trim().toLowerCase();
+    },
+
+    /**
+     * Local calendar day as YYYY-MM-DD
+     * @param {Date} [date]
+     * @param {number} [addDays=0]
+     */
+    dayKey(date = new Date(), addDays = 0) {
+        const d = new Date(date);
+        d.setDate(d.getDate() + addDays);
+        const month = String(d.getMonth() + 1).padStart(2, '0');
+        const day = String(d.getDate()).padStart(2, '0');
+        return `${d.getFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * Resolve the signed-in child's ID (works offline from the stored session)
+     */
+    async getUserId() {
+        if (this.userId) return this.userId;
+        if (typeof CognoSupabase === 'undefined') return null;
+
+        const { session } = await CognoSupabase.getSession() || {};
+        this.userId = session?.user?.id || null;
+        return this.userId;
+    },
+
+    cacheKey(deck) {
+        return `cogno-review:${this.userId || 'guest'}:${deck}`;
+    },
+
+    /**
+     * Read the local copy of a deck (activity pages do not load utils.js)
+     */
+    readCache(deck) {
+        try {
+            return JSON.parse(localStorage.getItem(this.cacheKey(deck))) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    writeCache(deck, rows) {
+        try {
+            localStorage.setItem(this.cacheKey(deck), JSON.stringify(rows));
+        } catch (e) {
+            console.warn('CognoReview: Could not store local copy:', e);
+        }
+    },
+
+    /**
+     * Load a deck's rows from Supabase, falling back to the local copy
+     * @param {string} deck - Deck name (see DECKS)
+     * @returns {Promise<Object>} word -> row
+     */
+    async load(deck) {
+        const studentId = await this.getUserId();
+        let rows = null;
+
+        if (studentId && !(typeof navigator !== 'undefined' && navigator.onLine === false)) {
+            try {
+                const { data, error } = await CognoSupabase.client
+                    .from('review_items')
+                    .select('*')
+                    .eq('student_id', studentId)
+                    .eq('deck', deck);
+
+                if (error) throw error;
+                rows = Object.fromEntries((data || []).map(row => [row.item, row]));
+            } catch (error) {
+                console.warn('CognoReview: Using local copy, failed to load deck:', error.message || error);
+            }
+        }
+
+        // Keep local answers that have not reached the server yet
+        const local = this.readCache(deck);
+        rows = rows || {};
+        Object.values(local).forEach(row => {
+            const remote = rows[row.item];
+            if (!remote || new Date(row.last_reviewed_at) > new Date(remote.last_reviewed_at)) {
+                rows[row.item] = row;
+            }
+        });
+
+        this.items[deck] = rows;
+        this.writeCache(deck, rows);
+        return rows;
+    },
+
+    /**
+     * Build today's session queue: due words first (most overdue first),
+     * then a few new words. When nothing is due the soonest words are
+     * offered as extra practice.
+     * @param {string} deck
+     * @param {Array<Object>} pool - Candidate items, each with a `word` property
+     * @param {Object} [options]
+     * @param {number} [options.limit=10] - Maximum queue length
+     * @param {number} [options.newPerSession=5] - Maximum unseen words added
+     * @returns {Promise<Array<Object>>} Items from `pool`, each with a `review` row (or null)
+     */
+    async getDueQueue(deck, pool, { limit = 10, newPerSession = 5 } = {}) {
+        const rows = this.items[deck] || await this.load(deck);
+        const today = this.dayKey();
+
+        const withRows = pool.map(item => ({ ...item, review: rows[this.itemKey(item.word)] || null }));
+
+        const due = withRows
+            .filter(item => item.review && item.review.due_date <= today)
+            .sort((a, b) => a.review.due_date.localeCompare(b.review.due_date) || a.review.box - b.review.box);
+        const fresh = withRows.filter(item => !item.review).slice(0, newPerSession);
+
+        let queue = [...due, ...fresh].slice(0, limit);
+
+        if (queue.length === 0) {
+            queue = withRows
+                .filter(item => item.review)
+                .sort((a, b) => a.review.due_date.localeCompare(b.review.due_date))
+                .slice(0, limit);
+        }
+
+        return queue;
+    },
+
+    /**
+     * Record one attempt at a word and schedule its next review
+     * @param {string} deck
+     * @param {string} word
+     * @param {boolean} correct
+     * @param {Object} [options]
+     * @param {number} [options.hintsUsed=0]
+     * @returns {Promise<Object>} Updated row
+     */
+    async recordAttempt(deck, word, correct, { hintsUsed = 0 } = {}) {
+        const studentId = await this.getUserId();
+        const rows = this.items[deck] || await this.load(deck);
+        const item = this.itemKey(word);
+        const previous = rows[item];
+
+        const currentBox = previous?.box || 1;
+        let box;
+        if (!correct) {
+            box = 1;
+        } else if (hintsUsed > 0) {
+            box = currentBox;
+        } else {
+            box = previous ? Math.min(this.MAX_BOX, currentBox + 1) : 2;
+        }
+
+        const row = {
+            student_id: studentId,
+            deck,
+            item,
+            box,
+            due_date: this.dayKey(new Date(), this.BOX_INTERVALS[box]),
+            correct_count: (previous?.correct_count || 0) + (correct ? 1 : 0),
+            attempt_count: (previous?.attempt_count || 0) + 1,
+            last_result: correct ? (hintsUsed > 0 ? 'hinted' : 'correct') : 'incorrect',
+            last_reviewed_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        };
+
+        rows[item] = row;
+        this.writeCache(deck, rows);
+
+        if (studentId) {
+            await this.saveRow(row);
+        }
+
+        return row;
+    },
+
+    /**
+     * Write a row to Supabase, queueing it when the network is down.
+     * Errors from the database itself are only logged: replaying them
+     * would fail the same way.
+     */
+    async saveRow(row) {
+        try {
+            const { error } = await CognoSupabase.client
+                .from('review_items')
+                .upsert(row, { onConflict: 'student_id,deck,item' });
+
+            if (error) throw error;
+        } catch (error) {
+            if (typeof CognoOutbox !== 'undefined' && CognoOutbox.isNetworkError(error)) {
+                await CognoOutbox.enqueue('review', { row }, `review:${row.deck}:${row.item}:${row.last_reviewed_at}`);
+            } else {
+                console.error('CognoReview: Failed to save review:', error);
+            }
+        }
+    },
+
+    /**
+     * Replay a queued row unless an answer reviewed later has already been
+     * saved (e.g. from another device while this one was offline)
+     */
+    async replayRow(row) {
+        const { data: stored, error: loadError } = await CognoSupabase.client
+            .from('review_items')
+            .select('last_reviewed_at')
+            .eq('student_id', row.student_id)
+            .eq('deck', row.deck)
+            .eq('item', row.item)
+            .maybeSingle();
+        if (loadError) throw new Error(loadError.message);
+
+        if (stored && new Date(stored.last_reviewed_at) >= new Date(row.last_reviewed_at)) {
+            return;
+        }
+
+        const { error } = await CognoSupabase.client
+            .from('review_items')
+            .upsert(row, { onConflict: 'student_id,deck,item' });
+        if (error) throw new Error(error.message);
+    },
+
+    /**
+     * Due and mastered counts for a child's decks (dashboard card)
+     * @param {string} [studentId] - Defaults to the signed-in user
+     * @returns {Promise<Object>} { due, mastered, learning, total, decks: { [deck]: {...} } }
+     */
+    async getSummary(studentId = null) {
+        studentId = studentId || await this.getUserId();
+        const summary = { due: 0, mastered: 0, learning: 0, total: 0, decks: {} };
+        if (!studentId) return summary;
+
+        const { data, error } = await CognoSupabase.client
+            .from('review_items')
+            .select('deck, box, due_date')
+            .eq('student_id', studentId);
+
+        if (error) {
+            console.error('CognoReview: Failed to load summary:', error);
+            return summary;
+        }
+
+        const today = this.dayKey();
+        (data || []).forEach(row => {
+            const deck = summary.decks[row.deck] || (summary.decks[row.deck] = { due: 0, mastered: 0, learning: 0, total: 0 });
+            const isMastered = row.box >= this.MAX_BOX;
+            const isDue = row.due_date <= today;
+
+            [summary, deck].forEach(bucket => {
+                bucket.total++;
+                if (isMastered) bucket.mastered++;
+                else bucket.learning++;
+                if (isDue) bucket.due++;
+            });
+        });
+
+        return summary;
+    }
+};
+
+// Replay reviews saved while offline
+if (typeof CognoOutbox !== 'undefined') {
+    CognoOutbox.registerHandler('review', ({ row }) => CognoReview.replayRow(row));
+}
+
+// Make globally available
+window.CognoReview = CognoReview;
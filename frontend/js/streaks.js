@@ -0,0 +1,300 @@
+/**
+ * COGNO SOLUTION - Streaks
+ * Single streak calculation used by the child, parent and doctor views.
+ *
+ * Days are counted in the child's configured timezone (profiles.timezone,
+ * added by supabase/migrations/20261018130300_profiles_timezone.sql), so an
+ * activity at 11pm never lands on the next day because the viewer is
+ * elsewhere. When the child never set one, or no profile is involved (e.g.
+ * the settings page), the viewer's own setting or browser timezone is used.
+ *
+ * Streak freezes: some achievements award freeze tokens. A token covers one
+ * missed day, and only days missed after the token was earned. Tokens are
+ * spent automatically, oldest gap first, and unspent tokens carry over.
+ *
+ * Usage:
+ *   const streak = await CognoStreaks.getStreak(userId);
+ *   streak.current, streak.longest, streak.freezesAvailable, streak.atRisk
+ */
+
+const CognoStreaks = {
+    DAY_MS: 86400000,
+
+    // How far back activity is loaded
+    LOOKBACK_DAYS: 400,
+
+    // Local hour (in the child's timezone) after which an at-risk streak triggers a reminder
+    REMINDER_HOUR: 15,
+
+    // Freeze tokens for achievement rows written before user_achievements.streak_freezes
+    // was recorded (by achievement_id, then achievement_type)
+    FREEZE_REWARDS: {
+        ids: {
+            streak_7: 1,
+            '7_day_streak': 1,
+            streak_30: 2
+        },
+        types: {
+            mastery: 1
+        }
+    },
+
+    /**
+     * Timezone to count a child's days in
+     * @param {Object} [profile] - profiles row. Its `timezone` is used when
+     *   set; otherwise the viewer's own setting, then the browser's.
+     * @returns {string} IANA timezone name
+     */
+    getTimezone(profile = null) {
+        if (profile?.timezone && this.isValidTimezone(profile.timezone)) {
+            return profile.timezone;
+        }
+
+        try {
+            const settings = JSON.parse(localStorage.getItem('cogno-settings') || '{}');
+            if (settings.timezone && this.isValidTimezone(settings.timezone)) return settings.timezone;
+        } catch (e) {
+            // Ignore unreadable settings
+        }
+
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    },
+
+    isValidTimezone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * Calendar day of a moment in a timezone, as YYYY-MM-DD
+     */
+    dayKey(date, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).formatToParts(new Date(date));
+        const get = type => parts.find(p => p.type === type).value;
+        return `${get('year')}-${get('month')}-${get('day')}`;
+    },
+
+    /**
+     * Whole-day number for a YYYY-MM-DD key (no DST drift)
+     */
+    dayNumber(key) {
+        const [y, m, d] = key.split('-').map(Number);
+        return Math.round(Date.UTC(y, m - 1, d) / this.DAY_MS);
+    },
+
+    dayFromNumber(number) {
+        return new Date(number * this.DAY_MS).toISOString().split('T')[0];
+    },
+
+    /**
+     * Hour of the day (0-23) in a timezone
+     */
+    hourIn(date, timeZone) {
+        const hour = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(new Date(date));
+        return parseInt(hour, 10);
+    },
+
+    /**
+     * Freeze tokens earned from achievement rows
+     * @param {Array} achievements - user_achievements rows
+     * @param {string} timeZone
+     * @returns {Array<{ day: number, count: number }>} Sorted by day
+     */
+    freezesFromAchievements(achievements, timeZone) {
+        const { ids, types } = this.FREEZE_REWARDS;
+
+        return (achievements || [])
+            .map(a => ({
+                day: this.dayNumber(this.dayKey(a.unlocked_at || a.earned_at || a.created_at || Date.now(), timeZone)),
+                count: a.streak_freezes ?? ids[a.achievement_id] ?? types[a.achievement_type] ?? 0
+            }))
+            .filter(token => token.count > 0)
+            .sort((a, b) => a.day - b.day);
+    },
+
+    /**
+     * Current and longest streak from activity timestamps
+     * @param {Array<string|Date>} timestamps - When activities were completed
+     * @param {Object} [options]
+     * @param {string} [options.timeZone] - Child's timezone
+     * @param {Array} [options.freezes=[]] - Tokens from freezesFromAchievements
+     * @param {Date} [options.now=new Date()]
+     * @returns {Object} { current, longest, activeToday, atRisk, lastActiveDay, freezesAvailable, freezesUsed, frozenDays }
+     */
+    calculate(timestamps, { timeZone = this.getTimezone(), freezes = [], now = new Date() } = {}) {
+        const days = [...new Set((timestamps || [])
+            .filter(Boolean)
+            .map(t => this.dayNumber(this.dayKey(t, timeZone))))]
+            .sort((a, b) => a - b);
+        const today = this.dayNumber(this.dayKey(now, timeZone));
+
+        let bank = 0;
+        let tokenIndex = 0;
+        const frozenDays = [];
+
+        // Bank tokens earned on or before a day
+        const earnUntil = day => {
+            while (tokenIndex < freezes.length && freezes[tokenIndex].day <= day) {
+                bank += freezes[tokenIndex].count;
+                tokenIndex++;
+            }
+        };
+
+        // Cover the missed days between two days with tokens, if there are enough
+        const bridge = (from, to) => {
+            const missed = to - from - 1;
+            if (missed <= 0) return true;
+            if (missed > bank) return false;
+            bank -= missed;
+            for (let day = from + 1; day < to; day++) frozenDays.push(this.dayFromNumber(day));
+            return true;
+        };
+
+        let streak = 0;
+        let longest = 0;
+        let previous = null;
+
+        days.filter(day => day <= today).forEach(day => {
+            if (previous === null) {
+                streak = 1;
+            } else {
+                earnUntil(previous);
+                streak = bridge(previous, day) ? streak + 1 : 1;
+            }
+            longest = Math.max(longest, streak);
+            previous = day;
+        });
+
+        // Today is not over, so only the days before it can break the streak
+        const activeToday = previous === today;
+        if (previous !== null && !activeToday) {
+            earnUntil(today);
+            if (!bridge(previous, today)) streak = 0;
+        }
+        earnUntil(today);
+
+        return {
+            current: streak,
+            longest,
+            activeToday,
+            atRisk: streak > 0 && !activeToday,
+            lastActiveDay: previous === null ? null : this.dayFromNumber(previous),
+            freezesAvailable: bank,
+            freezesUsed: frozenDays.length,
+            frozenDays
+        };
+    },
+
+    /**
+     * Timestamps of a child's completed activities
+     * @param {string} userId
+     * @returns {Promise<string[]>}
+     */
+    async loadActivityTimestamps(userId) {
+        const since = new Date(Date.now() - this.LOOKBACK_DAYS * this.DAY_MS).toISOString();
+
+        const [logs, progress] = await Promise.all([
+            CognoSupabase.client
+                .from('activity_logs')
+                .select('created_at')
+                .eq('user_id', userId)
+                .eq('activity_type', 'activity_completed')
+                .gte('created_at', since),
+            CognoSupabase.client
+                .from('student_progress')
+                .select('updated_at, data')
+                .eq('student_id', userId)
+                .gte('updated_at', since)
+        ]);
+
+        if (logs.error) console.warn('CognoStreaks: Failed to load activity log:', logs.error.message);
+        if (progress.error) console.warn('CognoStreaks: Failed to load progress:', progress.error.message);
+
+        // student_progress keeps one row per activity, so add its recent history too
+        return [
+            ...(logs.data || []).map(row => row.created_at),
+            ...(progress.data || []).flatMap(row => [
+                row.updated_at,
+                ...(row.data?.adaptive?.history || []).map(entry => entry.at)
+            ])
+        ];
+    },
+
+    /**
+     * Full streak for a child
+     * @param {string} userId
+     * @param {Object} [options]
+     * @param {Object} [options.profile] - profiles row, loaded when omitted or missing `timezone`
+     * @param {Array} [options.timestamps] - Activity timestamps, loaded when omitted
+     * @returns {Promise<Object>} calculate() result plus { timeZone }
+     */
+    async getStreak(userId, { profile = null, timestamps = null } = {}) {
+        if (!profile || !('timezone' in profile)) {
+            const { data } = await CognoSupabase.client
+                .from('profiles')
+                .select('timezone')
+                .eq('id', userId)
+                .maybeSingle();
+            profile = { ...profile, timezone: data?.timezone ?? null };
+        }
+
+        const timeZone = this.getTimezone(profile);
+
+        const [activity, achievements] = await Promise.all([
+            timestamps ? Promise.resolve(timestamps) : this.loadActivityTimestamps(userId),
+            CognoSupabase.client
+                .from('user_achievements')
+                .select('*')
+                .eq('user_id', userId)
+        ]);
+
+        const freezes = this.freezesFromAchievements(achievements.data, timeZone);
+        return { ...this.calculate(activity, { timeZone, freezes }), timeZone };
+    },
+
+    /**
+     * Show a reminder when today's activity is still missing. Respects the
+     * streak_reminders setting and shows at most once per day.
+     * @param {Object} streak - getStreak() result
+     */
+    remind(streak) {
+        let settings = {};
+        try {
+            settings = JSON.parse(localStorage.getItem('cogno-settings') || '{}');
+        } catch (e) {
+            // Use defaults
+        }
+
+        if (settings.streak_reminders === false || !streak?.atRisk) return false;
+        if (this.hourIn(new Date(), streak.timeZone) < this.REMINDER_HOUR) return false;
+
+        const day = this.dayKey(new Date(), streak.timeZone);
+        const shownKey = `cogno-streak-reminder:${day}`;
+        if (localStorage.getItem(shownKey)) return false;
+        localStorage.setItem(shownKey, 'true');
+
+        const freezeNote = streak.freezesAvailable > 0
+            ? ` (you have ${streak.freezesAvailable} streak freeze${streak.freezesAvailable === 1 ? '' : 's'})`
+            : '';
+        if (typeof CognoNotifications === 'undefined') return false;
+        CognoNotifications.showBanner({
+            message: `Do one activity today to keep your ${streak.current}-day streak going!${freezeNote}`,
+            type: 'warning',
+            id: `streak-${day}`,
+            persistent: true
+        });
+        return true;
+    }
+};
+
+// Make globally available
+window.CognoStreaks = CognoStreaks;
@@ -0,0 +1,673 @@
+/**
+ * COGNO SOLUTION - Handwriting Stroke Capture
+ * Shared drawing surface for the dysgraphia tracing activities. Records every
+ * stroke as points with timestamps and pen pressure, scores the strokes on the
+ * device against a template and packs them so they can be saved and replayed.
+ *
+ * Templates are strokes in a unit box (x 0-1, y 0-1, top to bottom), drawn in
+ * the order and direction a child should write them. Word templates are built
+ * from the rendered text instead, so they only score shape and bounds.
+ *
+ * Scores (0-100):
+ *   shape     - how closely the ink follows the template (both ways)
+ *   order     - strokes written in the taught order
+ *   direction - strokes started at the right end
+ *   inBounds  - share of the ink that stays on the guide
+ *
+ * Usage:
+ *   const capture = new StrokeCapture(canvas, { width: 500, height: 250 });
+ *   capture.setTemplate(CognoStrokes.getTemplate('letter', 'A'));
+ *   const result = capture.score();
+ *   trials.push(capture.toTrial('A', result));   // saved via CognoTracker.saveActivity({ trials })
+ */
+
+/**
+ * Points along an elliptical arc (angles in degrees, 0 = right, 90 = down)
+ */
+function strokeArc(cx, cy, rx, ry, from, to, steps = 16) {
+    return Array.from({ length: steps + 1 }, (_, i) => {
+        const angle = (from + ((to - from) * i) / steps) * Math.PI / 180;
+        return [cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)];
+    });
+}
+
+const CognoStrokes = {
+    // Score at which a letter counts as correctly formed
+    PASS_SCORE: 70,
+
+    // Average distance (in letter heights) at which the shape score reaches 0
+    SHAPE_TOLERANCE: 0.2,
+
+    // Ink further than this from the guide (in letter heights) is out of bounds
+    BOUNDS_TOLERANCE: 0.1,
+
+    // Strokes shorter than this (in letter heights) are treated as dots/slips
+    MIN_STROKE: 0.05,
+
+    RESAMPLE_POINTS: 64,
+
+    WEIGHTS: { shape: 0.4, order: 0.2, direction: 0.2, inBounds: 0.2 },
+
+    LETTERS: {
+        A: [[[0.5, 0], [0, 1]], [[0.5, 0], [1, 1]], [[0.2, 0.6], [0.8, 0.6]]],
+        B: [[[0, 0], [0, 1]], [[0, 0], [0.55, 0], ...strokeArc(0.55, 0.25, 0.35, 0.25, -90, 90), [0, 0.5]],
+            [[0, 0.5], [0.6, 0.5], ...strokeArc(0.6, 0.75, 0.4, 0.25, -90, 90), [0, 1]]],
+        C: [strokeArc(0.55, 0.5, 0.45, 0.5, -40, -320, 24)],
+        D: [[[0, 0], [0, 1]], [[0, 0], [0.45, 0], ...strokeArc(0.45, 0.5, 0.55, 0.5, -90, 90), [0, 1]]],
+        E: [[[0, 0], [0, 1]], [[0, 0], [0.9, 0]], [[0, 0.5], [0.7, 0.5]], [[0, 1], [0.9, 1]]],
+        F: [[[0, 0], [0, 1]], [[0, 0], [0.9, 0]], [[0, 0.5], [0.7, 0.5]]],
+        G: [[...strokeArc(0.55, 0.5, 0.45, 0.5, -40, -360, 24), [0.6, 0.5]]],
+        H: [[[0, 0], [0, 1]], [[1, 0], [1, 1]], [[0, 0.5], [1, 0.5]]],
+        I: [[[0.5, 0], [0.5, 1]], [[0.1, 0], [0.9, 0]], [[0.1, 1], [0.9, 1]]],
+        J: [[[0.7, 0], [0.7, 0.7], ...strokeArc(0.4, 0.7, 0.3, 0.3, 0, 180)]],
+        K: [[[0, 0], [0, 1]], [[0.9, 0], [0, 0.55]], [[0.3, 0.4], [0.9, 1]]],
+        L: [[[0, 0], [0, 1]], [[0, 1], [0.8, 1]]],
+        M: [[[0, 0], [0, 1]], [[0, 0], [0.5, 0.6]], [[0.5, 0.6], [1, 0]], [[1, 0], [1, 1]]],
+        N: [[[0, 0], [0, 1]], [[0, 0], [1, 1]], [[1, 1], [1, 0]]],
+        O: [strokeArc(0.5, 0.5, 0.5, 0.5, -90, -450, 32)],
+        P: [[[0, 0], [0, 1]], [[0, 0], [0.55, 0], ...strokeArc(0.55, 0.25, 0.4, 0.25, -90, 90), [0, 0.5]]],
+        Q: [strokeArc(0.5, 0.5, 0.5, 0.5, -90, -450, 32), [[0.6, 0.7], [1, 1]]],
+        R: [[[0, 0], [0, 1]], [[0, 0], [0.55, 0], ...strokeArc(0.55, 0.25, 0.4, 0.25, -90, 90), [0, 0.5]], [[0.4, 0.5], [1, 1]]],
+        S: [[...strokeArc(0.5, 0.25, 0.45, 0.25, -20, -270), ...strokeArc(0.5, 0.75, 0.45, 0.25, -90, 160).slice(1)]],
+        T: [[[0, 0], [1, 0]], [[0.5, 0], [0.5, 1]]],
+        U: [[[0, 0], [0, 0.65], ...strokeArc(0.5, 0.65, 0.5, 0.35, 180, 0), [1, 0]]],
+        V: [[[0, 0], [0.5, 1], [1, 0]]],
+        W: [[[0, 0], [0.25, 1], [0.5, 0.35], [0.75, 1], [1, 0]]],
+        X: [[[0, 0], [1, 1]], [[1, 0], [0, 1]]],
+        Y: [[[0, 0], [0.5, 0.5]], [[1, 0], [0.5, 0.5], [0.5, 1]]],
+        Z: [[[0, 0], [1, 0], [0, 1], [1, 1]]]
+    },
+
+    // Width / height of the letter box
+    LETTER_ASPECT: { default: 0.75, M: 0.9, W: 1, I: 0.6, J: 0.6 },
+
+    SHAPES: {
+        Circle: { aspect: 1, strokes: [strokeArc(0.5, 0.5, 0.5, 0.5, -90, -450, 32)] },
+        Square: { aspect: 1, strokes: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]] },
+        Triangle: { aspect: 1, strokes: [[[0.5, 0], [0, 1], [1, 1], [0.5, 0]]] },
+        Rectangle: { aspect: 200 / 130, strokes: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]] },
+        Star: {
+            aspect: 248 / 205,
+            strokes: [[
+                [0.5, 0], [0.653, 0.39], [1, 0.39], [0.762, 0.61], [0.915, 1], [0.5, 0.78],
+                [0.085, 1], [0.238, 0.61], [0, 0.39], [0.347, 0.39], [0.5, 0]
+            ]]
+        }
+    },
+
+    /**
+     * Build a template
+     * @param {string} type - 'letter', 'shape' or 'text'
+     * @param {string} id - Letter (A-Z), shape name or word
+     * @param {Object} [options] - For text: { font }
+     * @returns {Object|null} { type, id, aspect, strokes, anyDirection, font }
+     */
+    getTemplate(type, id, options = {}) {
+        if (type === 'letter') {
+            const letter = String(id).toUpperCase();
+            const strokes = this.LETTERS[letter];
+            if (!strokes) return null;
+            return { type, id: letter, aspect: this.LETTER_ASPECT[letter] || this.LETTER_ASPECT.default, strokes, anyDirection: false };
+        }
+
+        if (type === 'shape') {
+            const shape = this.SHAPES[id];
+            // Shapes may be traced either way round
+            return shape ? { type, id, aspect: shape.aspect, strokes: shape.strokes, anyDirection: true } : null;
+        }
+
+        if (type === 'text') {
+            return { type, id: String(id), font: options.font || "700 72px 'Comic Sans MS', 'Segoe Print', sans-serif", strokes: null };
+        }
+
+        return null;
+    },
+
+    distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    },
+
+    pathLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) length += this.distance(points[i - 1], points[i]);
+        return length;
+    },
+
+    /**
+     * Resample a polyline to n evenly spaced points
+     */
+    resample(points, n) {
+        if (points.length === 0) return [];
+        if (points.length === 1 || n < 2) return Array.from({ length: Math.max(n, 1) }, () => ({ ...points[0] }));
+
+        const interval = this.pathLength(points) / (n - 1);
+        if (interval === 0) return Array.from({ length: n }, () => ({ ...points[0] }));
+
+        const result = [{ x: points[0].x, y: points[0].y }];
+        let carried = 0;
+        for (let i = 1; i < points.length; i++) {
+            let prev = points[i - 1];
+            const next = points[i];
+            let segment = this.distance(prev, next);
+            while (carried + segment >= interval && result.length < n) {
+                const ratio = (interval - carried) / segment;
+                const point = { x: prev.x + ratio * (next.x - prev.x), y: prev.y + ratio * (next.y - prev.y) };
+                result.push(point);
+                prev = point;
+                segment = this.distance(prev, next);
+                carried = 0;
+            }
+            carried += segment;
+        }
+        while (result.length < n) result.push({ ...points[points.length - 1] });
+        return result;
+    },
+
+    /**
+     * Resample several strokes to about `total` points, shared by length
+     */
+    resampleStrokes(strokes, total = this.RESAMPLE_POINTS) {
+        const lengths = strokes.map(stroke => this.pathLength(stroke));
+        const sum = lengths.reduce((a, b) => a + b, 0) || 1;
+        return strokes.flatMap((stroke, i) => this.resample(stroke, Math.max(2, Math.round((lengths[i] / sum) * total))));
+    },
+
+    /**
+     * Mean distance from each point in `from` to the nearest point in `to`
+     */
+    meanNearest(from, to) {
+        if (!from.length || !to.length) return Infinity;
+        return from.reduce((sum, p) => sum + Math.min(...to.map(q => this.distance(p, q))), 0) / from.length;
+    },
+
+    /**
+     * Template strokes in letter-height units (x scaled by the aspect)
+     */
+    templateStrokes(template) {
+        return (template.strokes || []).map(stroke => stroke.map(([x, y]) => ({ x: x * template.aspect, y })));
+    },
+
+    /**
+     * Signed area of a closed stroke (sign gives its orientation)
+     */
+    signedArea(points) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return area / 2;
+    },
+
+    /**
+     * Length of the longest common subsequence of two index lists
+     */
+    lcs(a, b) {
+        const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                table[i][j] = a[i - 1] === b[j - 1]
+                    ? table[i - 1][j - 1] + 1
+                    : Math.max(table[i - 1][j], table[i][j - 1]);
+            }
+        }
+        return table[a.length][b.length];
+    },
+
+    /**
+     * True when a stroke runs from the start of its target stroke to the end
+     */
+    rightWay(stroke, target, template) {
+        const start = stroke[0];
+        const end = stroke[stroke.length - 1];
+        const tStart = target[0];
+        const tEnd = target[target.length - 1];
+
+        // Closed strokes (O, shapes) have no start or end, so compare their orientation
+        if (this.distance(tStart, tEnd) < this.MIN_STROKE) {
+            if (template.anyDirection) return true;
+            return Math.sign(this.signedArea(stroke)) === Math.sign(this.signedArea(target));
+        }
+        return this.distance(start, tStart) + this.distance(end, tEnd) <=
+            this.distance(start, tEnd) + this.distance(end, tStart);
+    },
+
+    /**
+     * Which template stroke each ink stroke follows, and whether it went the right way
+     * @returns {Array<{ match, rightWay }>}
+     */
+    matchStrokes(ink, guideStrokes, template) {
+        const guideClouds = guideStrokes.map(stroke => this.resample(stroke, 16));
+        return ink.map(stroke => {
+            const cloud = this.resample(stroke, 16);
+            const distances = guideClouds.map(g => this.meanNearest(cloud, g));
+            const match = distances.indexOf(Math.min(...distances));
+            return { match, rightWay: this.rightWay(stroke, guideStrokes[match], template) };
+        });
+    },
+
+    /**
+     * Per-stroke mistakes, for highlighting a replay
+     * @param {Array<Array<{x, y}>>} strokes - Ink in letter-height units
+     * @param {Object} template - getTemplate() result
+     * @returns {Array<{ match, order, direction }>} order/direction are true when that stroke got them wrong
+     */
+    strokeMistakes(strokes, template) {
+        const guideStrokes = this.templateStrokes(template);
+        const none = { match: null, order: false, direction: false };
+        if (guideStrokes.length === 0) return strokes.map(() => none);
+
+        let next = 0;
+        let previous = null;
+        return strokes.map(stroke => {
+            if (this.pathLength(stroke) < this.MIN_STROKE) return none;
+
+            const [{ match, rightWay }] = this.matchStrokes([stroke], guideStrokes, template);
+            // Going over the previous line again is fine; anything but the next line is not
+            const order = match !== previous && match !== next;
+            if (match !== previous) next = Math.max(next, match + 1);
+            previous = match;
+            return { match, order, direction: !rightWay };
+        });
+    },
+
+    /**
+     * Score strokes against a template
+     * @param {Array<Array<{x, y}>>} strokes - Ink in letter-height units, relative to the template box
+     * @param {Object} template - getTemplate() result
+     * @param {Array<{x, y}>} [guidePoints] - Point cloud for text templates (same units)
+     * @returns {Object} { score, shape, order, direction, inBounds, strokes, expectedStrokes, correct }
+     */
+    score(strokes, template, guidePoints = null) {
+        const ink = strokes.filter(stroke => this.pathLength(stroke) >= this.MIN_STROKE);
+        const guideStrokes = this.templateStrokes(template);
+        const guide = guidePoints || this.resampleStrokes(guideStrokes);
+
+        if (ink.length === 0 || guide.length === 0) {
+            return { score: 0, shape: 0, order: null, direction: null, inBounds: 0, strokes: 0, expectedStrokes: guideStrokes.length, correct: false };
+        }
+
+        const inkPoints = this.resampleStrokes(ink);
+        const nearest = p => Math.min(...guide.map(q => this.distance(p, q)));
+
+        // Ink near the guide, and the guide covered by ink
+        const mismatch = (this.meanNearest(inkPoints, guide) + this.meanNearest(guide, inkPoints)) / 2;
+        const shape = Math.max(0, 1 - mismatch / this.SHAPE_TOLERANCE) * 100;
+        const inBounds = (inkPoints.filter(p => nearest(p) <= this.BOUNDS_TOLERANCE).length / inkPoints.length) * 100;
+
+        let order = null;
+        let direction = null;
+        if (guideStrokes.length > 0) {
+            const matched = this.matchStrokes(ink, guideStrokes, template);
+            const matches = matched.map(m => m.match);
+
+            // Taught order: 0, 1, 2... (repeated strokes over the same line count once)
+            const sequence = matches.filter((m, i) => i === 0 || m !== matches[i - 1]);
+            const expected = guideStrokes.map((_, i) => i);
+            order = (this.lcs(sequence, expected) / Math.max(expected.length, sequence.length)) * 100;
+
+            direction = (matched.filter(m => m.rightWay).length / ink.length) * 100;
+        }
+
+        const parts = { shape, order, direction, inBounds };
+        const weighted = Object.entries(this.WEIGHTS).filter(([key]) => parts[key] !== null);
+        const totalWeight = weighted.reduce((sum, [, w]) => sum + w, 0);
+        const score = Math.round(weighted.reduce((sum, [key, w]) => sum + parts[key] * w, 0) / totalWeight);
+        const round = value => value === null ? null : Math.round(value);
+
+        return {
+            score,
+            shape: round(shape),
+            order: round(order),
+            direction: round(direction),
+            inBounds: round(inBounds),
+            strokes: ink.length,
+            expectedStrokes: guideStrokes.length || null,
+            correct: score >= this.PASS_SCORE
+        };
+    },
+
+    /**
+     * One short tip for the weakest part of a result
+     */
+    feedback(result) {
+        if (result.score >= 85) return 'Beautiful!';
+        if (result.direction !== null && result.direction < 60) return 'Start each line at the green dot.';
+        if (result.order !== null && result.order < 60) return 'Follow the numbers for the order of the lines.';
+        if (result.inBounds < 60) return 'Try to stay on the guide lines.';
+        return 'Good try - keep practising!';
+    },
+
+    /**
+     * Compact stroke data for storage: [[x, y, ms, pressure], ...] per stroke
+     */
+    pack(strokes) {
+        return strokes.map(stroke => stroke.map(p => [
+            Math.round(p.x * 10) / 10,
+            Math.round(p.y * 10) / 10,
+            Math.round(p.t),
+            Math.round((p.p ?? 0.5) * 100) / 100
+        ]));
+    },
+
+    /**
+     * Inverse of pack()
+     */
+    unpack(packed) {
+        return (packed || []).map(stroke => stroke.map(([x, y, t, p]) => ({ x, y, t, p })));
+    }
+};
+
+// =========================================================
+// STROKE CAPTURE CLASS
+// =========================================================
+
+class StrokeCapture {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} [options]
+     * @param {number} [options.width=500] - Drawing size in CSS pixels
+     * @param {number} [options.height=250]
+     * @param {boolean} [options.guide=true] - Draw the template under the ink
+     * @param {Function} [options.onStroke] - Called after each finished stroke
+     * @param {boolean} [options.readOnly=false] - Display only (replays), no pointer input
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.options = {
+            width: 500,
+            height: 250,
+            guide: true,
+            inkColor: '#6366f1',
+            guideColor: 'rgba(99, 102, 241, 0.15)',
+            lineWidth: 8,
+            onStroke: null,
+            readOnly: false,
+            ...options
+        };
+        this.template = null;
+        this.box = null;
+        this.guidePoints = null;
+        this.strokes = [];
+        this.current = null;
+        this.startedAt = null;
+        this.shownAt = Date.now();
+
+        // Sharp lines on high-DPI screens
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = this.options.width * dpr;
+        canvas.height = this.options.height * dpr;
+        this.ctx.scale(dpr, dpr);
+        if (this.options.readOnly) return;
+        canvas.style.touchAction = 'none';
+
+        canvas.addEventListener('pointerdown', e => this.handleDown(e));
+        canvas.addEventListener('pointermove', e => this.handleMove(e));
+        canvas.addEventListener('pointerup', () => this.handleUp());
+        canvas.addEventListener('pointercancel', () => this.handleUp());
+        canvas.addEventListener('pointerleave', () => this.handleUp());
+    }
+
+    /**
+     * Show a new template and clear the ink
+     * @param {Object} template - CognoStrokes.getTemplate() result
+     */
+    setTemplate(template) {
+        this.template = template;
+        this.box = this.layoutBox(template);
+        this.guidePoints = template?.type === 'text' ? this.sampleText(template) : null;
+        this.clear();
+        this.shownAt = Date.now();
+    }
+
+    /**
+     * Where the template sits on the canvas (CSS pixels)
+     */
+    layoutBox(template) {
+        const { width, height } = this.options;
+        if (!template) return { x: 0, y: 0, width, height };
+
+        if (template.type === 'text') {
+            this.ctx.save();
+            this.ctx.font = template.font;
+            const metrics = this.ctx.measureText(template.id);
+            this.ctx.restore();
+            const textHeight = (metrics.actualBoundingBoxAscent || 52) + (metrics.actualBoundingBoxDescent || 16);
+            const textWidth = metrics.width;
+            return { x: (width - textWidth) / 2, y: (height - textHeight) / 2, width: textWidth, height: textHeight, baseline: metrics.actualBoundingBoxAscent || 52 };
+        }
+
+        let boxHeight = height * 0.7;
+        let boxWidth = boxHeight * template.aspect;
+        if (boxWidth > width * 0.85) {
+            boxWidth = width * 0.85;
+            boxHeight = boxWidth / template.aspect;
+        }
+        return { x: (width - boxWidth) / 2, y: (height - boxHeight) / 2, width: boxWidth, height: boxHeight };
+    }
+
+    /**
+     * Point cloud of the rendered text, in letter-height units
+     */
+    sampleText(template) {
+        const { width, height } = this.options;
+        const box = this.box;
+        const offscreen = document.createElement('canvas');
+        offscreen.width = width;
+        offscreen.height = height;
+        const octx = offscreen.getContext('2d');
+        octx.font = template.font;
+        octx.fillStyle = '#000';
+        octx.fillText(template.id, box.x, box.y + box.baseline);
+
+        const pixels = octx.getImageData(0, 0, width, height).data;
+        const points = [];
+        const step = 3;
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                if (pixels[(y * width + x) * 4 + 3] > 128) points.push(this.toUnits({ x, y }));
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Canvas point (CSS pixels) to letter-height units relative to the template box
+     */
+    toUnits(point) {
+        return { x: (point.x - this.box.x) / this.box.height, y: (point.y - this.box.y) / this.box.height };
+    }
+
+    pointFromEvent(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.options.width / rect.width),
+            y: (e.clientY - rect.top) * (this.options.height / rect.height),
+            t: performance.now() - (this.startedAt ?? performance.now()),
+            // Mice report 0.5 while pressed; pens and some touch screens report real pressure
+            p: e.pressure || 0.5
+        };
+    }
+
+    handleDown(e) {
+        e.preventDefault();
+        this.canvas.setPointerCapture?.(e.pointerId);
+        if (this.startedAt === null) this.startedAt = performance.now();
+        this.current = [this.pointFromEvent(e)];
+        this.strokes.push(this.current);
+        this.redraw();
+    }
+
+    handleMove(e) {
+        if (!this.current) return;
+        e.preventDefault();
+        const point = this.pointFromEvent(e);
+        const last = this.current[this.current.length - 1];
+        this.current.push(point);
+        this.drawSegment(last, point);
+    }
+
+    handleUp() {
+        if (!this.current) return;
+        this.current = null;
+        this.options.onStroke?.(this);
+    }
+
+    /**
+     * Remove all ink, keeping the template
+     */
+    clear() {
+        this.strokes = [];
+        this.current = null;
+        this.startedAt = null;
+        this.redraw();
+    }
+
+    /**
+     * Total ink length in CSS pixels
+     */
+    inkLength() {
+        return this.strokes.reduce((sum, stroke) => sum + CognoStrokes.pathLength(stroke), 0);
+    }
+
+    /**
+     * True once the child has drawn at least `minLength` pixels of ink
+     */
+    hasInk(minLength = 50) {
+        return this.inkLength() >= minLength;
+    }
+
+    drawSegment(from, to) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = this.options.inkColor;
+        ctx.lineWidth = this.options.lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+    }
+
+    drawGuide() {
+        const ctx = this.ctx;
+        const template = this.template;
+        if (!template || !this.options.guide) return;
+
+        if (template.type === 'text') {
+            ctx.font = template.font;
+            ctx.fillStyle = this.options.guideColor;
+            ctx.fillText(template.id, this.box.x, this.box.y + this.box.baseline);
+            return;
+        }
+
+        const toCanvas = ([x, y]) => ({
+            x: this.box.x + x * this.box.width,
+            y: this.box.y + y * this.box.height
+        });
+
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        template.strokes.forEach(stroke => {
+            const points = stroke.map(toCanvas);
+            ctx.strokeStyle = this.options.guideColor;
+            ctx.lineWidth = 18;
+            ctx.beginPath();
+            points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.stroke();
+        });
+
+        // Numbered start dots show where each stroke begins
+        template.strokes.forEach((stroke, i) => {
+            const start = toCanvas(stroke[0]);
+            ctx.fillStyle = '#22c55e';
+            ctx.beginPath();
+            ctx.arc(start.x, start.y, 9, 0, Math.PI * 2);
+            ctx.fill();
+            if (template.strokes.length > 1) {
+                ctx.fillStyle = '#fff';
+                ctx.font = 'bold 11px Inter, sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(String(i + 1), start.x, start.y);
+                ctx.textAlign = 'start';
+                ctx.textBaseline = 'alphabetic';
+            }
+        });
+    }
+
+    /**
+     * Draw the guide and the ink from scratch
+     * @param {Array} [strokes=this.strokes]
+     */
+    redraw(strokes = this.strokes) {
+        this.ctx.clearRect(0, 0, this.options.width, this.options.height);
+        this.drawGuide();
+        strokes.forEach(stroke => {
+            if (stroke.length === 1) this.drawSegment(stroke[0], stroke[0]);
+            for (let i = 1; i < stroke.length; i++) this.drawSegment(stroke[i - 1], stroke[i]);
+        });
+    }
+
+    /**
+     * Score the ink against the current template
+     * @returns {Object} CognoStrokes.score() result
+     */
+    score() {
+        const strokes = this.strokes.map(stroke => stroke.map(p => this.toUnits(p)));
+        return CognoStrokes.score(strokes, this.template, this.guidePoints);
+    }
+
+    /**
+     * Everything needed to replay and re-score this attempt
+     */
+    toSample() {
+        return {
+            template: this.template
+                ? { type: this.template.type, id: this.template.id, ...(this.template.font ? { font: this.template.font } : {}) }
+                : null,
+            canvas: { width: this.options.width, height: this.options.height },
+            box: this.box,
+            strokes: CognoStrokes.pack(this.strokes)
+        };
+    }
+
+    /**
+     * PNG of the ink alone (no guide), for image-based analysis
+     * @returns {Promise<Blob>}
+     */
+    toBlob() {
+        return new Promise(resolve => {
+            const guide = this.options.guide;
+            this.options.guide = false;
+            this.redraw();
+            // toBlob copies the bitmap straight away, so the guide can come back at once
+            this.canvas.toBlob(resolve, 'image/png');
+            this.options.guide = guide;
+            this.redraw();
+        });
+    }
+
+    /**
+     * A trial for CognoTracker.saveActivity({ trials }), with the strokes in meta
+     * @param {string} prompt - Letter, shape or word asked for
+     * @param {Object} [result=this.score()]
+     */
+    toTrial(prompt, result = this.score()) {
+        const { correct, ...scores } = result;
+        return {
+            prompt,
+            response: prompt,
+            correct,
+            latencyMs: Date.now() - this.shownAt,
+            meta: { handwriting: { ...this.toSample(), scores } },
+            at: new Date().toISOString()
+        };
+    }
+}
+
+// Make globally available
+window.CognoStrokes = CognoStrokes;
+window.StrokeCapture = StrokeCapture;
@@ -556,9 +556,11 @@ async function uploadAvatar(userId, file) {
  * Log user activity
  * @param {string} activityType - Type of activity
  * @param {Object} metadata - Activity metadata
+ * @param {Object} [options]
+ * @param {string} [options.createdAt] - When it happened, for entries replayed later
  * @returns {Promise<Object>} - Response
  */
-async function logActivity(activityType, metadata = {}) {
+async function logActivity(activityType, metadata = {}, { createdAt = null } = {}) {
     try {
         const { data: { user } } = await supabaseClient.auth.getUser();
 
@@ -571,7 +573,8 @@ async function logActivity(activityType, metadata = {}) {
                 activity_type: activityType,
                 metadata,
                 ip_address: null, // Would need backend to get real IP
-                user_agent: navigator.userAgent
+                user_agent: navigator.userAgent,
+                ...(createdAt ? { created_at: createdAt } : {})
             });
 
         if (error) throw error;
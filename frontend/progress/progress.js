@@ -8,6 +8,7 @@ const ProgressTracker = {
     currentUser: null,
     progressData: null,
     chart: null,
+    movementChart: null,
 
     // Initialize progress tracker
     async init() {
@@ -23,6 +24,7 @@ const ProgressTracker = {
         this.initSidebar();
         this.initChart();
         this.initTimeRangeSelector();
+        this.initMovementChart();
     },
 
     // Check authentication
@@ -214,6 +216,33 @@ const ProgressTracker = {
         });
     },
 
+    // Chart movement metrics saved by the dyspraxia games (js/movement-metrics.js)
+    async initMovementChart() {
+        const card = document.getElementById('movement-card');
+        const select = document.getElementById('movement-metric');
+        const ctx = document.getElementById('movement-chart');
+        if (!card || !ctx || !this.currentUser || typeof Chart === 'undefined' || typeof CognoMovement === 'undefined') return;
+
+        const history = await CognoMovement.loadHistory(this.currentUser.id);
+        if (history.length === 0) return;
+
+        // Only offer metrics that have been recorded
+        const recorded = Object.entries(CognoMovement.CHART_METRICS).filter(([key, metric]) =>
+            history.some(entry => (metric.series || [{ key }]).some(s => typeof entry.metrics[s.key] === 'number'))
+        );
+        if (recorded.length === 0) return;
+
+        select.innerHTML = recorded.map(([key, metric]) => `<option value="${key}">${metric.label}</option>`).join('');
+        card.classList.remove('hidden');
+
+        const render = metric => {
+            this.movementChart?.destroy();
+            this.movementChart = new Chart(ctx, CognoMovement.chartConfig(history, metric));
+        };
+        select.addEventListener('change', e => render(e.target.value));
+        render(select.value);
+    },
+
     // Initialize time range selector
     initTimeRangeSelector() {
         const selector = document.getElementById('time-range');
@@ -298,6 +327,9 @@ const ProgressTracker = {
             // Update streak
             await this.updateStreak();
 
+            // Award any achievements this result unlocked
+            await this.checkAchievements();
+
             // Refresh progress data
             await this.loadProgressData();
 
@@ -313,29 +345,12 @@ const ProgressTracker = {
         if (!this.currentUser) return;
 
         try {
-            const { data: profile } = await CognoSupabase?.client
-                ?.from('profiles')
-                ?.select('streak, last_activity_date')
-                ?.eq('id', this.currentUser.id)
-                ?.single();
-
-            if (!profile) return;
-
-            const today = new Date().toDateString();
-            const lastActivity = new Date(profile.last_activity_date).toDateString();
-            const yesterday = new Date(Date.now() - 86400000).toDateString();
-
-            let newStreak = 1;
-            if (lastActivity === yesterday) {
-                newStreak = (profile.streak || 0) + 1;
-            } else if (lastActivity === today) {
-                newStreak = profile.streak || 1;
-            }
+            const streak = await CognoStreaks.getStreak(this.currentUser.id);
 
             await CognoSupabase?.client
                 ?.from('profiles')
                 ?.update({
-                    streak: newStreak,
+                    streak: streak.current,
                     last_activity_date: new Date().toISOString()
                 })
                 ?.eq('id', this.currentUser.id);
@@ -345,48 +360,15 @@ const ProgressTracker = {
         }
     },
 
-    // Check and award achievements
+    // Check and award achievements (rules live in js/achievements.js)
     async checkAchievements() {
-        if (!this.currentUser) return;
+        if (!this.currentUser || typeof CognoAchievements === 'undefined') return;
 
-        const achievements = [
-            { id: 'first_activity', condition: () => this.progressData.length >= 1 },
-            { id: 'streak_7', condition: () => this.calculateStats().streak >= 7 },
-            { id: 'streak_30', condition: () => this.calculateStats().streak >= 30 },
-            { id: 'activities_50', condition: () => this.progressData.length >= 50 },
-            { id: 'activities_100', condition: () => this.progressData.length >= 100 }
-        ];
-
-        for (const achievement of achievements) {
-            if (achievement.condition()) {
-                await this.awardAchievement(achievement.id);
-            }
-        }
-    },
-
-    // Award achievement
-    async awardAchievement(achievementId) {
         try {
-            // Check if already awarded
-            const { data: existing } = await CognoSupabase?.client
-                ?.from('user_achievements')
-                ?.select('id')
-                ?.eq('user_id', this.currentUser.id)
-                ?.eq('achievement_id', achievementId)
-                ?.single();
-
-            if (existing) return;
-
-            // Award the achievement
-            await CognoSupabase?.client
-                ?.from('user_achievements')
-                ?.insert({
-                    user_id: this.currentUser.id,
-                    achievement_id: achievementId,
-                    awarded_at: new Date().toISOString()
-                });
-
-            CognoNotifications?.toast?.success('Achievement unlocked!');
+            const unlocked = await CognoAchievements.checkAndAward(this.currentUser.id);
+            unlocked.forEach(achievement => {
+                CognoNotifications?.toast?.success(`Achievement unlocked: ${achievement.title}!`);
+            });
         } catch (error) {
             console.error('Failed to award achievement:', error);
         }
@@ -0,0 +1,286 @@
+/**
+ * COGNO SOLUTION - Achievements
+ * Badges declared as rules, evaluated after every saved result, with one
+ * write path into user_achievements.
+ *
+ * Rule schema:
+ *   id            {string}  Stored as user_achievements.achievement_id
+ *   type          {string}  milestone, performance, mastery or streak
+ *   title, description, icon
+ *   xp            {number}  XP awarded on unlock
+ *   streakFreezes {number}  Streak freeze tokens awarded on unlock (see js/streaks.js)
+ *   metric        {string}  Key of METRICS
+ *   filter        {Object}  Passed to the metric ({ module, minPercentage })
+ *   target        {number|'all'} Value needed; 'all' = every listed activity in `filter.module`
+ *
+ * Usage:
+ *   const unlocked = await CognoAchievements.checkAndAward(userId);
+ *   const badges = await CognoAchievements.getProgress(userId);  // progress toward each badge
+ */
+
+const ACHIEVEMENT_MODULES = {
+    dyslexia: { label: 'Reading', master: 'Bookworm', masterIcon: '📚' },
+    dyscalculia: { label: 'Math', master: 'Math Whiz', masterIcon: '🧮' },
+    dysgraphia: { label: 'Writing', master: 'Writer', masterIcon: '✍️' },
+    dyspraxia: { label: 'Movement', master: 'Athlete', masterIcon: '🏃' }
+};
+
+const CognoAchievements = {
+    RULES: [
+        {
+            id: 'first_activity', type: 'milestone', icon: '🌟', xp: 25,
+            title: 'First Steps', description: 'Complete your first activity',
+            metric: 'sessions', target: 1
+        },
+        {
+            id: 'activities_50', type: 'milestone', icon: '🎒', xp: 50, streakFreezes: 1,
+            title: 'Keen Learner', description: 'Complete 50 activities',
+            metric: 'sessions', target: 50
+        },
+        {
+            id: 'activities_100', type: 'milestone', icon: '🚀', xp: 100, streakFreezes: 1,
+            title: 'Unstoppable', description: 'Complete 100 activities',
+            metric: 'sessions', target: 100
+        },
+        {
+            id: 'streak_5', type: 'streak', icon: '🔥', xp: 25,
+            title: 'On a Roll', description: 'Practice 5 days in a row',
+            metric: 'streak', target: 5
+        },
+        {
+            id: 'streak_7', type: 'streak', icon: '🔥', xp: 50, streakFreezes: 1,
+            title: '7 Day Streak', description: 'Practice 7 days in a row',
+            metric: 'streak', target: 7
+        },
+        {
+            id: 'streak_30', type: 'streak', icon: '🏅', xp: 150, streakFreezes: 2,
+            title: '30 Day Streak', description: 'Practice 30 days in a row',
+            metric: 'streak', target: 30
+        },
+        {
+            id: 'sharpshooter', type: 'performance', icon: '🎯', xp: 50,
+            title: 'Sharpshooter', description: 'Score 90% or more in 10 activities',
+            metric: 'sessions', filter: { minPercentage: 90 }, target: 10
+        },
+        {
+            id: 'perfect_math_3', type: 'performance', icon: '💯', xp: 50,
+            title: 'Number Ninja', description: 'Get 100% on 3 different math activities',
+            metric: 'activities', filter: { module: 'dyscalculia', minPercentage: 100 }, target: 3
+        },
+        // One perfect-score and one mastery badge per module
+        ...Object.entries(ACHIEVEMENT_MODULES).flatMap(([module, names]) => [
+            {
+                id: `perfect_${module}`, type: 'performance', icon: '🏆', xp: 25,
+                title: `Perfect ${names.label}`, description: `Get 100% on a ${names.label} activity`,
+                metric: 'activities', filter: { module, minPercentage: 100 }, target: 1
+            },
+            {
+                id: `mastery_${module}`, type: 'mastery', icon: names.masterIcon, xp: 100, streakFreezes: 1,
+                title: names.master, description: `Complete all ${names.label} activities`,
+                metric: 'completed', filter: { module }, target: 'all'
+            }
+        ])
+    ],
+
+    // achievement_id values written before the rules existed, mapped to their rule
+    LEGACY_IDS: {
+        '7_day_streak': 'streak_7'
+    },
+
+    // Metric functions: (context, filter) => current value
+    METRICS: {
+        sessions(context, filter) {
+            return context.sessionCounts[CognoAchievements.filterKey(filter)] || 0;
+        },
+
+        activities(context, { module, minPercentage = 0 } = {}) {
+            return new Set(context.scoredSessions
+                .filter(s => (!module || s.moduleId === module) && s.percentage >= minPercentage)
+                .map(s => `${s.moduleId}/${s.activityId}`)).size;
+        },
+
+        completed(context, { module } = {}) {
+            const listed = new Set(CognoAchievements.listedActivities(module));
+            return context.completed.filter(p => p.moduleId === module && listed.has(p.activityId)).length;
+        },
+
+        streak(context) {
+            return Math.max(context.streak?.current || 0, context.streak?.longest || 0);
+        }
+    },
+
+    getRule(id) {
+        const ruleId = this.LEGACY_IDS[id] || id;
+        return this.RULES.find(rule => rule.id === ruleId) || null;
+    },
+
+    /**
+     * Listed activity IDs for a module (from the activity registry)
+     */
+    listedActivities(module) {
+        if (typeof CognoActivityRegistry === 'undefined') return [];
+        return CognoActivityRegistry.getActivities(module).map(a => a.id);
+    },
+
+    /**
+     * Numeric target for a rule
+     */
+    resolveTarget(rule) {
+        return rule.target === 'all' ? this.listedActivities(rule.filter?.module).length : rule.target;
+    },
+
+    /**
+     * Key of a sessions filter in context.sessionCounts
+     */
+    filterKey({ module, minPercentage = 0 } = {}) {
+        return `${module || '*'}:${minPercentage}`;
+    },
+
+    /**
+     * Completed-activity rows from activity_logs
+     */
+    logQuery(userId, columns, options) {
+        return CognoSupabase.client
+            .from('activity_logs')
+            .select(columns, options)
+            .eq('user_id', userId)
+            .eq('activity_type', 'activity_completed');
+    },
+
+    /**
+     * Load what the rules are evaluated against. Only rules not earned yet
+     * are measured: sessions are counted in the database, only scores at or
+     * above the lowest percentage an activities rule needs are fetched, and
+     * the streak is skipped once every streak badge is earned.
+     * @param {string} userId
+     * @returns {Promise<Object>} { sessionCounts, scoredSessions, completed, streak, earned }
+     */
+    async loadContext(userId) {
+        const { data: earnedRows, error: earnedError } = await CognoSupabase.client
+            .from('user_achievements')
+            .select('achievement_id')
+            .eq('user_id', userId);
+        if (earnedError) throw new Error(earnedError.message);
+
+        const earned = new Set((earnedRows || []).map(row => this.LEGACY_IDS[row.achievement_id] || row.achievement_id));
+        const pending = metric => this.RULES.filter(rule => rule.metric === metric && !earned.has(rule.id));
+        const none = Promise.resolve({ data: [] });
+
+        const countFilters = [...new Map(pending('sessions').map(rule => [this.filterKey(rule.filter), rule.filter || {}]))];
+        const scoreFloor = Math.min(...pending('activities').map(rule => rule.filter?.minPercentage || 0));
+
+        const [counts, scored, progress, streak] = await Promise.all([
+            Promise.all(countFilters.map(([, { module, minPercentage }]) => {
+                let query = this.logQuery(userId, 'id', { count: 'exact', head: true });
+                if (module) query = query.eq('metadata->>module_type', module);
+                if (minPercentage) query = query.gte('metadata->percentage', minPercentage);
+                return query;
+            })),
+            Number.isFinite(scoreFloor)
+                ? this.logQuery(userId, 'module_type:metadata->>module_type, activity_id:metadata->>activity_id, percentage:metadata->percentage')
+                    .gte('metadata->percentage', scoreFloor)
+                : none,
+            pending('completed').length > 0
+                ? CognoSupabase.client
+                    .from('student_progress')
+                    .select('module_type, activity_id')
+                    .eq('student_id', userId)
+                    .eq('completed', true)
+                : none,
+            pending('streak').length > 0 && typeof CognoStreaks !== 'undefined'
+                ? CognoStreaks.getStreak(userId).catch(() => null)
+                : Promise.resolve(null)
+        ]);
+
+        [...counts, scored, progress].forEach(result => {
+            if (result.error) throw new Error(result.error.message);
+        });
+
+        return {
+            sessionCounts: Object.fromEntries(countFilters.map(([key], i) => [key, counts[i].count || 0])),
+            scoredSessions: (scored.data || []).map(row => ({
+                moduleId: row.module_type,
+                activityId: row.activity_id,
+                percentage: row.percentage ?? 0
+            })),
+            completed: (progress.data || []).map(row => ({ moduleId: row.module_type, activityId: row.activity_id })),
+            streak,
+            earned
+        };
+    },
+
+    /**
+     * Evaluate every rule against a context (earned rules count as complete)
+     * @returns {Array} Rules with { current, target, progress (0-100), earned, unlocked }
+     */
+    evaluate(context) {
+        return this.RULES.map(rule => {
+            const target = this.resolveTarget(rule);
+            const current = context.earned.has(rule.id) ? target : this.METRICS[rule.metric](context, rule.filter);
+            const unlocked = target > 0 && current >= target;
+
+            return {
+                ...rule,
+                current: Math.min(current, target),
+                target,
+                progress: target > 0 ? Math.min(100, Math.round((current / target) * 100)) : 0,
+                earned: context.earned.has(rule.id),
+                unlocked
+            };
+        });
+    },
+
+    /**
+     * Progress toward every badge for a child
+     * @param {string} userId
+     * @returns {Promise<Array>} evaluate() results
+     */
+    async getProgress(userId) {
+        return this.evaluate(await this.loadContext(userId));
+    },
+
+    /**
+     * Write one achievement (ignored when already earned)
+     * @returns {Promise<boolean>} True when a new row was written
+     */
+    async award(userId, rule) {
+        const { data, error } = await CognoSupabase.client
+            .from('user_achievements')
+            .upsert({
+                user_id: userId,
+                achievement_type: rule.type,
+                achievement_id: rule.id,
+                title: rule.title,
+                description: rule.description,
+                icon: rule.icon,
+                xp_reward: rule.xp,
+                streak_freezes: rule.streakFreezes || 0,
+                unlocked_at: new Date().toISOString()
+            }, { onConflict: 'user_id,achievement_id', ignoreDuplicates: true })
+            .select('id');
+
+        if (error) throw new Error(error.message);
+        return (data?.length || 0) > 0;
+    },
+
+    /**
+     * Evaluate the rules after a saved result and award anything newly reached
+     * @param {string} userId
+     * @returns {Promise<Array>} Newly unlocked rules
+     */
+    async checkAndAward(userId) {
+        const results = this.evaluate(await this.loadContext(userId));
+        const unlocked = [];
+
+        for (const result of results.filter(r => r.unlocked && !r.earned)) {
+            if (await this.award(userId, result)) {
+                unlocked.push(result);
+            }
+        }
+
+        return unlocked;
+    }
+};
+
+// Make globally available
+window.CognoAchievements = CognoAchievements;
@@ -0,0 +1,276 @@
+/**
+ * COGNO SOLUTION - Adaptive Difficulty Engine
+ * Picks the difficulty tier (and item pool) for the next session of an
+ * activity from the child's recent results.
+ *
+ * State is kept per activity on the student_progress row:
+ *   difficulty_level  - tier name used for the saved result (shown to doctors)
+ *   data.adaptive     - { level, history: [{ percentage, level, at }] }
+ *
+ * Rules:
+ *   - step up after `promoteStreak` results in a row at >= `promoteAt`% on the current tier
+ *   - step down after `demoteStreak` results in a row below `demoteAt`% on the current tier
+ *
+ * A result saved offline before the stored history was loaded is marked
+ * `partial`; mergeStored() appends it to the stored history when it syncs.
+ *
+ * Activities whose result does not measure how well the child did (free
+ * drawing, copying, guided exercise routines, drag games that always end at
+ * 100%) keep their fixed content and save no level, so they never move it.
+ */
+
+const CognoAdaptive = {
+    // Tier names match the registry difficulties (index + 1 = level)
+    TIERS: ['Beginner', 'Intermediate', 'Advanced'],
+
+    config: {
+        promoteAt: 85,      // Accuracy (%) that counts as "high"
+        promoteStreak: 3,   // High results in a row needed to step up
+        demoteAt: 50,       // Accuracy (%) that counts as a failure
+        demoteStreak: 2,    // Failures in a row needed to step back
+        historySize: 10     // Results kept on the progress row
+    },
+
+    // Loaded state per "module/activity" for the current page
+    states: {},
+
+    // localStorage key prefix for level changes already shown to the child
+    ANNOUNCED_KEY: 'cogno-adaptive-announced:',
+
+    /**
+     * Convert a tier name or level to a level number (1-based)
+     * @param {string|number} tier
+     * @returns {number}
+     */
+    toLevel(tier) {
+        if (typeof tier === 'number') {
+            return Math.min(this.TIERS.length, Math.max(1, Math.round(tier)));
+        }
+        const index = this.TIERS.indexOf(tier);
+        return index === -1 ? 1 : index + 1;
+    },
+
+    /**
+     * Convert a level number to its tier name
+     * @param {number} level
+     * @returns {string}
+     */
+    toTier(level) {
+        return this.TIERS[this.toLevel(level) - 1];
+    },
+
+    /**
+     * Starting level for an activity that has no history yet
+     */
+    defaultLevel(moduleId, activityId) {
+        const activity = typeof CognoActivityRegistry !== 'undefined'
+            ? CognoActivityRegistry.getActivity(moduleId, activityId)
+            : null;
+        return this.toLevel(activity?.difficulty || this.TIERS[0]);
+    },
+
+    /**
+     * Decide the next level from a result history (pure function)
+     * @param {Array<Object>} history - Oldest first, [{ percentage, level }]
+     * @param {number} currentLevel
+     * @returns {{ level: number, tier: string, change: number, reason: string }}
+     */
+    recommend(history, currentLevel) {
+        const { promoteAt, promoteStreak, demoteAt, demoteStreak } = this.config;
+        const level = this.toLevel(currentLevel);
+
+        // Only results played at the current level count towards a change
+        const atLevel = [];
+        for (let i = history.length - 1; i >= 0 && history[i].level === level; i--) {
+            atLevel.unshift(history[i]);
+        }
+
+        const lastHigh = atLevel.slice(-promoteStreak);
+        if (lastHigh.length === promoteStreak && lastHigh.every(r => r.percentage >= promoteAt) && level < this.TIERS.length) {
+            return {
+                level: level + 1,
+                tier: this.toTier(level + 1),
+                change: 1,
+                reason: `${promoteStreak} results in a row at ${promoteAt}% or higher`
+            };
+        }
+
+        const lastLow = atLevel.slice(-demoteStreak);
+        if (lastLow.length === demoteStreak && lastLow.every(r => r.percentage < demoteAt) && level > 1) {
+            return {
+                level: level - 1,
+                tier: this.toTier(level - 1),
+                change: -1,
+                reason: `${demoteStreak} results in a row below ${demoteAt}%`
+            };
+        }
+
+        return { level, tier: this.toTier(level), change: 0, reason: 'Keep practising at this level' };
+    },
+
+    /**
+     * Load the child's adaptive state for an activity and recommend a level
+     * @param {string} moduleId
+     * @param {string} activityId
+     * @param {string} [studentId] - Defaults to the signed-in user
+     * @returns {Promise<Object>} { level, tier, change, reason, history }
+     */
+    async getRecommendation(moduleId, activityId, studentId = null) {
+        const key = `${moduleId}/${activityId}`;
+        let adaptive = null;
+        let loaded = false;
+
+        try {
+            if (!studentId && typeof CognoSupabase !== 'undefined') {
+                const { session } = await CognoSupabase.getSession();
+                studentId = session?.user?.id;
+            }
+
+            if (studentId && typeof CognoSupabase !== 'undefined') {
+                const { data, error } = await CognoSupabase.client
+                    .from('student_progress')
+                    .select('difficulty_level, data')
+                    .eq('student_id', studentId)
+                    .eq('module_type', moduleId)
+                    .eq('activity_id', activityId)
+                    .maybeSingle();
+
+                if (error) throw error;
+                adaptive = data?.data?.adaptive || (data?.difficulty_level
+                    ? { level: this.toLevel(data.difficulty_level), history: [] }
+                    : null);
+                loaded = true;
+            }
+        } catch (error) {
+            console.error('CognoAdaptive: Error loading history:', error);
+        }
+
+        // Recommend from the level last played rather than the stored next
+        // level, so a step up or down saved with that result shows as a change
+        const history = adaptive?.history || [];
+        const currentLevel = history[history.length - 1]?.level || adaptive?.level || this.defaultLevel(moduleId, activityId);
+        const recommendation = { ...this.recommend(history, currentLevel), history };
+
+        this.states[key] = { level: recommendation.level, history, loaded };
+        return recommendation;
+    },
+
+    /**
+     * Level for an activity page that is about to build its items. Tells the
+     * child once when the level has changed since last time.
+     * @returns {Promise<Object>} See getRecommendation()
+     */
+    async startSession(moduleId, activityId, studentId = null) {
+        const recommendation = await this.getRecommendation(moduleId, activityId, studentId);
+        if (recommendation.change === 0) return recommendation;
+
+        // A change is identified by the result that caused it
+        const announcedKey = `${this.ANNOUNCED_KEY}${moduleId}/${activityId}`;
+        const change = `${recommendation.history[recommendation.history.length - 1]?.at}:${recommendation.level}`;
+        if (localStorage.getItem(announcedKey) === change) return recommendation;
+        localStorage.setItem(announcedKey, change);
+
+        if (recommendation.change > 0) {
+            CognoNotifications?.toast?.success(`Level up! Now playing at ${recommendation.tier} level`);
+        } else if (recommendation.change < 0) {
+            CognoNotifications?.toast?.info(`Let's practise at ${recommendation.tier} level for a bit`);
+        }
+
+        return recommendation;
+    },
+
+    /**
+     * Override the level for the current session (e.g. a doctor or parent choice)
+     */
+    setLevel(moduleId, activityId, level) {
+        const key = `${moduleId}/${activityId}`;
+        const state = this.states[key] || { history: [], loaded: false };
+        this.states[key] = { ...state, level: this.toLevel(level) };
+        return this.states[key].level;
+    },
+
+    /**
+     * Level the current session is being played at
+     * @returns {number|null} null when no recommendation was loaded on this page
+     */
+    getLevel(moduleId, activityId) {
+        return this.states[`${moduleId}/${activityId}`]?.level || null;
+    },
+
+    /**
+     * Append a result to the activity's history and return the state to
+     * store with it. The page's state only moves on once the result is
+     * stored (see commitResult).
+     * @param {string} moduleId
+     * @param {string} activityId
+     * @param {number} percentage - Result accuracy (0-100)
+     * @param {number} [level] - Level played (defaults to the loaded level)
+     * @returns {{ level: number, tier: string, adaptive: Object }}
+     */
+    recordResult(moduleId, activityId, percentage, level = null) {
+        const key = `${moduleId}/${activityId}`;
+        const state = this.states[key] || { level: this.defaultLevel(moduleId, activityId), history: [], loaded: false };
+        const playedLevel = this.toLevel(level || state.level);
+
+        const history = [
+            ...state.history,
+            { percentage, level: playedLevel, at: new Date().toISOString() }
+        ].slice(-this.config.historySize);
+
+        const next = this.recommend(history, playedLevel);
+
+        return {
+            level: playedLevel,
+            tier: this.toTier(playedLevel),
+            adaptive: { level: next.level, history, ...(state.loaded ? {} : { partial: true }) }
+        };
+    },
+
+    /**
+     * Make a recordResult() state the page's current one, once it was saved or queued
+     */
+    commitResult(moduleId, activityId, adaptive) {
+        this.states[`${moduleId}/${activityId}`] = {
+            level: adaptive.level,
+            history: adaptive.history,
+            loaded: !adaptive.partial
+        };
+    },
+
+    /**
+     * State to store for a result: a partial one is merged into the stored
+     * history (results already stored are not added twice)
+     * @param {Object} adaptive - recordResult().adaptive
+     * @param {Object} [stored] - data.adaptive of the stored progress row
+     * @returns {Object} { level, history }
+     */
+    mergeStored(adaptive, stored) {
+        if (!adaptive?.partial) return adaptive;
+
+        const known = new Set((stored?.history || []).map(r => r.at));
+        const history = [...(stored?.history || []), ...adaptive.history.filter(r => !known.has(r.at))]
+            .sort((a, b) => new Date(a.at) - new Date(b.at))
+            .slice(-this.config.historySize);
+        const last = history[history.length - 1];
+
+        return { level: this.recommend(history, last.level).level, history };
+    },
+
+    /**
+     * Pick the item pool for a level. Pools may be keyed by tier name or
+     * level number; missing tiers fall back to the nearest easier one.
+     * @param {Object} pools - e.g. { Beginner: [...], Intermediate: [...] }
+     * @param {number} level
+     * @returns {Array}
+     */
+    getItemPool(pools, level) {
+        for (let l = this.toLevel(level); l >= 1; l--) {
+            const pool = pools[this.toTier(l)] || pools[l];
+            if (pool) return pool;
+        }
+        return Object.values(pools)[0] || [];
+    }
+};
+
+// Make globally available
+window.CognoAdaptive = CognoAdaptive;
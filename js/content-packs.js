@@ -0,0 +1,246 @@
+/**
+ * COGNO SOLUTION - Content Packs
+ * Doctor-authored content (word lists, number ranges, tracing words) that
+ * replaces an activity's built-in list for one patient.
+ *
+ * One active pack per patient and activity, stored in content_packs
+ * (supabase/migrations/20261018130200_content_packs.sql):
+ *   patient_id, doctor_id, module_type, activity_id, title, content (jsonb)
+ *
+ * Content shapes:
+ *   words   - { items: [{ word, hint }] }
+ *   numbers - { min, max, count }
+ *
+ * Activity pages:
+ *   const pack = await CognoContentPacks.getPack('dyslexia', 'spelling-bee');
+ *   const words = pack ? pack.items : builtInWords;
+ */
+
+const CognoContentPacks = {
+    // Activities that accept a pack, keyed "module/activity".
+    // maxNumber caps activities that draw one block per unit.
+    ACTIVITIES: {
+        'dyslexia/spelling-bee': { type: 'words', hints: true },
+        'dyslexia/word-scramble': { type: 'words', hints: true },
+        'dyslexia/sight-words': { type: 'words', hints: false },
+        'dyscalculia/number-line': { type: 'numbers' },
+        'dyscalculia/addition': { type: 'numbers', maxNumber: 20 },
+        'dysgraphia/word-tracing': { type: 'words', hints: false }
+    },
+
+    LIMITS: {
+        maxItems: 50,
+        maxWordLength: 30,
+        maxNumber: 1000,
+        maxCount: 20
+    },
+
+    /**
+     * Pack settings for an activity
+     * @returns {Object|null} { type, hints } or null when packs are not supported
+     */
+    getActivityType(moduleId, activityId) {
+        return this.ACTIVITIES[`${moduleId}/${activityId}`] || null;
+    },
+
+    /**
+     * Activities a doctor can author packs for, with display names
+     */
+    listActivities() {
+        return Object.entries(this.ACTIVITIES).map(([key, settings]) => {
+            const [moduleId, activityId] = key.split('/');
+            const activity = typeof CognoActivityRegistry !== 'undefined'
+                ? CognoActivityRegistry.getActivity(moduleId, activityId)
+                : null;
+            return { key, moduleId, activityId, name: activity?.name || activityId, ...settings };
+        });
+    },
+
+    /**
+     * Parse a word list typed one entry per line ("word - hint" or "word: hint")
+     * @param {string} text
+     * @returns {{ items: Array<{ word: string, hint: string }> }}
+     */
+    parseWords(text) {
+        const items = String(text || '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [word, ...hint] = line.split(/\s+[-–:]\s+|:\s*/);
+                return { word: word.trim(), hint: hint.join(' - ').trim() };
+            })
+            .filter(item => item.word);
+        return { items };
+    },
+
+    /**
+     * Check pack content against its activity type
+     * @param {string} type - 'words' or 'numbers'
+     * @param {Object} content
+     * @param {Object} [options]
+     * @param {number} [options.maxNumber] - Activity cap below LIMITS.maxNumber
+     * @returns {string[]} Problems (empty when valid)
+     */
+    validate(type, content, { maxNumber = this.LIMITS.maxNumber } = {}) {
+        const errors = [];
+        const { maxItems, maxWordLength, maxCount } = this.LIMITS;
+
+        if (type === 'words') {
+            const items = content?.items || [];
+            if (items.length === 0) errors.push('Add at least one word');
+            if (items.length > maxItems) errors.push(`Use at most ${maxItems} words`);
+            items.forEach(item => {
+                if (item.word.length > maxWordLength) errors.push(`"${item.word}" is too long`);
+            });
+        } else if (type === 'numbers') {
+            const { min, max, count } = content || {};
+            if (![min, max, count].every(Number.isInteger)) errors.push('Enter whole numbers');
+            else {
+                if (min < 0 || max > maxNumber) errors.push(`Numbers must be between 0 and ${maxNumber}`);
+                if (min >= max) errors.push('The lowest number must be below the highest');
+                if (count < 1 || count > maxCount) errors.push(`Use between 1 and ${maxCount} questions`);
+            }
+        } else {
+            errors.push('This activity does not support content packs');
+        }
+
+        return errors;
+    },
+
+    // =========================================================
+    // DOCTOR SIDE
+    // =========================================================
+
+    /**
+     * Packs assigned to a patient, newest first
+     */
+    async listForPatient(patientId) {
+        const { data, error } = await CognoSupabase.client
+            .from('content_packs')
+            .select('*')
+            .eq('patient_id', patientId)
+            .order('updated_at', { ascending: false });
+
+        if (error) {
+            console.error('CognoContentPacks: Failed to load packs:', error);
+            return [];
+        }
+        return data || [];
+    },
+
+    /**
+     * Create or replace the pack for a patient's activity
+     * @param {Object} pack - { doctorId, patientId, moduleId, activityId, title, content }
+     * @returns {Promise<Object>} { success, data?, errors? }
+     */
+    async save({ doctorId, patientId, moduleId, activityId, title, content }) {
+        const settings = this.getActivityType(moduleId, activityId);
+        const errors = this.validate(settings?.type, content, { maxNumber: settings?.maxNumber });
+        if (errors.length > 0) return { success: false, errors };
+
+        const { data, error } = await CognoSupabase.client
+            .from('content_packs')
+            .upsert({
+                doctor_id: doctorId,
+                patient_id: patientId,
+                module_type: moduleId,
+                activity_id: activityId,
+                title: title || null,
+                content: { type: settings.type, ...content },
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'patient_id,module_type,activity_id' })
+            .select()
+            .single();
+
+        if (error) return { success: false, errors: [error.message] };
+        return { success: true, data };
+    },
+
+    /**
+     * Remove a pack - the activity goes back to its built-in content
+     */
+    async remove(packId) {
+        const { error } = await CognoSupabase.client
+            .from('content_packs')
+            .delete()
+            .eq('id', packId);
+
+        return error ? { success: false, error: error.message } : { success: true };
+    },
+
+    // =========================================================
+    // ACTIVITY PAGES
+    // =========================================================
+
+    cacheKey(studentId, moduleId, activityId) {
+        return `cogno-pack:${studentId}:${moduleId}/${activityId}`;
+    },
+
+    /**
+     * Pack content as an activity page uses it, with number ranges held to
+     * the activity's cap (packs saved before the cap existed may exceed it)
+     */
+    toActivityContent(moduleId, activityId, pack) {
+        const content = { title: pack.title, ...pack.content };
+        const { maxNumber } = this.getActivityType(moduleId, activityId) || {};
+        if (content.type === 'numbers' && maxNumber) {
+            content.max = Math.min(content.max, maxNumber);
+            content.min = Math.min(content.min, content.max);
+        }
+        return content;
+    },
+
+    /**
+     * Content assigned to the signed-in child for an activity
+     * @returns {Promise<Object|null>} Pack content, or null to use the built-in list
+     */
+    async getPack(moduleId, activityId) {
+        if (!this.getActivityType(moduleId, activityId) || typeof CognoSupabase === 'undefined') return null;
+
+        // The session is read from local storage, so this works offline too
+        const { session } = await CognoSupabase.getSession() || {};
+        const studentId = session?.user?.id;
+        if (!studentId) return null;
+
+        const cacheKey = this.cacheKey(studentId, moduleId, activityId);
+
+        try {
+            const { data, error } = await CognoSupabase.client
+                .from('content_packs')
+                .select('title, content, updated_at')
+                .eq('patient_id', studentId)
+                .eq('module_type', moduleId)
+                .eq('activity_id', activityId)
+                .maybeSingle();
+
+            if (error) throw error;
+
+            if (data) {
+                localStorage.setItem(cacheKey, JSON.stringify(data));
+            } else {
+                localStorage.removeItem(cacheKey);
+            }
+            return data ? this.toActivityContent(moduleId, activityId, data) : null;
+        } catch (error) {
+            // Offline - use the last pack this device saw
+            console.warn('CognoContentPacks: Using cached pack:', error.message || error);
+            try {
+                const cached = JSON.parse(localStorage.getItem(cacheKey));
+                return cached ? this.toActivityContent(moduleId, activityId, cached) : null;
+            } catch (e) {
+                return null;
+            }
+        }
+    },
+
+    /**
+     * Random whole number between min and max (inclusive)
+     */
+    randomInt(min, max) {
+        return min + Math.floor(Math.random() * (max - min + 1));
+    }
+};
+
+// Make globally available
+window.CognoContentPacks = CognoContentPacks;
@@ -0,0 +1,279 @@
+/**
+ * COGNO SOLUTION - Error Pattern Analysis
+ * Classifies wrong answers recorded in activity_trials into recurring error
+ * types and summarises them for the doctor's patient view.
+ *
+ * Error types:
+ *   letter_reversal        - mirror letters (b/d, p/q) or reversed words (was/saw)
+ *   phoneme_substitution   - one sound swapped for a similar one (f/v, t/d, short vowels)
+ *   place_value_confusion  - swapped digits (57/75) or tens/ones mix-ups (16/26, 3/30)
+ *   counting_on            - off by one, e.g. counting the starting number twice
+ *
+ * Activities build their wrong options with numberDistractors() and
+ * letterDistractors(), so every error type above has an option that produces it
+ * and no single type is over-represented just because of the options shown.
+ */
+
+const CognoErrorPatterns = {
+    TYPES: {
+        letter_reversal: {
+            label: 'Letter reversals',
+            module: 'dyslexia',
+            icon: 'right-left',
+            description: 'Mirror-image letters or words read backwards (b/d, p/q, was/saw)'
+        },
+        phoneme_substitution: {
+            label: 'Phoneme substitutions',
+            module: 'dyslexia',
+            icon: 'ear-listen',
+            description: 'A sound replaced by a similar one (f/v, t/d, short vowels)'
+        },
+        place_value_confusion: {
+            label: 'Place-value confusion',
+            module: 'dyscalculia',
+            icon: 'table-cells',
+            description: 'Digits swapped or tens and ones mixed up (57 for 75, 30 for 3)'
+        },
+        counting_on: {
+            label: 'Counting-on errors',
+            module: 'dyscalculia',
+            icon: 'arrow-right-long',
+            description: 'Answer off by one, typically from counting the start number'
+        }
+    },
+
+    // Mirror / rotation pairs commonly confused by dyslexic readers
+    REVERSAL_PAIRS: [['b', 'd'], ['p', 'q'], ['b', 'p'], ['d', 'q'], ['m', 'w'], ['n', 'u']],
+
+    // Letters that stand for similar sounds
+    PHONEME_GROUPS: [
+        ['a', 'e', 'i', 'o', 'u'],
+        ['f', 'v'], ['t', 'd'], ['k', 'g', 'c'], ['s', 'z'],
+        ['m', 'n'], ['b', 'p'], ['ch', 'sh', 'j'], ['th', 'f']
+    ],
+
+    /**
+     * True when two single letters are a known mirror pair
+     */
+    isReversalPair(a, b) {
+        return this.REVERSAL_PAIRS.some(([x, y]) => (a === x && b === y) || (a === y && b === x));
+    },
+
+    /**
+     * True when two letters (or digraphs) belong to the same sound group
+     */
+    isPhonemePair(a, b) {
+        return a !== b && this.PHONEME_GROUPS.some(group => group.includes(a) && group.includes(b));
+    },
+
+    /**
+     * Error types for a letter or word answer
+     */
+    classifyText(expected, response) {
+        const types = [];
+        const target = String(expected).trim().toLowerCase();
+        const answer = String(response).trim().toLowerCase();
+        if (!target || !answer || target === answer) return types;
+
+        // Whole word read or built backwards (was -> saw)
+        if (target.length > 1 && answer === [...target].reverse().join('')) {
+            types.push('letter_reversal');
+            return types;
+        }
+
+        if (target.length !== answer.length) return types;
+
+        const diffs = [];
+        for (let i = 0; i < target.length; i++) {
+            if (target[i] !== answer[i]) diffs.push([target[i], answer[i]]);
+        }
+
+        if (diffs.length > 0 && diffs.every(([a, b]) => this.isReversalPair(a, b))) {
+            types.push('letter_reversal');
+        } else if (diffs.length === 1 && this.isPhonemePair(diffs[0][0], diffs[0][1])) {
+            types.push('phoneme_substitution');
+        }
+
+        return types;
+    },
+
+    /**
+     * Error types for a numeric answer
+     */
+    classifyNumber(expected, response) {
+        const types = [];
+        const target = Number(expected);
+        const answer = Number(response);
+        if (!Number.isFinite(target) || !Number.isFinite(answer) || target === answer) return types;
+
+        const targetDigits = String(Math.abs(target));
+        const answerDigits = String(Math.abs(answer));
+        const swapped = targetDigits.length > 1 &&
+            [...targetDigits].sort().join('') === [...answerDigits].sort().join('');
+        const timesTen = answer === target * 10 || target === answer * 10;
+        const wrongTens = Math.abs(target - answer) % 10 === 0;
+
+        if (swapped || timesTen || wrongTens) {
+            types.push('place_value_confusion');
+        }
+        if (Math.abs(target - answer) === 1) {
+            types.push('counting_on');
+        }
+
+        return types;
+    },
+
+    /**
+     * Wrong options for a numeric answer: one counting-on slip, one
+     * place-value mix-up and plain near misses to fill the rest
+     * @param {number} answer
+     * @param {Object} [options]
+     * @param {number} [options.min=0] - Smallest option allowed
+     * @param {number} [options.max=Infinity] - Largest option allowed
+     * @param {number} [options.count=3] - Options wanted
+     * @returns {number[]}
+     */
+    numberDistractors(answer, { min = 0, max = Infinity, count = 3 } = {}) {
+        const inRange = n => Number.isInteger(n) && n >= min && n <= max && n !== answer;
+        const first = candidates => candidates.find(inRange);
+
+        const digits = String(Math.abs(answer));
+        const reversed = digits.length > 1 ? Number([...digits].reverse().join('')) * Math.sign(answer) : null;
+
+        const picks = [
+            first([answer - 1, answer + 1]),
+            first([reversed, answer + 10, answer - 10, answer * 10])
+        ];
+
+        // Near misses that match no error type
+        [2, -2, 3, -3, 4, -4, 5, -5].forEach(offset => picks.push(answer + offset));
+
+        return [...new Set(picks.filter(inRange))].slice(0, count);
+    },
+
+    /**
+     * Extra tiles for a word-building activity: a mirror letter and a
+     * similar-sounding letter for letters in the word, in the word's case
+     * @param {string} word
+     * @param {number} [count=2]
+     * @returns {string[]}
+     */
+    letterDistractors(word, count = 2) {
+        const letters = [...String(word).toLowerCase()].sort(() => Math.random() - 0.5);
+        const partnerOf = (letter, groups) => {
+            const options = groups
+                .filter(group => group.includes(letter))
+                .flat()
+                .filter(other => other !== letter && other.length === 1);
+            return options[Math.floor(Math.random() * options.length)];
+        };
+        const first = groups => letters.map(letter => partnerOf(letter, groups)).find(Boolean);
+
+        const picks = [...new Set([first(this.REVERSAL_PAIRS), first(this.PHONEME_GROUPS)].filter(Boolean))];
+        const upper = word === String(word).toUpperCase();
+        return picks.slice(0, count).map(letter => (upper ? letter.toUpperCase() : letter));
+    },
+
+    /**
+     * Classify one trial row (activity_trials shape)
+     * @param {Object} trial - { module_type, expected, response, correct }
+     * @returns {string[]} Error types (empty for correct or unclassified answers)
+     */
+    classify(trial) {
+        if (trial.correct || trial.response === null || trial.response === undefined) return [];
+
+        const numeric = trial.module_type === 'dyscalculia' ||
+            (/^-?\d+$/.test(String(trial.expected)) && /^-?\d+$/.test(String(trial.response)));
+
+        return numeric
+            ? this.classifyNumber(trial.expected, trial.response)
+            : this.classifyText(trial.expected, trial.response);
+    },
+
+    /**
+     * Load a child's trials for the analysed modules
+     * @param {string} studentId
+     * @param {Object} [options]
+     * @param {number} [options.days=90] - How far back to look
+     * @returns {Promise<Array>}
+     */
+    async fetchTrials(studentId, { days = 90 } = {}) {
+        const since = new Date(Date.now() - days * 86400000).toISOString();
+        const { data, error } = await CognoSupabase.client
+            .from('activity_trials')
+            .select('*')
+            .eq('student_id', studentId)
+            .in('module_type', ['dyslexia', 'dyscalculia'])
+            .gte('created_at', since)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('CognoErrorPatterns: Failed to load trials:', error);
+            return [];
+        }
+        return data || [];
+    },
+
+    /**
+     * Monday of the week a date falls in, as YYYY-MM-DD
+     */
+    weekKey(date) {
+        const d = new Date(date);
+        d.setHours(0, 0, 0, 0);
+        d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Summarise recurring error types across trials
+     * @param {Array} trials - activity_trials rows, oldest first
+     * @param {Object} [options]
+     * @param {number} [options.examples=3] - Example trials kept per type (most recent)
+     * @returns {Object} { totalTrials, totalErrors, weeks, patterns: [{ type, label, count, share, examples, trend }] }
+     */
+    analyze(trials, { examples = 3 } = {}) {
+        const weeks = [...new Set(trials.map(t => this.weekKey(t.created_at)))].sort();
+        const trialsPerWeek = {};
+        trials.forEach(t => {
+            const week = this.weekKey(t.created_at);
+            trialsPerWeek[week] = (trialsPerWeek[week] || 0) + 1;
+        });
+
+        const byType = {};
+        let totalErrors = 0;
+
+        trials.forEach(trial => {
+            if (trial.correct) return;
+            totalErrors++;
+
+            this.classify(trial).forEach(type => {
+                const entry = byType[type] || (byType[type] = { count: 0, examples: [], perWeek: {} });
+                const week = this.weekKey(trial.created_at);
+                entry.count++;
+                entry.examples.push(trial);
+                entry.perWeek[week] = (entry.perWeek[week] || 0) + 1;
+            });
+        });
+
+        const patterns = Object.entries(byType)
+            .map(([type, entry]) => ({
+                type,
+                ...this.TYPES[type],
+                count: entry.count,
+                share: totalErrors ? Math.round((entry.count / totalErrors) * 100) : 0,
+                examples: entry.examples.slice(-examples).reverse(),
+                // Errors of this type per 100 trials, week by week
+                trend: weeks.map(week => ({
+                    week,
+                    errors: entry.perWeek[week] || 0,
+                    rate: Math.round(((entry.perWeek[week] || 0) / trialsPerWeek[week]) * 100)
+                }))
+            }))
+            .sort((a, b) => b.count - a.count);
+
+        return { totalTrials: trials.length, totalErrors, weeks, patterns };
+    }
+};
+
+// Make globally available
+window.CognoErrorPatterns = CognoErrorPatterns;
@@ -0,0 +1,224 @@
+/**
+ * COGNO SOLUTION - Learning Plans
+ * Multi-week plans built by a doctor, tracked automatically from the
+ * child's completed activities in activity_logs.
+ *
+ * learning_plans row (new columns):
+ *   start_date - YYYY-MM-DD, first day of week 1
+ *   weeks      - [{ week: 1, goals: [{ moduleId, activityId, sessions, targetAccuracy }] }]
+ *
+ * A goal is met when the activity was played `sessions` times that week
+ * with an average accuracy of at least `targetAccuracy`. Each
+ * 'activity_completed' log row is one session.
+ */
+
+const CognoLearningPlans = {
+    DAY_MS: 86400000,
+
+    /**
+     * Parse YYYY-MM-DD as a local date
+     */
+    parseDay(day) {
+        const [y, m, d] = String(day).split('-').map(Number);
+        return new Date(y, m - 1, d);
+    },
+
+    /**
+     * Local date as YYYY-MM-DD
+     */
+    formatDay(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Monday of the current week, used as the default start date
+     */
+    defaultStartDate(today = new Date()) {
+        const d = new Date(today);
+        d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+        return this.formatDay(d);
+    },
+
+    /**
+     * Build the per-week goals for a plan
+     * @param {Array} goals - Week 1 goals [{ moduleId, activityId, sessions, targetAccuracy }]
+     * @param {number} durationWeeks
+     * @param {number} [accuracyStep=0] - Points added to each target every week (capped at 100)
+     * @returns {Array} weeks
+     */
+    buildWeeks(goals, durationWeeks, accuracyStep = 0) {
+        return Array.from({ length: durationWeeks }, (_, i) => ({
+            week: i + 1,
+            goals: goals.map(goal => ({
+                ...goal,
+                targetAccuracy: Math.min(100, goal.targetAccuracy + accuracyStep * i)
+            }))
+        }));
+    },
+
+    /**
+     * Start and end (exclusive) of a plan week
+     * @param {Object} plan - learning_plans row
+     * @param {number} index - 0-based week index
+     */
+    weekRange(plan, index) {
+        const start = this.parseDay(plan.start_date || this.formatDay(plan.created_at));
+        start.setDate(start.getDate() + index * 7);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 7);
+        return { start, end };
+    },
+
+    /**
+     * 0-based index of the plan week containing `today`, or -1 before the plan starts
+     */
+    currentWeekIndex(plan, today = new Date()) {
+        const start = this.parseDay(plan.start_date || this.formatDay(plan.created_at));
+        const days = Math.floor((this.parseDay(this.formatDay(today)) - start) / this.DAY_MS);
+        if (days < 0) return -1;
+        return Math.min(Math.floor(days / 7), (plan.weeks?.length || plan.duration_weeks || 1) - 1);
+    },
+
+    /**
+     * Turn activity_logs rows into sessions
+     * @returns {Array<{ moduleId, activityId, percentage, at: Date }>}
+     */
+    sessionsFromLogs(rows) {
+        return (rows || [])
+            .filter(row => row.metadata?.module_type && row.metadata?.activity_id)
+            .map(row => ({
+                moduleId: row.metadata.module_type,
+                activityId: row.metadata.activity_id,
+                percentage: Number(row.metadata.percentage) || 0,
+                at: new Date(row.created_at)
+            }));
+    },
+
+    /**
+     * Day after a plan's last week, as YYYY-MM-DD
+     */
+    planEndDate(plan) {
+        const { end } = this.weekRange(plan, (plan.weeks?.length || plan.duration_weeks || 1) - 1);
+        return this.formatDay(end);
+    },
+
+    /**
+     * Progress against one week's goals
+     * @returns {{ week, start, end, goals: Array, adherence: number, complete: boolean }}
+     */
+    evaluateWeek(plan, index, sessions) {
+        const { start, end } = this.weekRange(plan, index);
+        const week = plan.weeks?.[index] || { week: index + 1, goals: [] };
+
+        const goals = week.goals.map(goal => {
+            const played = sessions.filter(s =>
+                s.moduleId === goal.moduleId &&
+                s.activityId === goal.activityId &&
+                s.at >= start && s.at < end
+            );
+            const accuracy = played.length
+                ? Math.round(played.reduce((sum, s) => sum + (s.percentage || 0), 0) / played.length)
+                : null;
+            const frequencyMet = played.length >= goal.sessions;
+            const accuracyMet = accuracy !== null && accuracy >= goal.targetAccuracy;
+
+            return {
+                ...goal,
+                done: played.length,
+                accuracy,
+                met: frequencyMet && accuracyMet,
+                // Share of the goal achieved, counting sessions and accuracy equally
+                progress: Math.round(((Math.min(played.length / goal.sessions, 1) +
+                    (accuracy === null ? 0 : Math.min(accuracy / goal.targetAccuracy, 1))) / 2) * 100)
+            };
+        });
+
+        const adherence = goals.length
+            ? Math.round(goals.reduce((sum, g) => sum + g.progress, 0) / goals.length)
+            : 0;
+
+        return { week: week.week, start, end, goals, adherence, complete: goals.length > 0 && goals.every(g => g.met) };
+    },
+
+    /**
+     * Adherence for every week up to today
+     * @returns {{ currentWeek: number, weeks: Array, adherence: number }}
+     */
+    evaluatePlan(plan, sessions, today = new Date()) {
+        const current = this.currentWeekIndex(plan, today);
+        const weeks = [];
+        for (let i = 0; i <= current; i++) {
+            weeks.push(this.evaluateWeek(plan, i, sessions));
+        }
+
+        const adherence = weeks.length
+            ? Math.round(weeks.reduce((sum, w) => sum + w.adherence, 0) / weeks.length)
+            : 0;
+
+        return { currentWeek: current, weeks, adherence };
+    },
+
+    /**
+     * The patient's active plan (newest first)
+     */
+    async getActivePlan(patientId) {
+        const { data, error } = await CognoSupabase.client
+            .from('learning_plans')
+            .select('*')
+            .eq('patient_id', patientId)
+            .eq('status', 'active')
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            console.error('CognoLearningPlans: Failed to load plan:', error);
+            return null;
+        }
+        return data?.[0] || null;
+    },
+
+    /**
+     * Sessions for one or more patients within a date range
+     * @param {string|string[]} patientIds
+     * @param {string} since - YYYY-MM-DD, first day included
+     * @param {string} [until] - YYYY-MM-DD, first day excluded (open-ended when omitted)
+     * @returns {Promise<Object>} patientId -> sessions
+     */
+    async loadSessions(patientIds, since, until = null) {
+        const ids = [].concat(patientIds);
+        let query = CognoSupabase.client
+            .from('activity_logs')
+            .select('user_id, metadata, created_at')
+            .in('user_id', ids)
+            .eq('activity_type', 'activity_completed')
+            .gte('created_at', this.parseDay(since).toISOString());
+
+        if (until) query = query.lt('created_at', this.parseDay(until).toISOString());
+
+        const { data, error } = await query.order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('CognoLearningPlans: Failed to load activity log:', error);
+        }
+
+        const byPatient = Object.fromEntries(ids.map(id => [id, []]));
+        (data || []).forEach(row => byPatient[row.user_id]?.push(row));
+        return Object.fromEntries(
+            Object.entries(byPatient).map(([id, rows]) => [id, this.sessionsFromLogs(rows)])
+        );
+    },
+
+    /**
+     * Display name for a goal's activity
+     */
+    activityName(goal) {
+        const activity = typeof CognoActivityRegistry !== 'undefined'
+            ? CognoActivityRegistry.getActivity(goal.moduleId, goal.activityId)
+            : null;
+        return activity?.name || goal.activityId;
+    }
+};
+
+// Make globally available
+window.CognoLearningPlans = CognoLearningPlans;
@@ -0,0 +1,265 @@
+/**
+ * COGNO SOLUTION - On-device Pose & Hand Tracking
+ * Runs MediaPipe hand/pose landmark models in the browser so camera
+ * activities work offline and no video frame leaves the device.
+ *
+ * Until the files below are deployed (see assets/models/README.md), init()
+ * falls back to the Flask backend's /api/dyspraxia/analyze-frame, which
+ * returns the same result shape. Frames are only sent in that case.
+ *
+ * Bundled files (served with the app, never fetched from a CDN):
+ *   assets/vendor/mediapipe/vision_bundle.mjs   @mediapipe/tasks-vision ES module
+ *   assets/vendor/mediapipe/wasm/               tasks-vision WASM runtime
+ *   assets/models/hand_landmarker.task          21 landmarks per hand
+ *   assets/models/pose_landmarker_lite.task     33 body landmarks
+ *
+ * Results use the same shape as DyspraxiaAPI.analyzeFrame:
+ *   { success, source, frame_received, hands_detected, hand_landmarks, handedness, pose_detected, landmarks }
+ * where source is 'device' or 'server'.
+ * Coordinates are normalised (0-1) and mirrored like the on-screen video.
+ *
+ * Usage:
+ *   await CognoPose.init('hands');
+ *   const data = await CognoPose.analyzeFrame(video, 'hands');
+ */
+
+const CognoPose = {
+    ASSETS: {
+        bundle: 'assets/vendor/mediapipe/vision_bundle.mjs',
+        wasm: 'assets/vendor/mediapipe/wasm',
+        hands: 'assets/models/hand_landmarker.task',
+        pose: 'assets/models/pose_landmarker_lite.task'
+    },
+
+    // App root, resolved from this script's own URL (js/pose-detection.js)
+    baseUrl: document.currentScript
+        ? new URL('../', document.currentScript.src).href
+        : new URL('/', window.location.href).href,
+
+    // Flask backend used when the bundled files are missing
+    BACKEND_URL: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://localhost:5000'
+        : '',
+
+    // 'device' or 'server' once init() has succeeded
+    mode: null,
+    vision: null,
+    fileset: null,
+    landmarkers: {},
+    loading: {},
+    lastTimestamp: 0,
+
+    /**
+     * Which model an exercise needs ('hands' uses the hand model, everything else the pose model)
+     */
+    taskFor(exerciseType) {
+        return exerciseType === 'hands' ? 'hands' : 'pose';
+    },
+
+    assetUrl(path) {
+        return new URL(path, this.baseUrl).href;
+    },
+
+    /**
+     * Load the bundled tasks-vision module and WASM runtime
+     */
+    async loadVision() {
+        if (this.fileset) return this.fileset;
+
+        this.vision = await import(this.assetUrl(this.ASSETS.bundle));
+        this.fileset = await this.vision.FilesetResolver.forVisionTasks(this.assetUrl(this.ASSETS.wasm));
+        return this.fileset;
+    },
+
+    /**
+     * Create (once) the landmarker for a task, preferring the GPU
+     * @param {string} task - 'hands' or 'pose'
+     */
+    async getLandmarker(task) {
+        if (this.landmarkers[task]) return this.landmarkers[task];
+        if (this.loading[task]) return this.loading[task];
+
+        this.loading[task] = (async () => {
+            const fileset = await this.loadVision();
+            const Landmarker = task === 'hands' ? this.vision.HandLandmarker : this.vision.PoseLandmarker;
+            const options = delegate => ({
+                baseOptions: { modelAssetPath: this.assetUrl(this.ASSETS[task]), delegate },
+                runningMode: 'VIDEO',
+                ...(task === 'hands' ? { numHands: 2 } : { numPoses: 1 })
+            });
+
+            try {
+                this.landmarkers[task] = await Landmarker.createFromOptions(fileset, options('GPU'));
+            } catch (error) {
+                console.warn(`CognoPose: GPU unavailable for ${task}, using CPU:`, error.message || error);
+                this.landmarkers[task] = await Landmarker.createFromOptions(fileset, options('CPU'));
+            }
+            return this.landmarkers[task];
+        })();
+
+        try {
+            return await this.loading[task];
+        } finally {
+            delete this.loading[task];
+        }
+    },
+
+    /**
+     * Load the model for an exercise ahead of the first frame, or fall back
+     * to the backend when the bundled files are not deployed
+     * @param {string} [exerciseType='hands'] - 'hands' or 'body'
+     * @returns {Promise<Object>} { success, mode?, error? }
+     */
+    async init(exerciseType = 'hands') {
+        try {
+            await this.getLandmarker(this.taskFor(exerciseType));
+            this.mode = 'device';
+            return { success: true, mode: this.mode };
+        } catch (error) {
+            console.warn('CognoPose: On-device model unavailable, trying the backend:', error.message || error);
+        }
+
+        if (await this.checkBackend()) {
+            this.mode = 'server';
+            return { success: true, mode: this.mode };
+        }
+
+        console.error('CognoPose: No tracking available on this device or the backend');
+        return { success: false, error: 'Tracking unavailable' };
+    },
+
+    /**
+     * Whether the backend is up with MediaPipe available
+     */
+    async checkBackend() {
+        try {
+            const response = await fetch(`${this.BACKEND_URL}/health`, { method: 'GET', mode: 'cors' });
+            if (!response.ok) return false;
+            const data = await response.json();
+            return Boolean(data.services?.mediapipe);
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Detect hand or body landmarks in one frame
+     * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap|Blob} source - Camera frame
+     * @param {string} [exerciseType='hands'] - 'hands' or 'body'
+     * @param {Object} [options]
+     * @param {boolean} [options.mirror=true] - Flip x to match a mirrored (selfie) video
+     * @returns {Promise<Object>} analyzeFrame-shaped result
+     */
+    async analyzeFrame(source, exerciseType = 'hands', { mirror = true } = {}) {
+        if (this.mode === 'server') return this.analyzeOnServer(source, exerciseType, mirror);
+
+        const task = this.taskFor(exerciseType);
+
+        try {
+            const landmarker = await this.getLandmarker(task);
+            const frame = source instanceof Blob ? await createImageBitmap(source) : source;
+
+            // VIDEO mode needs strictly increasing timestamps
+            this.lastTimestamp = Math.max(this.lastTimestamp + 1, Math.round(performance.now()));
+            const result = landmarker.detectForVideo(frame, this.lastTimestamp);
+
+            if (frame !== source) frame.close?.();
+            return this.toResult(task, result, mirror);
+        } catch (error) {
+            console.error('CognoPose: Frame analysis failed:', error);
+            return { success: false, error: error.message || String(error) };
+        }
+    },
+
+    /**
+     * Send one frame to the backend. The frame is flipped first when the
+     * video is mirrored, so its coordinates match the screen like on-device ones.
+     */
+    async analyzeOnServer(source, exerciseType, mirror) {
+        try {
+            const frame = source instanceof Blob ? await createImageBitmap(source) : source;
+            const canvas = document.createElement('canvas');
+            canvas.width = frame.videoWidth || frame.width;
+            canvas.height = frame.videoHeight || frame.height;
+            const ctx = canvas.getContext('2d');
+            if (mirror) {
+                ctx.scale(-1, 1);
+                ctx.drawImage(frame, -canvas.width, 0);
+            } else {
+                ctx.drawImage(frame, 0, 0);
+            }
+            if (frame !== source) frame.close?.();
+
+            const response = await fetch(`${this.BACKEND_URL}/api/dyspraxia/analyze-frame`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                mode: 'cors',
+                body: JSON.stringify({
+                    frame_data: canvas.toDataURL('image/jpeg', 0.7).split(',')[1],
+                    exercise_type: exerciseType
+                })
+            });
+            if (!response.ok) throw new Error(`Backend error ${response.status}`);
+
+            const data = await response.json();
+            return {
+                frame_received: true,
+                hands_detected: false,
+                hand_landmarks: [],
+                handedness: [],
+                pose_detected: false,
+                landmarks: [],
+                ...data,
+                success: data.success !== false,
+                source: 'server'
+            };
+        } catch (error) {
+            console.error('CognoPose: Backend frame analysis failed:', error);
+            return { success: false, error: error.message || String(error) };
+        }
+    },
+
+    /**
+     * Convert a tasks-vision result to the analyzeFrame shape
+     */
+    toResult(task, result, mirror) {
+        const point = p => ({
+            x: mirror ? 1 - p.x : p.x,
+            y: p.y,
+            z: p.z,
+            ...(p.visibility !== undefined ? { visibility: p.visibility } : {})
+        });
+
+        if (task === 'hands') {
+            const hands = (result.landmarks || []).map(hand => hand.map(point));
+            return {
+                success: true,
+                source: 'device',
+                frame_received: true,
+                hands_detected: hands.length > 0,
+                hand_landmarks: hands,
+                // The model labels hands as seen in a mirrored image; camera frames are not mirrored
+                handedness: (result.handedness || result.handednesses || []).map(h =>
+                    h[0]?.categoryName === 'Left' ? 'Right' : 'Left'
+                ),
+                pose_detected: false,
+                landmarks: []
+            };
+        }
+
+        const pose = (result.landmarks?.[0] || []).map(point);
+        return {
+            success: true,
+            source: 'device',
+            frame_received: true,
+            hands_detected: false,
+            hand_landmarks: [],
+            handedness: [],
+            pose_detected: pose.length > 0,
+            landmarks: pose
+        };
+    }
+};
+
+// Make globally available
+window.CognoPose = CognoPose;
@@ -0,0 +1,345 @@
+/**
+ * COGNO SOLUTION - Reading Fluency
+ * Listens while a child reads a passage aloud and compares what was heard
+ * with the passage, word by word.
+ *
+ * Metrics (stored as student_progress.data.fluency and activity_logs metadata.fluency):
+ *   wcpm             - words read correctly per minute
+ *   accuracy         - % of attempted words read correctly
+ *   words_total      - words in the passage
+ *   words_attempted  - passage words up to the last one the child reached
+ *   words_correct    - attempted words read correctly
+ *   skipped          - [{ index, word }] passage words left out
+ *   mispronounced    - [{ index, word, heard }] passage words read as something else
+ *   inserted         - words said that are not in the passage
+ *
+ * Recognizers are pluggable so tests and other engines can stand in for the
+ * browser's speech recognition. A recognizer factory receives
+ * { lang, onResult(transcript, isFinal), onEnd(), onError(error) } and returns
+ * an object with start() and stop(). onResult always gets the whole transcript so far.
+ *
+ * Usage:
+ *   const session = new FluencySession(passage, { lang: 'en-US', onProgress: r => ... });
+ *   session.start();
+ *   const result = await session.stop();
+ *   CognoTracker.saveActivity({ ..., fluency: CognoFluency.summarize(result) });
+ *
+ *   // Stub recognizer
+ *   CognoFluency.setRecognizer(({ onResult, onEnd }) => ({
+ *       start() { onResult('once upon a time', true); },
+ *       stop() { onEnd(); }
+ *   }));
+ */
+
+const CognoFluency = {
+    // Heard words at least this similar to the passage word count as read correctly
+    // (allows for recognizer spelling such as "colour" / "color")
+    MATCH_SIMILARITY: 0.75,
+
+    // How long stop() waits for the recognizer's last results
+    STOP_TIMEOUT_MS: 1500,
+
+    recognizerFactory: null,
+
+    /**
+     * Use a different speech recognizer
+     * @param {Function|null} factory - Recognizer factory, or null for the browser's
+     */
+    setRecognizer(factory) {
+        this.recognizerFactory = factory;
+    },
+
+    isSupported() {
+        return Boolean(this.recognizerFactory || window.SpeechRecognition || window.webkitSpeechRecognition);
+    },
+
+    createRecognizer(options) {
+        return (this.recognizerFactory || this.browserRecognizer)(options);
+    },
+
+    /**
+     * Recognizer backed by the Web Speech API. Browsers end recognition after a
+     * pause, so it restarts until stop() is called and keeps the earlier results.
+     */
+    browserRecognizer({ lang, onResult, onEnd, onError }) {
+        const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        const recognition = new Recognition();
+        recognition.lang = lang;
+        recognition.continuous = true;
+        recognition.interimResults = true;
+
+        let finalText = '';
+        let listening = false;
+
+        recognition.onresult = (event) => {
+            let interim = '';
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const text = event.results[i][0].transcript;
+                if (event.results[i].isFinal) finalText += ' ' + text;
+                else interim += ' ' + text;
+            }
+            onResult((finalText + interim).trim(), !interim);
+        };
+
+        recognition.onerror = (event) => {
+            // 'no-speech' only means the child paused; recognition restarts on end
+            if (event.error === 'no-speech') return;
+            listening = false;
+            onError?.(event.error);
+        };
+
+        recognition.onend = () => {
+            if (listening) {
+                recognition.start();
+                return;
+            }
+            onEnd?.();
+        };
+
+        return {
+            start() {
+                listening = true;
+                recognition.start();
+            },
+            stop() {
+                listening = false;
+                recognition.stop();
+            }
+        };
+    },
+
+    /**
+     * Lower-case a word and strip punctuation, keeping letters and marks of any script
+     */
+    normalize(word) {
+        return word.toLowerCase().replace(/[’']/g, '').replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+    },
+
+    /**
+     * Split text into words as they appear, for display
+     */
+    words(text) {
+        return (text || '').split(/[\s\-–—]+/).filter(word => this.normalize(word));
+    },
+
+    /**
+     * 0-1 similarity of two normalized words from their edit distance
+     */
+    similarity(a, b) {
+        if (a === b) return 1;
+        if (!a || !b) return 0;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
+    },
+
+    /**
+     * Line up the passage with what was heard (word-level edit distance)
+     * @param {Array<string>} expected - Normalized passage words
+     * @param {Array<string>} heard - Normalized spoken words
+     * @returns {Array<Object>} [{ op: 'correct'|'mispronounced'|'skipped'|'inserted', index?, heard? }]
+     */
+    align(expected, heard) {
+        const n = expected.length;
+        const m = heard.length;
+        const cost = Array.from({ length: n + 1 }, (_, i) => {
+            const row = new Array(m + 1).fill(0);
+            row[0] = i;
+            return row;
+        });
+        for (let j = 0; j <= m; j++) cost[0][j] = j;
+
+        const matches = (i, j) => this.similarity(expected[i], heard[j]) >= this.MATCH_SIMILARITY;
+
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= m; j++) {
+                cost[i][j] = Math.min(
+                    cost[i - 1][j - 1] + (matches(i - 1, j - 1) ? 0 : 1),
+                    cost[i - 1][j] + 1,
+                    cost[i][j - 1] + 1
+                );
+            }
+        }
+
+        // Passage words after the point the child stopped cost nothing, so end the
+        // alignment where everything heard has been used up most cheaply
+        let i = 0;
+        for (let k = 1; k <= n; k++) {
+            if (cost[k][m] < cost[i][m]) i = k;
+        }
+
+        // Walk back from there, preferring a match, then a skipped word
+        const ops = [];
+        let j = m;
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0) {
+                const same = matches(i - 1, j - 1);
+                if (cost[i][j] === cost[i - 1][j - 1] + (same ? 0 : 1)) {
+                    ops.push(same
+                        ? { op: 'correct', index: i - 1 }
+                        : { op: 'mispronounced', index: i - 1, heard: heard[j - 1] });
+                    i--;
+                    j--;
+                    continue;
+                }
+            }
+            if (i > 0 && (j === 0 || cost[i][j] === cost[i - 1][j] + 1)) {
+                ops.push({ op: 'skipped', index: i - 1 });
+                i--;
+            } else {
+                ops.push({ op: 'inserted', heard: heard[j - 1] });
+                j--;
+            }
+        }
+        return ops.reverse();
+    },
+
+    /**
+     * Compare a reading with the passage
+     * @param {string} passage
+     * @param {string} transcript - Everything the recognizer heard
+     * @param {number} durationMs - Reading time
+     * @returns {Object} Fluency metrics plus words: the status of each passage word
+     */
+    score(passage, transcript, durationMs) {
+        const passageWords = this.words(passage);
+        const expected = passageWords.map(word => this.normalize(word));
+        const heard = this.words(transcript).map(word => this.normalize(word));
+        const ops = this.align(expected, heard);
+
+        // Words after the last one the child read were not reached, not skipped
+        const reached = ops.reduce((last, step) =>
+            step.op === 'correct' || step.op === 'mispronounced' ? step.index : last, -1);
+
+        const words = expected.map(() => 'unread');
+        const skipped = [];
+        const mispronounced = [];
+        const inserted = [];
+        ops.forEach(step => {
+            if (step.op === 'inserted') {
+                inserted.push(step.heard);
+            } else if (step.index <= reached) {
+                words[step.index] = step.op;
+                if (step.op === 'skipped') skipped.push({ index: step.index, word: passageWords[step.index] });
+                if (step.op === 'mispronounced') {
+                    mispronounced.push({ index: step.index, word: passageWords[step.index], heard: step.heard });
+                }
+            }
+        });
+
+        const attempted = reached + 1;
+        const correct = words.filter(status => status === 'correct').length;
+        const minutes = durationMs / 60000;
+
+        return {
+            wcpm: minutes > 0 ? Math.round(correct / minutes) : 0,
+            accuracy: attempted > 0 ? Math.round((correct / attempted) * 100) : 0,
+            words_total: expected.length,
+            words_attempted: attempted,
+            words_correct: correct,
+            skipped,
+            mispronounced,
+            inserted,
+            duration_seconds: Math.round(durationMs / 1000),
+            words
+        };
+    },
+
+    /**
+     * Metrics to save with the activity (drops the per-word display statuses)
+     */
+    summarize(result) {
+        const { words, ...metrics } = result;
+        return metrics;
+    }
+};
+
+// =========================================================
+// FLUENCY SESSION CLASS
+// =========================================================
+
+class FluencySession {
+    /**
+     * @param {string} passage - Text the child will read
+     * @param {Object} [options]
+     * @param {string} [options.lang='en-US'] - Recognition language
+     * @param {Function} [options.onProgress] - Called with live metrics as final results arrive
+     * @param {Function} [options.onError] - Called with the recognizer's error
+     */
+    constructor(passage, options = {}) {
+        this.passage = passage;
+        this.options = {
+            lang: 'en-US',
+            onProgress: null,
+            onError: null,
+            ...options
+        };
+        this.recognizer = null;
+        this.transcript = '';
+        this.startedAt = null;
+        this.ended = null;
+        this.listening = false;
+    }
+
+    start() {
+        this.transcript = '';
+        this.startedAt = Date.now();
+        this.listening = true;
+
+        let resolveEnded;
+        this.ended = new Promise(resolve => { resolveEnded = resolve; });
+
+        this.recognizer = CognoFluency.createRecognizer({
+            lang: this.options.lang,
+            onResult: (transcript, isFinal) => {
+                this.transcript = transcript;
+                if (isFinal) this.options.onProgress?.(this.result());
+            },
+            onEnd: () => resolveEnded(),
+            onError: (error) => {
+                this.listening = false;
+                resolveEnded();
+                this.options.onError?.(error);
+            }
+        });
+        this.recognizer.start();
+    }
+
+    /**
+     * Stop listening and score the reading
+     * @returns {Promise<Object>} CognoFluency.score() result
+     */
+    async stop() {
+        if (!this.recognizer) return this.result();
+
+        const duration = Date.now() - this.startedAt;
+        if (this.listening) this.recognizer.stop();
+        this.listening = false;
+
+        await Promise.race([
+            this.ended,
+            new Promise(resolve => setTimeout(resolve, CognoFluency.STOP_TIMEOUT_MS))
+        ]);
+        return CognoFluency.score(this.passage, this.transcript, duration);
+    }
+
+    result() {
+        const duration = this.startedAt ? Date.now() - this.startedAt : 0;
+        return CognoFluency.score(this.passage, this.transcript, duration);
+    }
+}
+
+// Make globally available
+window.CognoFluency = CognoFluency;
+window.FluencySession = FluencySession;
@@ -0,0 +1,343 @@
+/**
+ * COGNO SOLUTION - Consultation SOAP Notes
+ * Structured notes a doctor writes during a video consultation, saved as a
+ * doctor_reports draft while they type and shared with the family when finalized.
+ *
+ * The report row ties back to the consultation through assessment_data:
+ *   assessment_data.consultation_id  - consultations.id the notes belong to
+ *   assessment_data.soap             - { subjective, objective, assessment, plan }
+ *   assessment_data.findings         - objective notes (read by the existing report views)
+ *   assessment_data.activity_snapshots - attached module summaries, see CognoSOAP.snapshot()
+ *
+ * Drafts have shared_with_parent = false and show up under Drafts in doctor/reports.html.
+ * Finalizing sets shared_with_parent = true so the report appears in consultations/my-reports.html.
+ *
+ * Usage:
+ *   const notes = new SessionNotes(consultation, doctorId, { onStatus: s => ... });
+ *   await notes.load();
+ *   notes.update('plan', text);           // autosaves
+ *   await notes.finalize();
+ */
+
+const CognoSOAP = {
+    SECTIONS: [
+        { key: 'subjective', label: 'Subjective', placeholder: 'What the child and family report: concerns, history, how the week went...' },
+        { key: 'objective', label: 'Objective', placeholder: 'What you observed in the session and in the activity results...' },
+        { key: 'assessment', label: 'Assessment', placeholder: 'Your clinical impression...' },
+        { key: 'plan', label: 'Plan', placeholder: 'One recommendation per line: exercises, follow-up, referrals...' }
+    ],
+
+    REPORT_TYPE: 'consultation',
+
+    // Wait this long after the last keystroke before saving to the server
+    AUTOSAVE_DELAY_MS: 2000,
+
+    // How far back activity snapshots look
+    SNAPSHOT_DAYS: 14,
+
+    emptyNotes() {
+        return { subjective: '', objective: '', assessment: '', plan: '' };
+    },
+
+    draftKey(consultationId) {
+        return `cogno-soap-draft:${consultationId}`;
+    },
+
+    /**
+     * Summarise the patient's recent activity per module, from every
+     * completed session in activity_logs (student_progress only keeps the
+     * latest result per activity)
+     * @param {string} patientId
+     * @param {number} [days] - Look-back window
+     * @returns {Promise<Array<Object>>} [{ module, sessions, average_accuracy, best_accuracy,
+     *   minutes, activities, last_active, from, to }] most recently active first
+     */
+    async loadSnapshots(patientId, days = this.SNAPSHOT_DAYS) {
+        const since = new Date(Date.now() - days * 86400000).toISOString();
+        const { data, error } = await CognoSupabase.client
+            .from('activity_logs')
+            .select('metadata, created_at')
+            .eq('user_id', patientId)
+            .eq('activity_type', 'activity_completed')
+            .gte('created_at', since)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return this.snapshot(data || [], since);
+    },
+
+    /**
+     * Group activity_logs rows (one per completed session) into one snapshot per module
+     */
+    snapshot(rows, since) {
+        const modules = {};
+        rows.forEach(({ metadata = {}, created_at: at }) => {
+            const module = metadata.module_type || 'other';
+            const entry = modules[module] || (modules[module] = {
+                module,
+                sessions: 0,
+                accuracies: [],
+                seconds: 0,
+                activities: new Set(),
+                last_active: at
+            });
+            entry.sessions++;
+            entry.seconds += Number(metadata.duration) || 0;
+            const activity = metadata.activity_name || metadata.activity_id;
+            if (activity) entry.activities.add(activity);
+            if (typeof metadata.percentage === 'number') entry.accuracies.push(metadata.percentage);
+            if (at > entry.last_active) entry.last_active = at;
+        });
+
+        const to = new Date().toISOString();
+        return Object.values(modules)
+            .map(({ accuracies, seconds, activities, ...entry }) => ({
+                ...entry,
+                average_accuracy: accuracies.length
+                    ? Math.round(accuracies.reduce((a, b) => a + b, 0) / accuracies.length)
+                    : null,
+                best_accuracy: accuracies.length ? Math.round(Math.max(...accuracies)) : null,
+                minutes: Math.round(seconds / 60),
+                activities: [...activities],
+                from: since,
+                to
+            }))
+            .sort((a, b) => (b.last_active || '').localeCompare(a.last_active || ''));
+    },
+
+    /**
+     * One line describing a snapshot, for lists and plain-text exports
+     */
+    describeSnapshot(snapshot) {
+        const name = snapshot.module.charAt(0).toUpperCase() + snapshot.module.slice(1);
+        const parts = [`${snapshot.sessions} session${snapshot.sessions === 1 ? '' : 's'}`];
+        if (snapshot.average_accuracy !== null) parts.push(`${snapshot.average_accuracy}% average accuracy`);
+        if (snapshot.minutes) parts.push(`${snapshot.minutes} min`);
+        return `${name}: ${parts.join(', ')}`;
+    },
+
+    /**
+     * doctor_reports fields for a set of notes
+     * @param {Object} consultation - consultations row (id, doctor_id, patient_id, scheduled_at)
+     * @param {Object} notes - { subjective, objective, assessment, plan }
+     * @param {Array<Object>} snapshots - Attached activity snapshots
+     * @param {boolean} shared - Whether the family can see it
+     */
+    toReport(consultation, notes, snapshots, shared) {
+        const date = new Date(consultation.scheduled_at || Date.now()).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+
+        return {
+            doctor_id: consultation.doctor_id,
+            patient_id: consultation.patient_id,
+            report_type: this.REPORT_TYPE,
+            title: `Consultation notes - ${date}`,
+            content: notes.assessment.trim() || notes.subjective.trim(),
+            assessment_data: {
+                consultation_id: consultation.id,
+                soap: notes,
+                findings: notes.objective.trim(),
+                activity_snapshots: snapshots
+            },
+            recommendations: notes.plan.split('\n').map(line => line.replace(/^\s*[-*•]\s*/, '').trim()).filter(Boolean),
+            shared_with_parent: shared
+        };
+    }
+};
+
+// =========================================================
+// SESSION NOTES CLASS
+// =========================================================
+
+class SessionNotes {
+    /**
+     * @param {Object} consultation - consultations row
+     * @param {string} doctorId - Signed-in doctor
+     * @param {Object} [options]
+     * @param {Function} [options.onStatus] - Called with 'saving' | 'saved' | 'local' | 'finalized'
+     */
+    constructor(consultation, doctorId, options = {}) {
+        this.consultation = consultation;
+        this.doctorId = doctorId;
+        this.options = {
+            onStatus: null,
+            ...options
+        };
+        this.notes = CognoSOAP.emptyNotes();
+        this.snapshots = [];
+        this.reportId = null;
+        this.finalized = false;
+        this.saveTimer = null;
+        this.saving = null;
+        this.dirty = false;
+    }
+
+    /**
+     * Restore the draft: the copy on this device if it is newer than the server's
+     */
+    async load() {
+        const local = this.readLocal();
+
+        const { data, error } = await CognoSupabase.client
+            .from('doctor_reports')
+            .select('id, assessment_data, shared_with_parent, updated_at')
+            .eq('doctor_id', this.doctorId)
+            .eq('assessment_data->>consultation_id', this.consultation.id)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) console.error('Failed to load consultation notes:', error);
+
+        if (data) {
+            this.reportId = data.id;
+            this.finalized = Boolean(data.shared_with_parent);
+            this.notes = { ...this.notes, ...(data.assessment_data?.soap || {}) };
+            this.snapshots = data.assessment_data?.activity_snapshots || [];
+        }
+
+        const serverTime = data?.updated_at ? new Date(data.updated_at).getTime() : 0;
+        if (local && !this.finalized && local.saved_at > serverTime) {
+            this.notes = { ...this.notes, ...local.notes };
+            this.snapshots = local.snapshots || this.snapshots;
+            this.dirty = true;
+            this.scheduleSave();
+        }
+
+        return this;
+    }
+
+    readLocal() {
+        try {
+            return JSON.parse(localStorage.getItem(CognoSOAP.draftKey(this.consultation.id)));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    writeLocal() {
+        localStorage.setItem(CognoSOAP.draftKey(this.consultation.id), JSON.stringify({
+            notes: this.notes,
+            snapshots: this.snapshots,
+            saved_at: Date.now()
+        }));
+    }
+
+    clearLocal() {
+        localStorage.removeItem(CognoSOAP.draftKey(this.consultation.id));
+    }
+
+    /**
+     * Change one SOAP section
+     * @param {string} section - subjective | objective | assessment | plan
+     * @param {string} text
+     */
+    update(section, text) {
+        if (!(section in this.notes)) return;
+        this.notes[section] = text;
+        this.changed();
+    }
+
+    attachSnapshot(snapshot) {
+        this.snapshots = this.snapshots.filter(s => s.module !== snapshot.module).concat(snapshot);
+        this.changed();
+    }
+
+    detachSnapshot(module) {
+        this.snapshots = this.snapshots.filter(s => s.module !== module);
+        this.changed();
+    }
+
+    isEmpty() {
+        return Object.values(this.notes).every(text => !text.trim());
+    }
+
+    changed() {
+        this.dirty = true;
+        this.writeLocal();
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), CognoSOAP.AUTOSAVE_DELAY_MS);
+    }
+
+    /**
+     * Save the notes to the report row now (a draft until finalized)
+     */
+    async save() {
+        clearTimeout(this.saveTimer);
+        if (this.saving) await this.saving;
+        if (!this.dirty || this.isEmpty()) return;
+
+        // Failures are reported through onStatus and retried on the next change
+        this.saving = this.write(this.finalized).catch(() => {});
+        await this.saving;
+        this.saving = null;
+    }
+
+    async write(shared) {
+        this.dirty = false;
+        this.status('saving');
+
+        const report = {
+            ...CognoSOAP.toReport(this.consultation, this.notes, this.snapshots, shared),
+            updated_at: new Date().toISOString()
+        };
+
+        try {
+            if (this.reportId) {
+                const { error } = await CognoSupabase.client
+                    .from('doctor_reports')
+                    .update(report)
+                    .eq('id', this.reportId);
+                if (error) throw error;
+            } else {
+                const { data, error } = await CognoSupabase.client
+                    .from('doctor_reports')
+                    .insert(report)
+                    .select('id')
+                    .single();
+                if (error) throw error;
+                this.reportId = data.id;
+            }
+            this.status(shared ? 'finalized' : 'saved');
+        } catch (error) {
+            // Still on this device; the next change or finalize retries
+            console.error('Failed to save consultation notes:', error);
+            this.dirty = true;
+            this.status('local');
+            throw error;
+        }
+    }
+
+    /**
+     * Share the notes with the family as a doctor_reports entry
+     */
+    async finalize() {
+        clearTimeout(this.saveTimer);
+        if (this.saving) await this.saving;
+        if (this.isEmpty()) throw new Error('Add some notes before finalizing');
+
+        await this.write(true);
+        this.finalized = true;
+        this.clearLocal();
+
+        CognoSupabase.logActivity?.('consultation_report', {
+            consultation_id: this.consultation.id,
+            report_id: this.reportId
+        });
+    }
+
+    status(state) {
+        this.options.onStatus?.(state);
+    }
+}
+
+// Make globally available
+window.CognoSOAP = CognoSOAP;
+window.SessionNotes = SessionNotes;
@@ -1,14 +1,129 @@
 /**
  * COGNO SOLUTION - Text-to-Speech Module
  * Provides accessible reading support with word highlighting
+ *
+ * TTSReader highlight modes:
+ *   word     - highlight each word as the voice reaches it
+ *   syllable - colour every word's syllables alternately and step through the
+ *              spoken word one syllable at a time (js/readability.js splits
+ *              syllables when loaded, otherwise words split into vowel chunks)
+ * Focus mode reads one word at a time and dims the surrounding text.
+ *
+ * TTSReader reads one sentence at a time. previous(), next() and repeat() jump
+ * between sentences, and the sentence reached is saved per document
+ * (options.documentId) so start() carries on where the child left off.
+ *
+ * Voice profile: every engine (CognoTTS.Reader, TTSControls, speak()) uses the
+ * user's voice, rate, pitch and volume from the cogno-settings cache, synced
+ * with profiles.tts_settings (supabase/migrations/20261018130500_profiles_tts_settings.sql).
+ * Change it with CognoTTS.profile.save({ rate: 1.1 }). The profile's voice is
+ * an English one; readers in another language (options.lang) pick a voice in
+ * their language and never save their voice to the profile.
  */
 
+// =========================================================
+// VOICE PROFILE
+// =========================================================
+
+const TTSProfile = {
+    EVENT: 'cogno-tts-profile',
+    DEFAULTS: { voice: null, rate: 0.9, pitch: 1, volume: 1 },
+
+    // Language the profile's voice is for
+    LANG: 'en',
+
+    // cogno-settings keys (ttsSpeed and ttsVoice predate the profile)
+    KEYS: { voice: 'ttsVoice', rate: 'ttsSpeed', pitch: 'ttsPitch', volume: 'ttsVolume' },
+
+    readSettings() {
+        try {
+            return JSON.parse(localStorage.getItem('cogno-settings') || '{}');
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * Current profile from this device's settings cache
+     * @returns {Object} { voice, rate, pitch, volume }
+     */
+    load() {
+        const settings = this.readSettings();
+        const profile = { ...this.DEFAULTS };
+        for (const [field, key] of Object.entries(this.KEYS)) {
+            if (settings[key] === undefined || settings[key] === null || settings[key] === '') continue;
+            profile[field] = field === 'voice' ? String(settings[key]) : parseFloat(settings[key]);
+        }
+        if (profile.voice === 'default') profile.voice = null;
+        return profile;
+    },
+
+    /**
+     * Update the profile on this device and in the user's profiles row
+     * @param {Object} changes - Any of { voice, rate, pitch, volume }
+     * @returns {Promise<Object>} The full profile
+     */
+    async save(changes) {
+        const profile = { ...this.load(), ...changes };
+        const settings = this.readSettings();
+        for (const [field, key] of Object.entries(this.KEYS)) settings[key] = profile[field];
+        localStorage.setItem('cogno-settings', JSON.stringify(settings));
+        window.dispatchEvent(new CustomEvent(this.EVENT, { detail: profile }));
+
+        const userId = await this.userId();
+        if (userId) {
+            const { error } = await CognoSupabase.client
+                .from('profiles')
+                .update({ tts_settings: profile })
+                .eq('id', userId);
+            if (error) console.error('CognoTTS: Failed to save voice profile:', error);
+        }
+        return profile;
+    },
+
+    /**
+     * Pull the signed-in user's profile into this device's cache
+     */
+    async sync() {
+        const userId = await this.userId();
+        if (!userId) return;
+
+        const { data, error } = await CognoSupabase.client
+            .from('profiles')
+            .select('tts_settings')
+            .eq('id', userId)
+            .maybeSingle();
+        if (error || !data?.tts_settings) return;
+
+        const settings = this.readSettings();
+        for (const [field, key] of Object.entries(this.KEYS)) {
+            if (data.tts_settings[field] !== undefined) settings[key] = data.tts_settings[field];
+        }
+        localStorage.setItem('cogno-settings', JSON.stringify(settings));
+        window.dispatchEvent(new CustomEvent(this.EVENT, { detail: this.load() }));
+    },
+
+    async userId() {
+        if (typeof CognoSupabase === 'undefined') return null;
+        try {
+            const { data } = await CognoSupabase.client.auth.getSession();
+            return data.session?.user?.id || null;
+        } catch (e) {
+            return null;
+        }
+    }
+};
+
 // =========================================================
 // TTS ENGINE CLASS
 // =========================================================
 
 class TTSEngine {
-    constructor() {
+    /**
+     * @param {string} [lang='en'] - Language of the text, picks the voices offered
+     */
+    constructor(lang = TTSProfile.LANG) {
+        this.lang = lang;
         this.synth = window.speechSynthesis;
         this.utterance = null;
         this.isPlaying = false;
@@ -23,13 +138,31 @@ class TTSEngine {
         };
         this.highlightCallback = null;
         this.endCallback = null;
+        this.profileVoice = null;
         
         // Get available voices
         this.voices = [];
-        this.loadVoices();
+        this.applyProfile(TTSProfile.load());
         
         // Chrome requires this event listener
-        this.synth.onvoiceschanged = () => this.loadVoices();
+        this.synth.addEventListener('voiceschanged', () => this.loadVoices());
+        window.addEventListener(TTSProfile.EVENT, (e) => this.applyProfile(e.detail));
+    }
+
+    /**
+     * Use a voice profile (see TTSProfile)
+     * @param {Object} profile - { voice, rate, pitch, volume }
+     */
+    applyProfile(profile) {
+        this.setRate(profile.rate);
+        this.setPitch(profile.pitch);
+        this.setVolume(profile.volume);
+        // Engines in other languages keep the voice chosen with setVoice()
+        if (this.lang === TTSProfile.LANG) {
+            this.profileVoice = profile.voice;
+            this.options.voice = null;
+        }
+        this.loadVoices();
     }
 
     /**
@@ -38,7 +171,20 @@ class TTSEngine {
     loadVoices() {
         this.voices = this.synth.getVoices();
         
-        // Try to set a good default voice
+        // The user's chosen voice (older settings stored its position in the list)
+        if (this.profileVoice) {
+            const voice = /^\d+$/.test(this.profileVoice)
+                ? this.voices[parseInt(this.profileVoice, 10)]
+                : this.voices.find(v => v.name === this.profileVoice);
+            if (voice && voice.lang.startsWith(this.lang)) {
+                this.options.voice = voice;
+                return;
+            }
+        }
+        
+        if (this.options.voice) return;
+        
+        // Try to set a good default voice (English names, so other languages skip them)
         const preferredVoices = [
             'Google US English',
             'Microsoft David - English (United States)',
@@ -47,16 +193,16 @@ class TTSEngine {
         ];
         
         for (const preferred of preferredVoices) {
-            const voice = this.voices.find(v => v.name === preferred);
+            const voice = this.getVoices().find(v => v.name === preferred);
             if (voice) {
                 this.options.voice = voice;
                 break;
             }
         }
         
-        // Fallback to first English voice
+        // Fallback to the first voice in this language
         if (!this.options.voice) {
-            this.options.voice = this.voices.find(v => v.lang.startsWith('en')) || this.voices[0];
+            this.options.voice = this.getVoices()[0] || this.voices[0] || null;
         }
     }
 
@@ -65,7 +211,7 @@ class TTSEngine {
      * @returns {Array} Available voices
      */
     getVoices() {
-        return this.voices.filter(v => v.lang.startsWith('en'));
+        return this.voices.filter(v => v.lang.startsWith(this.lang));
     }
 
     /**
@@ -137,6 +283,7 @@ class TTSEngine {
             // Create utterance
             this.utterance = new SpeechSynthesisUtterance(text);
             this.utterance.voice = this.options.voice;
+            this.utterance.lang = this.options.voice?.lang || this.lang;
             this.utterance.rate = this.options.rate;
             this.utterance.pitch = this.options.pitch;
             this.utterance.volume = this.options.volume;
@@ -246,28 +393,62 @@ class TTSEngine {
 class TTSReader {
     constructor(containerElement, options = {}) {
         this.container = containerElement;
-        this.engine = new TTSEngine();
-        this.textNodes = [];
+        this.engine = new TTSEngine(options.lang);
+        this.sentences = [];
         this.currentIndex = 0;
         this.highlightedElement = null;
+        this.syllableTimer = null;
+        this.reading = false;
+        this.paused = false;
+        this.wordByWord = false;
+        this.playId = 0;                // Bumped on every jump so superseded reads stop
         
         this.options = {
             highlightClass: 'tts-word-highlight',
             sentenceHighlightClass: 'tts-highlight',
             autoScroll: true,
+            mode: 'word',               // 'word' or 'syllable'
+            focusMode: false,           // One word at a time, surrounding text dimmed
+            syllableClasses: ['tts-syllable-a', 'tts-syllable-b'],
+            activeSyllableClass: 'tts-syllable-active',
+            focusClass: 'tts-focus-mode',
+            syllableMs: 280,            // Time per syllable at rate 1
+            wordPauseMs: 250,           // Gap between words in focus mode
+            documentId: null,           // Key for the saved position (defaults to page + container id)
+            savePosition: true,
+            lang: TTSProfile.LANG,      // Language of the text; only English voices are saved to the profile
             ...options
         };
 
-        // Setup callbacks
+        // Setup callbacks (focus mode speaks and highlights word by word itself)
         this.engine.onHighlight((word, charIndex) => {
-            this.highlightWord(charIndex);
+            if (!this.wordByWord) this.highlightWord(charIndex);
         });
+    }
 
-        this.engine.onEnd(() => {
-            this.clearHighlight();
-            this.currentIndex++;
-            this.readNext();
-        });
+    /**
+     * Split a text node's text into sentences
+     * @param {string} text
+     * @returns {Array<Object>} [{ text, start }] - start is the offset in text
+     */
+    splitSentences(text) {
+        // Titles only: like CognoReadability.ABBREVIATIONS, no ordinary words ("st")
+        const abbreviations = typeof CognoReadability !== 'undefined'
+            ? CognoReadability.ABBREVIATIONS
+            : ['mr', 'mrs', 'ms', 'dr'];
+        const sentences = [];
+        let start = 0;
+
+        for (const boundary of text.matchAll(/[.!?।]+["'”’)\]]*\s+/g)) {
+            const end = boundary.index + boundary[0].length;
+            const lastWord = text.substring(start, boundary.index).split(/\s+/).pop().toLowerCase();
+            if (abbreviations.includes(lastWord)) continue;
+
+            sentences.push({ text: text.substring(start, end).trim(), start });
+            start = end;
+        }
+        if (text.substring(start).trim()) sentences.push({ text: text.substring(start).trim(), start });
+        return sentences;
     }
 
     /**
@@ -282,41 +463,64 @@ class TTSReader {
             false
         );
 
-        this.textNodes = [];
+        this.sentences = [];
         let node;
         while (node = walker.nextNode()) {
-            const text = node.textContent.trim();
-            if (text) {
-                this.textNodes.push({
+            const nodeText = node.textContent.trim();
+            if (!nodeText) continue;
+
+            this.splitSentences(nodeText).forEach(({ text, start }) => {
+                this.sentences.push({
                     node,
+                    nodeText,
                     text,
+                    start,
                     parent: node.parentElement
                 });
-            }
+            });
         }
 
         this.currentIndex = 0;
     }
 
     /**
-     * Start reading
+     * Start reading from the saved position (or the beginning)
+     * @param {Object} [options]
+     * @param {boolean} [options.fromStart=false] - Ignore the saved position
      */
-    async start() {
+    async start({ fromStart = false } = {}) {
         this.prepare();
-        this.currentIndex = 0;
+        this.currentIndex = fromStart ? 0 : this.savedIndex();
+        this.reading = true;
+        this.paused = false;
+        this.wordByWord = this.options.focusMode;
+        this.container.classList.toggle(this.options.focusClass, this.wordByWord);
         await this.readNext();
     }
 
     /**
-     * Read next text node
+     * Start again from the first sentence
+     */
+    restart() {
+        this.stop();
+        this.clearPosition();
+        return this.start({ fromStart: true });
+    }
+
+    /**
+     * Read the current sentence, then carry on to the next
      */
     async readNext() {
-        if (this.currentIndex >= this.textNodes.length) {
+        if (!this.reading) return;
+        if (this.currentIndex >= this.sentences.length) {
             this.stop();
+            this.clearPosition();
             return;
         }
 
-        const { text, parent } = this.textNodes[this.currentIndex];
+        const playId = this.playId;
+        const { text, parent } = this.sentences[this.currentIndex];
+        this.savePosition();
         
         // Add sentence highlight
         parent.classList.add(this.options.sentenceHighlightClass);
@@ -326,10 +530,164 @@ class TTSReader {
             parent.scrollIntoView({ behavior: 'smooth', block: 'center' });
         }
 
-        await this.engine.speak(text);
-        
-        // Remove sentence highlight
+        try {
+            if (this.wordByWord) {
+                await this.readWords(text, playId);
+            } else {
+                await this.engine.speak(text);
+            }
+        } catch (error) {
+            console.error('CognoTTS: Speech failed:', error);
+            this.stop();
+            return;
+        }
+
+        // Jumped elsewhere or stopped while this sentence was being read
+        if (playId !== this.playId || !this.reading) return;
+
+        this.clearHighlight();
         parent.classList.remove(this.options.sentenceHighlightClass);
+        this.currentIndex++;
+        return this.readNext();
+    }
+
+    /**
+     * Jump to a sentence; reading carries on from there if it was under way
+     * @param {number} index - Sentence index
+     */
+    jumpTo(index) {
+        if (this.sentences.length === 0) this.prepare();
+        if (this.sentences.length === 0) return;
+
+        this.playId++;
+        this.clearHighlight();
+        this.sentences[this.currentIndex]?.parent.classList.remove(this.options.sentenceHighlightClass);
+        this.currentIndex = Math.max(0, Math.min(index, this.sentences.length - 1));
+        this.savePosition();
+
+        if (!this.reading) return;
+        this.paused = false;
+        this.engine.resume();
+        this.engine.stop();
+        this.readNext();
+    }
+
+    /**
+     * Go back one sentence
+     */
+    previous() {
+        this.jumpTo(this.currentIndex - 1);
+    }
+
+    /**
+     * Skip to the next sentence
+     */
+    next() {
+        this.jumpTo(this.currentIndex + 1);
+    }
+
+    /**
+     * Read the current sentence again
+     */
+    repeat() {
+        this.jumpTo(this.currentIndex);
+    }
+
+    /**
+     * localStorage key for this document's saved position
+     */
+    positionKey() {
+        const documentId = this.options.documentId || `${location.pathname}#${this.container.id || 'content'}`;
+        return `cogno-tts-position:${documentId}`;
+    }
+
+    savePosition() {
+        if (!this.options.savePosition || !this.sentences[this.currentIndex]) return;
+        localStorage.setItem(this.positionKey(), JSON.stringify({
+            index: this.currentIndex,
+            text: this.sentences[this.currentIndex].text,
+            total: this.sentences.length,
+            savedAt: new Date().toISOString()
+        }));
+    }
+
+    /**
+     * Saved position for this document, if any
+     * @returns {Object|null} { index, text, total, savedAt }
+     */
+    getSavedPosition() {
+        if (!this.options.savePosition) return null;
+        try {
+            return JSON.parse(localStorage.getItem(this.positionKey()));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    clearPosition() {
+        localStorage.removeItem(this.positionKey());
+    }
+
+    /**
+     * Sentence to start from: the saved one, found again by its text if the document changed
+     */
+    savedIndex() {
+        const saved = this.getSavedPosition();
+        if (!saved) return 0;
+        if (this.sentences[saved.index]?.text === saved.text) return saved.index;
+
+        const found = this.sentences.findIndex(sentence => sentence.text === saved.text);
+        return Math.max(found, 0);
+    }
+
+    /**
+     * Focus mode: speak a sentence one word at a time
+     */
+    async readWords(text, playId) {
+        for (const match of text.matchAll(/\S+/g)) {
+            while (this.paused && this.reading && playId === this.playId) {
+                await this.wait(100);
+            }
+            if (!this.reading || playId !== this.playId) return;
+
+            this.highlightWord(match.index);
+            await this.engine.speak(match[0]);
+            this.clearHighlight();
+            await this.wait(this.options.wordPauseMs);
+        }
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Split a word into syllables, keeping punctuation on the outer syllables
+     * @param {string} word - e.g. "village,"
+     * @returns {Array<string>}
+     */
+    splitSyllables(word) {
+        const [, lead, core, trail] = word.match(/^([^A-Za-z]*)(.*?)([^A-Za-z]*)$/);
+        if (!core) return [word];
+
+        const syllables = typeof CognoReadability !== 'undefined'
+            ? CognoReadability.syllabify(core)
+            : core.match(/[^aeiouy]*[aeiouy]+(?:[^aeiouy]*$)?/gi) || [core];
+
+        syllables[0] = lead + syllables[0];
+        syllables[syllables.length - 1] += trail;
+        return syllables;
+    }
+
+    /**
+     * HTML for one word in syllable mode, syllables coloured alternately
+     */
+    syllableHtml(word, activeSyllable = -1) {
+        return this.splitSyllables(word).map((syllable, i) => {
+            const classes = [this.options.syllableClasses[i % this.options.syllableClasses.length]];
+            if (i === activeSyllable) classes.push(this.options.activeSyllableClass);
+            return `<span class="${classes.join(' ')}">${this.escapeHtml(syllable)}</span>`;
+        }).join('');
     }
 
     /**
@@ -338,9 +696,10 @@ class TTSReader {
     highlightWord(charIndex) {
         this.clearHighlight();
 
-        const { node, text, parent } = this.textNodes[this.currentIndex];
+        const { node, nodeText: text, start } = this.sentences[this.currentIndex];
         
-        // Find word boundaries
+        // Find word boundaries (charIndex counts from the start of the sentence)
+        charIndex += start;
         const beforeText = text.substring(0, charIndex);
         const wordMatch = text.substring(charIndex).match(/^\S+/);
         const word = wordMatch ? wordMatch[0] : '';
@@ -348,21 +707,55 @@ class TTSReader {
 
         // Create highlighted element
         const wrapper = document.createElement('span');
-        wrapper.innerHTML = `${this.escapeHtml(beforeText)}<span class="${this.options.highlightClass}">${this.escapeHtml(word)}</span>${this.escapeHtml(afterText)}`;
+        this.renderWord(wrapper, beforeText, word, afterText, 0);
 
         // Replace text node with wrapper
         node.parentNode.replaceChild(wrapper, node);
         this.highlightedElement = wrapper;
 
         // Store original node for restoration
-        this.textNodes[this.currentIndex].replaced = { wrapper, originalNode: node };
+        this.sentences[this.currentIndex].replaced = { wrapper, originalNode: node };
+
+        // Step through the word's syllables at speaking pace
+        if (this.options.mode === 'syllable') {
+            const count = this.splitSyllables(word).length;
+            let active = 0;
+            this.syllableTimer = setInterval(() => {
+                active++;
+                if (active >= count) {
+                    clearInterval(this.syllableTimer);
+                    this.syllableTimer = null;
+                    return;
+                }
+                this.renderWord(wrapper, beforeText, word, afterText, active);
+            }, this.options.syllableMs / this.engine.options.rate);
+        }
+    }
+
+    /**
+     * Fill the highlight wrapper for the current mode
+     */
+    renderWord(wrapper, beforeText, word, afterText, activeSyllable) {
+        if (this.options.mode !== 'syllable') {
+            wrapper.innerHTML = `${this.escapeHtml(beforeText)}<span class="${this.options.highlightClass}">${this.escapeHtml(word)}</span>${this.escapeHtml(afterText)}`;
+            return;
+        }
+
+        // Every word split into coloured syllables; the spoken one highlighted
+        const split = text => text.split(/(\s+)/).map(part => (/\S/.test(part) ? this.syllableHtml(part) : part)).join('');
+        wrapper.innerHTML = `${split(beforeText)}<span class="${this.options.highlightClass}">${this.syllableHtml(word, activeSyllable)}</span>${split(afterText)}`;
     }
 
     /**
      * Clear current highlight
      */
     clearHighlight() {
-        const current = this.textNodes[this.currentIndex];
+        if (this.syllableTimer) {
+            clearInterval(this.syllableTimer);
+            this.syllableTimer = null;
+        }
+
+        const current = this.sentences[this.currentIndex];
         if (current && current.replaced) {
             const { wrapper, originalNode } = current.replaced;
             if (wrapper.parentNode) {
@@ -386,6 +779,7 @@ class TTSReader {
      * Pause reading
      */
     pause() {
+        this.paused = true;
         this.engine.pause();
     }
 
@@ -393,18 +787,23 @@ class TTSReader {
      * Resume reading
      */
     resume() {
+        this.paused = false;
         this.engine.resume();
     }
 
     /**
-     * Stop reading
+     * Stop reading (the position is kept for the next start)
      */
     stop() {
+        this.reading = false;
+        this.paused = false;
+        this.playId++;
         this.engine.stop();
         this.clearHighlight();
+        this.container.classList.remove(this.options.focusClass);
         
         // Remove all sentence highlights
-        this.textNodes.forEach(({ parent }) => {
+        this.sentences.forEach(({ parent }) => {
             parent.classList.remove(this.options.sentenceHighlightClass);
         });
     }
@@ -413,10 +812,13 @@ class TTSReader {
      * Toggle play/pause
      */
     toggle() {
-        if (!this.engine.isPlaying && !this.engine.isPaused) {
+        const { isPlaying, isPaused } = this.getStatus();
+        if (!isPlaying && !isPaused) {
             this.start();
+        } else if (isPaused) {
+            this.resume();
         } else {
-            this.engine.toggle();
+            this.pause();
         }
     }
 
@@ -425,14 +827,33 @@ class TTSReader {
      */
     getStatus() {
         return {
-            isPlaying: this.engine.isPlaying,
-            isPaused: this.engine.isPaused,
-            progress: this.textNodes.length > 0 
-                ? (this.currentIndex / this.textNodes.length) * 100 
-                : 0
+            // Focus mode is still reading in the gaps between words
+            isPlaying: this.engine.isPlaying || (this.reading && !this.paused),
+            isPaused: this.engine.isPaused || this.paused,
+            progress: this.sentences.length > 0 
+                ? (this.currentIndex / this.sentences.length) * 100 
+                : 0,
+            sentence: this.currentIndex + 1,
+            sentences: this.sentences.length
         };
     }
 
+    /**
+     * Set highlight mode
+     * @param {string} mode - 'word' or 'syllable'
+     */
+    setMode(mode) {
+        this.options.mode = mode === 'syllable' ? 'syllable' : 'word';
+    }
+
+    /**
+     * Turn focus mode on or off (takes effect from the next start)
+     * @param {boolean} enabled
+     */
+    setFocusMode(enabled) {
+        this.options.focusMode = !!enabled;
+    }
+
     /**
      * Set reading speed
      */
@@ -480,6 +901,19 @@ class TTSControls {
                 <button class="tts-btn tts-stop-btn" aria-label="Stop">
                     <i class="fa-solid fa-stop"></i>
                 </button>
+                <button class="tts-btn tts-prev-btn" aria-label="Previous sentence">
+                    <i class="fa-solid fa-backward-step"></i>
+                </button>
+                <button class="tts-btn tts-repeat-btn" aria-label="Repeat sentence">
+                    <i class="fa-solid fa-rotate-left"></i>
+                </button>
+                <button class="tts-btn tts-next-btn" aria-label="Next sentence">
+                    <i class="fa-solid fa-forward-step"></i>
+                </button>
+                <button class="tts-btn tts-restart-btn" aria-label="Start over">
+                    <i class="fa-solid fa-backward-fast"></i>
+                </button>
+                <span class="tts-position" aria-live="polite"></span>
                 <div class="tts-speed-control">
                     <label class="tts-speed-label">Speed</label>
                     <input type="range" class="tts-speed-slider" min="0.5" max="2" step="0.1" value="0.9">
@@ -488,6 +922,13 @@ class TTSControls {
                 <select class="tts-voice-select form-select" style="width: auto; min-height: auto;">
                     <option value="">Default Voice</option>
                 </select>
+                <select class="tts-mode-select form-select" style="width: auto; min-height: auto;" aria-label="Highlight">
+                    <option value="word">Highlight words</option>
+                    <option value="syllable">Highlight syllables</option>
+                </select>
+                <button class="tts-btn tts-focus-btn" aria-label="Focus: one word at a time" aria-pressed="false">
+                    <i class="fa-solid fa-eye"></i>
+                </button>
             </div>
         `;
 
@@ -509,6 +950,22 @@ class TTSControls {
         const speedSlider = this.container.querySelector('.tts-speed-slider');
         const speedValue = this.container.querySelector('.tts-speed-value');
         const voiceSelect = this.container.querySelector('.tts-voice-select');
+        const modeSelect = this.container.querySelector('.tts-mode-select');
+        const focusBtn = this.container.querySelector('.tts-focus-btn');
+
+        const showProfile = (profile) => {
+            speedSlider.value = profile.rate;
+            speedValue.textContent = `${profile.rate}x`;
+            if (profile.voice && voiceSelect.querySelector(`option[value="${CSS.escape(profile.voice)}"]`)) {
+                voiceSelect.value = profile.voice;
+            }
+        };
+        showProfile(TTSProfile.load());
+        window.addEventListener(TTSProfile.EVENT, (e) => showProfile(e.detail));
+
+        modeSelect.value = this.reader.options.mode;
+        focusBtn.setAttribute('aria-pressed', String(this.reader.options.focusMode));
+        focusBtn.classList.toggle('active', this.reader.options.focusMode);
 
         playBtn.addEventListener('click', () => {
             this.reader.toggle();
@@ -525,16 +982,44 @@ class TTSControls {
             this.updateButtons();
         });
 
+        this.container.querySelector('.tts-prev-btn').addEventListener('click', () => this.reader.previous());
+        this.container.querySelector('.tts-repeat-btn').addEventListener('click', () => this.reader.repeat());
+        this.container.querySelector('.tts-next-btn').addEventListener('click', () => this.reader.next());
+        this.container.querySelector('.tts-restart-btn').addEventListener('click', () => {
+            this.reader.restart();
+            this.updateButtons();
+        });
+
         speedSlider.addEventListener('input', (e) => {
             const speed = parseFloat(e.target.value);
             this.reader.setSpeed(speed);
             speedValue.textContent = `${speed}x`;
         });
 
+        // Remember speed and voice in the user's voice profile
+        speedSlider.addEventListener('change', (e) => {
+            TTSProfile.save({ rate: parseFloat(e.target.value) });
+        });
+
         voiceSelect.addEventListener('change', (e) => {
             if (e.target.value) {
                 this.reader.setVoice(e.target.value);
             }
+            // A voice for another language only applies to this reader
+            if (this.reader.options.lang === TTSProfile.LANG) {
+                TTSProfile.save({ voice: e.target.value || null });
+            }
+        });
+
+        modeSelect.addEventListener('change', (e) => {
+            this.reader.setMode(e.target.value);
+        });
+
+        focusBtn.addEventListener('click', () => {
+            const enabled = !this.reader.options.focusMode;
+            this.reader.setFocusMode(enabled);
+            focusBtn.setAttribute('aria-pressed', String(enabled));
+            focusBtn.classList.toggle('active', enabled);
         });
 
         // Poll for status updates
@@ -542,9 +1027,16 @@ class TTSControls {
     }
 
     updateButtons() {
-        const { isPlaying, isPaused } = this.reader.getStatus();
+        const { isPlaying, isPaused, sentence, sentences } = this.reader.getStatus();
         const playBtn = this.container.querySelector('.tts-play-btn');
         const pauseBtn = this.container.querySelector('.tts-pause-btn');
+        const position = this.container.querySelector('.tts-position');
+
+        // Before the first start, show where reading will pick up
+        const saved = sentences ? null : this.reader.getSavedPosition();
+        position.textContent = sentences
+            ? `Sentence ${sentence} of ${sentences}`
+            : saved ? `Continue from sentence ${saved.index + 1}` : '';
 
         if (isPlaying && !isPaused) {
             playBtn.classList.add('hidden');
@@ -568,6 +1060,8 @@ function speak(text, options = {}) {
         simpleEngine = new TTSEngine();
     }
 
+    // Options only change this call; otherwise the user's voice profile is used
+    simpleEngine.applyProfile(TTSProfile.load());
     if (options.rate) simpleEngine.setRate(options.rate);
     if (options.pitch) simpleEngine.setPitch(options.pitch);
     if (options.voice) simpleEngine.setVoice(options.voice);
@@ -622,8 +1116,11 @@ window.CognoTTS = {
     cancel: cancelSpeaking,
     isSpeaking,
     isPaused,
-    isSupported: TTSEngine.isSupported
+    isSupported: TTSEngine.isSupported,
+    profile: TTSProfile
 };
 
+TTSProfile.sync();
+
 // Log initialization
 console.log('🔊 Cogno TTS initialized');
@@ -0,0 +1,416 @@
+/**
+ * COGNO SOLUTION - Video Call
+ * Peer-to-peer WebRTC call between the doctor and patient booked on a consultation.
+ * Offers, answers and ICE candidates travel over the consultation's
+ * ConsultationRoom broadcast channel (js/realtime.js); audio and video go
+ * directly between the two browsers.
+ *
+ * Only the consultation's doctor_id and patient_id may join, and the room
+ * ignores presence and signals from anyone else. The doctor always makes the
+ * offer, so the two sides never offer at the same time.
+ *
+ * Signals: { from, to, type, data }
+ *   hello     - "I'm here"; the doctor answers with an offer, the patient with hello
+ *   offer     - { session, description } from the doctor (also sent for ICE restarts)
+ *   answer    - { session, description } from the patient
+ *   candidate - { session, candidate }
+ *   bye       - hung up
+ * Every new peer connection gets a new session id, so late messages for an
+ * old connection are dropped.
+ *
+ * Usage:
+ *   const consultation = await CognoVideoCall.findConsultation({ id, room });
+ *   if (!CognoVideoCall.canJoin(consultation, user.id)) return;
+ *   const call = new VideoCall(consultation, user, { onRemoteStream, onStateChange });
+ *   await call.start(localStream);
+ */
+
+const CognoVideoCall = {
+    // STUN only finds public addresses; add a TURN server for strict networks
+    ICE_SERVERS: [{ urls: 'stun:stun.l.google.com:19302' }],
+
+    // A dropped connection gets this long to recover before an ICE restart
+    RECONNECT_DELAY_MS: 3000,
+    MAX_RECONNECTS: 5,
+
+    CLOSED_STATUSES: ['cancelled', 'completed', 'no_show'],
+
+    /**
+     * Load the consultation a call link points at
+     * @param {Object} link
+     * @param {string} [link.id] - consultations.id
+     * @param {string} [link.room] - consultations.meeting_id
+     * @returns {Promise<Object|null>}
+     */
+    async findConsultation({ id = null, room = null } = {}) {
+        if (!id && !room) return null;
+
+        let query = CognoSupabase.client
+            .from('consultations')
+            .select(`
+                *,
+                doctor:doctor_id(full_name, avatar_url),
+                patient:patient_id(full_name, avatar_url)
+            `);
+        query = id ? query.eq('id', id) : query.eq('meeting_id', room);
+
+        const { data, error } = await query.maybeSingle();
+        if (error) {
+            console.error('CognoVideoCall: Failed to load consultation:', error);
+            return null;
+        }
+        return data;
+    },
+
+    /**
+     * Whether a user may join a consultation's call
+     * @param {Object|null} consultation
+     * @param {string} userId
+     */
+    canJoin(consultation, userId) {
+        if (!consultation || !userId) return false;
+        if (this.CLOSED_STATUSES.includes(consultation.status)) return false;
+        return consultation.doctor_id === userId || consultation.patient_id === userId;
+    }
+};
+
+// =========================================================
+// VIDEO CALL CLASS
+// =========================================================
+
+class VideoCall {
+    /**
+     * @param {Object} consultation - consultations row (doctor_id, patient_id)
+     * @param {Object} user - Current profile (id, full_name, role)
+     * @param {Object} [options]
+     * @param {Array} [options.iceServers] - Defaults to CognoVideoCall.ICE_SERVERS
+     * @param {Function} [options.onRemoteStream] - Called with the other side's MediaStream
+     * @param {Function} [options.onStateChange] - Called with waiting, connecting, connected, reconnecting or ended
+     * @param {Function} [options.onPeerStatus] - Called with the other side's { audio, video, screen }
+     * @param {Function} [options.onMessage] - Called with chat messages (ConsultationRoom payload)
+     */
+    constructor(consultation, user, options = {}) {
+        this.consultation = consultation;
+        this.user = user;
+        this.options = {
+            iceServers: CognoVideoCall.ICE_SERVERS,
+            onRemoteStream: null,
+            onStateChange: null,
+            onPeerStatus: null,
+            onMessage: null,
+            ...options
+        };
+
+        this.isDoctor = user.id === consultation.doctor_id;
+        this.peerId = this.isDoctor ? consultation.patient_id : consultation.doctor_id;
+
+        this.room = null;
+        this.pc = null;
+        this.session = null;
+        this.videoSender = null;
+        this.localStream = null;
+        this.cameraTrack = null;
+        this.screenTrack = null;
+        this.pendingCandidates = [];
+        this.state = 'waiting';
+        this.reconnectTimer = null;
+        this.reconnects = 0;
+        this.status = { audio: true, video: true, screen: false };
+        this.handleOnline = () => this.sendHello();
+    }
+
+    /**
+     * Join the consultation room and call the other side when they are there
+     * @param {MediaStream} localStream - Camera and microphone
+     */
+    async start(localStream) {
+        this.localStream = localStream;
+        this.cameraTrack = localStream.getVideoTracks()[0] || null;
+
+        this.room = new ConsultationRoom(this.consultation.id, this.user.id, {
+            allowedUserIds: [this.consultation.doctor_id, this.consultation.patient_id]
+        });
+        this.room.onSignal = (signal) => this.handleSignal(signal);
+        this.room.onConnected = () => this.sendHello();
+        this.room.onParticipantLeft = (participant) => {
+            if (participant.user_id === this.peerId) this.peerGone();
+        };
+        this.room.onStatusChanged = (status) => this.options.onPeerStatus?.(status);
+        this.room.onMessageReceived = (message) => this.options.onMessage?.(message);
+
+        window.addEventListener('online', this.handleOnline);
+        this.setState('waiting');
+        await this.room.join({ name: this.user.full_name, role: this.user.role });
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        this.options.onStateChange?.(state);
+    }
+
+    sendHello() {
+        if (this.state === 'ended') return;
+        this.room?.sendSignal(this.peerId, 'hello');
+    }
+
+    /**
+     * Handle a signalling message from the other side
+     */
+    async handleSignal({ type, data }) {
+        if (this.state === 'ended') return;
+
+        try {
+            switch (type) {
+                case 'hello':
+                    // The doctor calls; the patient says hello back so a doctor who arrived later calls
+                    if (this.isDoctor) await this.makeOffer();
+                    else this.room.sendSignal(this.peerId, 'hello');
+                    break;
+                case 'offer':
+                    await this.acceptOffer(data);
+                    break;
+                case 'answer':
+                    if (data.session === this.session && this.pc?.signalingState === 'have-local-offer') {
+                        await this.pc.setRemoteDescription(data.description);
+                        await this.flushCandidates();
+                    }
+                    break;
+                case 'candidate':
+                    if (data.session === this.session && this.pc?.remoteDescription) {
+                        await this.pc.addIceCandidate(data.candidate);
+                    } else {
+                        this.pendingCandidates.push(data);
+                    }
+                    break;
+                case 'bye':
+                    this.peerGone();
+                    break;
+            }
+        } catch (error) {
+            console.error(`VideoCall: Failed to handle ${type}:`, error);
+        }
+    }
+
+    /**
+     * New peer connection carrying our camera (or screen) and microphone
+     * @param {string} session - Session id shared by both sides
+     */
+    createPeerConnection(session) {
+        this.closePeerConnection();
+
+        const pc = new RTCPeerConnection({ iceServers: this.options.iceServers });
+        this.pc = pc;
+        this.session = session;
+        this.pendingCandidates = this.pendingCandidates.filter(pending => pending.session === session);
+
+        const audioTrack = this.localStream.getAudioTracks()[0];
+        const videoTrack = this.screenTrack || this.cameraTrack;
+        if (audioTrack) pc.addTrack(audioTrack, this.localStream);
+        this.videoSender = videoTrack ? pc.addTrack(videoTrack, this.localStream) : null;
+
+        // Still receive the other side's media when we have no camera or microphone
+        if (!audioTrack) pc.addTransceiver('audio', { direction: 'recvonly' });
+        if (!videoTrack) pc.addTransceiver('video', { direction: 'recvonly' });
+
+        pc.onicecandidate = ({ candidate }) => {
+            if (candidate) this.room.sendSignal(this.peerId, 'candidate', { session, candidate: candidate.toJSON() });
+        };
+
+        pc.ontrack = ({ streams }) => {
+            if (streams[0]) this.options.onRemoteStream?.(streams[0]);
+        };
+
+        pc.onconnectionstatechange = () => {
+            if (pc !== this.pc) return;
+            switch (pc.connectionState) {
+                case 'connected':
+                    clearTimeout(this.reconnectTimer);
+                    this.reconnects = 0;
+                    this.setState('connected');
+                    this.room.updateStatus(this.status);
+                    break;
+                case 'disconnected':
+                    this.scheduleReconnect(CognoVideoCall.RECONNECT_DELAY_MS);
+                    break;
+                case 'failed':
+                    this.scheduleReconnect(0);
+                    break;
+            }
+        };
+
+        this.setState('connecting');
+        return pc;
+    }
+
+    /**
+     * Doctor: offer a new connection, or restart ICE on the current one
+     */
+    async makeOffer({ iceRestart = false } = {}) {
+        const pc = iceRestart && this.pc
+            ? this.pc
+            : this.createPeerConnection(`${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`);
+        const session = this.session;
+
+        const offer = await pc.createOffer({ iceRestart });
+        await pc.setLocalDescription(offer);
+        await this.room.sendSignal(this.peerId, 'offer', { session, description: pc.localDescription.toJSON() });
+    }
+
+    /**
+     * Patient: answer the doctor's offer (a new session means a new connection)
+     */
+    async acceptOffer({ session, description }) {
+        const pc = this.pc && session === this.session ? this.pc : this.createPeerConnection(session);
+
+        await pc.setRemoteDescription(description);
+        await this.flushCandidates();
+        const answer = await pc.createAnswer();
+        await pc.setLocalDescription(answer);
+        await this.room.sendSignal(this.peerId, 'answer', { session, description: pc.localDescription.toJSON() });
+    }
+
+    /**
+     * Add ICE candidates that arrived before the session description
+     */
+    async flushCandidates() {
+        const pending = this.pendingCandidates.filter(p => p.session === this.session);
+        this.pendingCandidates = this.pendingCandidates.filter(p => p.session !== this.session);
+        for (const { candidate } of pending) {
+            await this.pc.addIceCandidate(candidate);
+        }
+    }
+
+    /**
+     * Try to recover a dropped connection: the doctor restarts ICE, the patient asks for it
+     * @param {number} delay - Give the connection this long to come back by itself
+     */
+    scheduleReconnect(delay) {
+        clearTimeout(this.reconnectTimer);
+        this.setState('reconnecting');
+
+        this.reconnectTimer = setTimeout(async () => {
+            if (!this.pc || this.pc.connectionState === 'connected' || this.state === 'ended') return;
+
+            this.reconnects++;
+            if (this.reconnects > CognoVideoCall.MAX_RECONNECTS) {
+                // Start over once the other side says hello again
+                this.closePeerConnection();
+                this.setState('waiting');
+                return;
+            }
+
+            try {
+                if (this.isDoctor) await this.makeOffer({ iceRestart: true });
+                else this.sendHello();
+            } catch (error) {
+                console.error('VideoCall: Reconnect failed:', error);
+            }
+            this.scheduleReconnect(CognoVideoCall.RECONNECT_DELAY_MS * 2);
+        }, delay);
+    }
+
+    peerGone() {
+        clearTimeout(this.reconnectTimer);
+        this.closePeerConnection();
+        this.options.onRemoteStream?.(null);
+        if (this.state !== 'ended') this.setState('waiting');
+    }
+
+    closePeerConnection() {
+        if (!this.pc) return;
+        this.pc.onicecandidate = null;
+        this.pc.ontrack = null;
+        this.pc.onconnectionstatechange = null;
+        this.pc.close();
+        this.pc = null;
+        this.session = null;
+        this.videoSender = null;
+    }
+
+    /**
+     * Mute or unmute the microphone
+     * @returns {boolean} Whether audio is now on
+     */
+    toggleAudio() {
+        this.status.audio = !this.status.audio;
+        this.localStream.getAudioTracks().forEach(track => { track.enabled = this.status.audio; });
+        this.room?.updateStatus(this.status);
+        return this.status.audio;
+    }
+
+    /**
+     * Turn the camera on or off
+     * @returns {boolean} Whether video is now on
+     */
+    toggleVideo() {
+        this.status.video = !this.status.video;
+        if (this.cameraTrack) this.cameraTrack.enabled = this.status.video;
+        this.room?.updateStatus(this.status);
+        return this.status.video;
+    }
+
+    /**
+     * Send the screen instead of the camera, or switch back
+     * @returns {Promise<boolean>} Whether the screen is now shared
+     */
+    async toggleScreenShare() {
+        if (this.screenTrack) {
+            await this.stopScreenShare();
+            return false;
+        }
+
+        const screen = await navigator.mediaDevices.getDisplayMedia({ video: true });
+        this.screenTrack = screen.getVideoTracks()[0];
+        this.screenTrack.onended = () => this.stopScreenShare();
+        await this.replaceVideoTrack(this.screenTrack);
+
+        this.status.screen = true;
+        this.room?.updateStatus(this.status);
+        return true;
+    }
+
+    async stopScreenShare() {
+        if (!this.screenTrack) return;
+        this.screenTrack.onended = null;
+        this.screenTrack.stop();
+        this.screenTrack = null;
+        await this.replaceVideoTrack(this.cameraTrack);
+
+        this.status.screen = false;
+        this.room?.updateStatus(this.status);
+    }
+
+    async replaceVideoTrack(track) {
+        if (this.videoSender) await this.videoSender.replaceTrack(track);
+    }
+
+    /**
+     * Send a chat message to the other side (also saved to consultation_messages)
+     */
+    sendMessage(message) {
+        return this.room?.sendMessage(message);
+    }
+
+    /**
+     * Hang up and release the camera, microphone and channel
+     */
+    async hangUp() {
+        if (this.state === 'ended') return;
+
+        await this.room?.sendSignal(this.peerId, 'bye');
+        this.setState('ended');
+        clearTimeout(this.reconnectTimer);
+        window.removeEventListener('online', this.handleOnline);
+
+        this.closePeerConnection();
+        this.screenTrack?.stop();
+        this.localStream?.getTracks().forEach(track => track.stop());
+        await this.room?.leave();
+        this.room = null;
+    }
+}
+
+// Make globally available
+window.CognoVideoCall = CognoVideoCall;
+window.VideoCall = VideoCall;
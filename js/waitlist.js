@@ -0,0 +1,175 @@
+/**
+ * COGNO SOLUTION - Consultation Waitlist
+ * Families wait for a doctor (or any doctor) over a range of dates. When a
+ * consultation is cancelled, the freed slot is offered to the family that has
+ * waited longest, with a claim link that expires.
+ *
+ * Entries are consultation_waitlist rows:
+ *   family_id, doctor_id      - doctor_id null means any doctor
+ *   date_from, date_to        - YYYY-MM-DD, in the family's timezone
+ *   timezone                  - IANA zone the dates are in
+ *   status                    - waiting | offered | booked | expired | cancelled
+ *   offer_token               - secret in the claim link while status is offered
+ *   offer_slot                - { doctor_id, start, duration_minutes, cancelled_id, passed }
+ *   offer_expires_at          - when an unclaimed offer moves to the next family
+ *   consultation_id           - the consultation booked from the offer
+ *
+ * Families only see and add their own entries. Offering, passing offers on and
+ * notifying the next family happen in the database
+ * (supabase/migrations/20261018120300_consultation_waitlist.sql): a trigger
+ * offers the slot when a consultation is cancelled, and a pg_cron job moves
+ * lapsed offers on. Leaving, claiming and declining go through RPCs there.
+ *
+ * Usage:
+ *   await CognoWaitlist.join({ familyId, doctorId, dateFrom, dateTo });
+ *   const { data, error } = await CognoWaitlist.claim(token, { reason });
+ */
+
+const CognoWaitlist = {
+    TABLE: 'consultation_waitlist',
+
+    // Longest date range a family can wait for
+    MAX_RANGE_DAYS: 60,
+
+    OPEN_STATUSES: ['waiting', 'offered'],
+
+    // =========================================================
+    // FAMILY ENTRIES
+    // =========================================================
+
+    /**
+     * Join the waitlist
+     * @param {Object} entry
+     * @param {string} entry.familyId
+     * @param {string|null} entry.doctorId - null for any doctor
+     * @param {string} entry.dateFrom - YYYY-MM-DD
+     * @param {string} entry.dateTo - YYYY-MM-DD
+     * @param {string} [entry.timeZone] - Zone the dates are in (the viewer's by default)
+     * @returns {Promise<Object>} The new entry
+     */
+    async join({ familyId, doctorId = null, dateFrom, dateTo, timeZone = CognoAvailability.viewerTimezone() }) {
+        if (!dateFrom || !dateTo || dateTo < dateFrom) {
+            throw new Error('Choose a date range to wait for.');
+        }
+        if (dateTo < CognoAvailability.dayKey(new Date(), timeZone)) {
+            throw new Error('That date range has already passed.');
+        }
+        if (CognoAvailability.addDays(dateFrom, this.MAX_RANGE_DAYS) < dateTo) {
+            throw new Error(`Choose a range of up to ${this.MAX_RANGE_DAYS} days.`);
+        }
+
+        let query = CognoSupabase.client
+            .from(this.TABLE)
+            .select('id')
+            .eq('family_id', familyId)
+            .in('status', this.OPEN_STATUSES)
+            .lte('date_from', dateTo)
+            .gte('date_to', dateFrom);
+        query = doctorId ? query.eq('doctor_id', doctorId) : query.is('doctor_id', null);
+        const { data: existing, error: existingError } = await query.limit(1);
+        if (existingError) throw existingError;
+        if (existing?.length) throw new Error('You are already on the waitlist for these dates.');
+
+        const now = new Date().toISOString();
+        const { data, error } = await CognoSupabase.client
+            .from(this.TABLE)
+            .insert({
+                family_id: familyId,
+                doctor_id: doctorId,
+                date_from: dateFrom,
+                date_to: dateTo,
+                timezone: timeZone,
+                status: 'waiting',
+                created_at: now,
+                updated_at: now
+            })
+            .select()
+            .single();
+        if (error) throw error;
+
+        CognoSupabase.logActivity?.('waitlist_joined', { waitlist_id: data.id, doctor_id: doctorId });
+        return data;
+    },
+
+    /**
+     * Leave the waitlist. An open offer is passed on to the next family.
+     * @param {string} id - Entry id
+     */
+    async leave(id) {
+        const { error } = await CognoSupabase.client.rpc('leave_waitlist', { p_id: id });
+        if (error) throw error;
+    },
+
+    /**
+     * A family's open entries, with the doctor joined
+     */
+    async listForFamily(familyId) {
+        const { data, error } = await CognoSupabase.client
+            .from(this.TABLE)
+            .select(`
+                *,
+                doctor:doctor_id(id, full_name, display_name)
+            `)
+            .eq('family_id', familyId)
+            .in('status', this.OPEN_STATUSES)
+            .order('created_at', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    },
+
+    // =========================================================
+    // OFFERS
+    // =========================================================
+
+    /**
+     * The open offer behind a claim link
+     * @param {string} token
+     * @param {string} familyId - Signed-in family; links only work for the family they were sent to
+     * @returns {Promise<Object|null>}
+     */
+    async getOffer(token, familyId) {
+        const { data, error } = await CognoSupabase.client
+            .from(this.TABLE)
+            .select(`
+                *,
+                doctor:doctor_id(id, full_name, display_name)
+            `)
+            .eq('offer_token', token)
+            .eq('family_id', familyId)
+            .eq('status', 'offered')
+            .maybeSingle();
+        if (error) throw error;
+        if (!data || new Date(data.offer_expires_at) <= new Date()) return null;
+        return data;
+    },
+
+    /**
+     * Book the offered slot
+     * @param {string} token
+     * @param {Object} [details] - { reason }
+     * @returns {Promise<{ data: Object|null, error: Error|null }>} data is the consultation
+     */
+    async claim(token, { reason = null } = {}) {
+        const { data, error } = await CognoSupabase.client
+            .rpc('claim_waitlist_offer', { p_token: token, p_reason: reason })
+            .maybeSingle();
+        if (error) return { data: null, error: CognoAvailability.toConflict(error) };
+
+        // Taken by someone else; the family keeps waiting for the next one
+        if (!data) return { data: null, error: CognoAvailability.conflictError() };
+
+        CognoSupabase.logActivity?.('waitlist_claimed', { consultation_id: data.id });
+        return { data, error: null };
+    },
+
+    /**
+     * Turn an offer down; the family stays on the waitlist
+     */
+    async decline(token) {
+        const { error } = await CognoSupabase.client.rpc('decline_waitlist_offer', { p_token: token });
+        if (error) throw error;
+    }
+};
+
+// Make globally available
+window.CognoWaitlist = CognoWaitlist;
@@ -11,83 +11,23 @@ const CognoModules = {
     user: null,
     moduleProgress: null,
 
-    // Module configuration
-    moduleConfig: {
-        dyslexia: {
-            name: 'Reading & Words',
-            color: 'var(--color-dyslexia)',
-            icon: 'fa-book-open',
-            activities: [
-                { id: 'text-reader', name: 'Text Reader', path: 'reader.html' },
-                { id: 'text-simplifier', name: 'Text Simplifier', path: 'simplify.html' },
-                { id: 'letter-match', name: 'Letter Match', path: 'letter-match.html' },
-                { id: 'word-builder', name: 'Word Builder', path: 'word-builder.html' },
-                { id: 'sight-words', name: 'Sight Words', path: 'sight-words.html' },
-                { id: 'rhyme-time', name: 'Rhyme Time', path: 'rhyme-time.html' },
-                { id: 'spelling-bee', name: 'Spelling Bee', path: 'spelling-bee.html' },
-                { id: 'word-scramble', name: 'Word Scramble', path: 'word-scramble.html' }
-            ]
-        },
-        dyscalculia: {
-            name: 'Numbers & Math',
-            color: 'var(--color-dyscalculia)',
-            icon: 'fa-calculator',
-            activities: [
-                { id: 'number-line', name: 'Number Line', path: 'number-line.html' },
-                { id: 'counting', name: 'Counting Practice', path: 'counting.html' },
-                { id: 'number-match', name: 'Number Match', path: 'number-match.html' },
-                { id: 'addition', name: 'Addition', path: 'addition.html' },
-                { id: 'subtraction', name: 'Subtraction', path: 'subtraction.html' },
-                { id: 'multiplication', name: 'Multiplication', path: 'multiplication.html' },
-                { id: 'division', name: 'Division', path: 'division.html' },
-                { id: 'math-pop', name: 'Math Pop', path: 'math-pop.html' },
-                { id: 'number-puzzle', name: 'Number Puzzles', path: 'number-puzzle.html' }
-            ]
-        },
-        dysgraphia: {
-            name: 'Writing Practice',
-            color: 'var(--color-dysgraphia)',
-            icon: 'fa-pen',
-            activities: [
-                { id: 'letter-tracing', name: 'Letter Tracing', path: 'letter-tracing.html' },
-                { id: 'letter-formation', name: 'Letter Formation', path: 'letter-formation.html' },
-                { id: 'alphabet-practice', name: 'Alphabet Practice', path: 'alphabet-practice.html' },
-                { id: 'word-tracing', name: 'Word Tracing', path: 'word-tracing.html' },
-                { id: 'spelling-write', name: 'Spelling Write', path: 'spelling-write.html' },
-                { id: 'copy-practice', name: 'Copy Practice', path: 'copy-practice.html' },
-                { id: 'free-draw', name: 'Free Draw', path: 'free-draw.html' },
-                { id: 'shape-tracing', name: 'Shape Tracing', path: 'shape-tracing.html' },
-                { id: 'sentence-write', name: 'Sentence Writing', path: 'sentence-write.html' }
-            ]
-        },
-        dyspraxia: {
-            name: 'Movement Games',
-            color: 'var(--color-dyspraxia)',
-            icon: 'fa-person-running',
-            requiresCamera: true,
-            activities: [
-                { id: 'balloon-pop', name: 'Balloon Pop', path: 'balloon-pop.html', camera: true },
-                { id: 'catch-stars', name: 'Catch the Stars', path: 'catch-stars.html', camera: true },
-                { id: 'mirror-me', name: 'Mirror Me', path: 'mirror-me.html', camera: true },
-                { id: 'freeze-dance', name: 'Freeze Dance', path: 'freeze-dance.html', camera: true },
-                { id: 'body-movement', name: 'Movement Prep', path: 'body-movement.html', camera: false },
-                { id: 'tightrope-walk', name: 'Tightrope Walk', path: 'tightrope-walk.html', camera: true },
-                { id: 'obstacle-course', name: 'Obstacle Course', path: 'obstacle-course.html', camera: true },
-                { id: 'balance-beam', name: 'Balance Beam', path: 'balance-beam.html', camera: true },
-                { id: 'balance', name: 'Balance Master', path: 'balance.html', camera: false },
-                { id: 'finger-tap', name: 'Finger Tap', path: 'finger-tap.html', camera: false },
-                { id: 'drag-drop', name: 'Drag & Drop', path: 'drag-drop.html', camera: false },
-                { id: 'track-path', name: 'Track Path', path: 'track-path.html', camera: false },
-                { id: 'rhythm-tap', name: 'Rhythm Tap', path: 'rhythm-tap.html', camera: false },
-                { id: 'tapping-sequence', name: 'Sequence Tap', path: 'tapping-sequence.html', camera: false },
-                { id: 'hand-exercises', name: 'Hand Exercises', path: 'hand-exercises.html', camera: false },
-                { id: 'mirror-moves', name: 'Mirror Moves', path: 'mirror-moves.html', camera: false },
-                { id: 'click-sequence', name: 'Click Sequence', path: 'click-sequence.html', camera: false },
-                { id: 'catch-objects', name: 'Catch Objects', path: 'catch-objects.html', camera: false },
-                { id: 'drag-targets', name: 'Drag Targets', path: 'drag-targets.html', camera: false }
-            ]
-        }
-    },
+    // Module configuration (derived from js/activity-registry.js)
+    moduleConfig: Object.fromEntries(
+        Object.values(CognoActivityRegistry.modules).map(mod => [mod.id, {
+            name: mod.title,
+            color: mod.cssColor,
+            icon: mod.icon,
+            requiresCamera: mod.requiresCamera,
+            activities: CognoActivityRegistry.getActivities(mod.id).map(activity => ({
+                id: activity.id,
+                name: activity.name,
+                path: activity.path.split('/').pop(),
+                camera: activity.camera,
+                difficulty: activity.difficulty,
+                maxScore: activity.maxScore
+            }))
+        }])
+    ),
 
     /**
      * Initialize module page
@@ -572,15 +512,36 @@ const CognoModules = {
     },
 
     /**
-     * Complete an activity with score
+     * Complete an activity with score. With js/activity-tracker.js loaded the
+     * result is saved once through CognoTracker.saveActivity (progress, history,
+     * trials and achievements); otherwise to activity_progress.
+     * @param {Object} [details] - Extra result data
+     * @param {string} [details.moduleId] - Defaults to the module page's module
+     * @param {string} [details.difficultyLevel] - Difficulty tier the activity was played at
+     * @param {number} [details.level] - Adaptive level the items were picked for
+     * @param {Array<Object>} [details.trials] - Per-item results (see CognoActivity.recordTrial)
      */
-    async completeActivity(activityId, score, maxScore, duration) {
+    async completeActivity(activityId, score, maxScore, duration, details = {}) {
+        const percentage = Math.round((score / maxScore) * 100);
+        const points = this.calculatePoints(percentage, duration);
+
+        // The tracker finds the signed-in user (or guest) itself
+        if (window.CognoTracker) {
+            await CognoTracker.saveActivity({
+                moduleId: details.moduleId || this.currentModule,
+                activityId,
+                score,
+                maxScore,
+                duration,
+                difficultyLevel: details.level,
+                trials: details.trials
+            });
+            return { points, percentage };
+        }
+
         if (!this.user) return;
 
         try {
-            const percentage = Math.round((score / maxScore) * 100);
-            const points = this.calculatePoints(percentage, duration);
-
             // Update activity progress
             const { error } = await CognoSupabase.upsert('activity_progress', {
                 user_id: this.user.id,
@@ -609,6 +570,7 @@ const CognoModules = {
                     maxScore,
                     percentage,
                     duration,
+                    difficulty_level: details.difficultyLevel || null,
                     timestamp: new Date().toISOString()
                 }
             });
@@ -647,47 +609,18 @@ const CognoModules = {
     },
 
     /**
-     * Check for achievement unlocks
+     * Check for achievement unlocks (rules live in js/achievements.js)
      */
     async checkAchievements(activityId, percentage, points) {
-        if (!this.user) return;
-
-        const achievements = [];
-
-        // First time completing this activity
-        if (!this.activityProgress?.[activityId]) {
-            achievements.push({
-                type: 'first_completion',
-                activity_id: activityId,
-                module_type: this.currentModule
-            });
-        }
+        if (!this.user || typeof CognoAchievements === 'undefined') return;
 
-        // Perfect score
-        if (percentage === 100) {
-            achievements.push({
-                type: 'perfect_score',
-                activity_id: activityId,
-                module_type: this.currentModule
+        try {
+            const unlocked = await CognoAchievements.checkAndAward(this.user.id);
+            unlocked.forEach(achievement => {
+                CognoNotifications?.toast?.success(`Achievement Unlocked: ${achievement.title}`);
             });
-        }
-
-        // Unlock achievements
-        for (const achievement of achievements) {
-            try {
-                await CognoSupabase.insert('user_achievements', {
-                    user_id: this.user.id,
-                    achievement_type: achievement.type,
-                    module_type: achievement.module_type,
-                    activity_id: achievement.activity_id,
-                    earned_at: new Date().toISOString()
-                });
-
-                CognoNotifications?.toast?.success(`Achievement Unlocked: ${achievement.type.replace(/_/g, ' ')}`);
-            } catch (error) {
-                // Achievement might already exist
-                console.log('[CognoModules] Achievement check:', error.message);
-            }
+        } catch (error) {
+            console.error('[CognoModules] Achievement check failed:', error);
         }
     },
 
@@ -743,6 +676,10 @@ class CognoActivity {
         this.score = 0;
         this.maxScore = 100;
         this.isComplete = false;
+        this.level = null;       // Adaptive difficulty level (1-based)
+        this.difficulty = null;  // Tier name for this.level
+        this.trials = [];        // Individual prompt/response results
+        this.trialStartedAt = null;
     }
 
     /**
@@ -752,9 +689,94 @@ class CognoActivity {
         this.startTime = Date.now();
         this.score = 0;
         this.isComplete = false;
+        this.trials = [];
+        this.trialStartedAt = null;
 
+        await this.loadDifficulty();
         await CognoModules.startActivity(this.activityId);
-        console.log(`[CognoActivity] Started: ${this.activityId}`);
+        console.log(`[CognoActivity] Started: ${this.activityId} (${this.difficulty || 'default level'})`);
+    }
+
+    /**
+     * Ask the adaptive engine which level to play at
+     */
+    async loadDifficulty() {
+        if (!window.CognoAdaptive || this.level) return this.level;
+
+        const recommendation = await CognoAdaptive.startSession(
+            this.moduleName,
+            this.activityId,
+            CognoModules.user?.id
+        );
+        this.level = recommendation.level;
+        this.difficulty = recommendation.tier;
+
+        return this.level;
+    }
+
+    /**
+     * Force a difficulty level for this session
+     * @param {number|string} level - Level number or tier name
+     */
+    setLevel(level) {
+        if (!window.CognoAdaptive) return;
+        this.level = CognoAdaptive.setLevel(this.moduleName, this.activityId, level);
+        this.difficulty = CognoAdaptive.toTier(this.level);
+    }
+
+    /**
+     * Pick the item pool for the current level
+     * @param {Object} pools - Items keyed by tier name or level, e.g. { Beginner: [...], Advanced: [...] }
+     * @returns {Array}
+     */
+    getItemPool(pools) {
+        if (!window.CognoAdaptive) return Object.values(pools)[0] || [];
+        return CognoAdaptive.getItemPool(pools, this.level || 1);
+    }
+
+    /**
+     * Mark the moment a prompt is shown, so the next recorded trial gets its latency
+     */
+    presentTrial() {
+        this.trialStartedAt = Date.now();
+    }
+
+    /**
+     * Record one trial (a single prompt and the child's response)
+     * @param {Object} trial
+     * @param {*} trial.prompt - What was asked (letter, word, number, sum...)
+     * @param {*} trial.response - What the child answered
+     * @param {boolean} trial.correct
+     * @param {*} [trial.expected] - Correct answer, when it differs from the prompt
+     * @param {number} [trial.latencyMs] - Defaults to the time since presentTrial()
+     * @param {number} [trial.hintsUsed=0]
+     * @param {Object} [trial.meta] - Extra detail, e.g. the options shown
+     * @returns {Object} The stored trial
+     */
+    recordTrial({ prompt, response, correct, expected = null, latencyMs = null, hintsUsed = 0, meta = {} }) {
+        const now = Date.now();
+        const entry = {
+            index: this.trials.length,
+            prompt,
+            expected: expected ?? prompt,
+            response,
+            correct: !!correct,
+            latencyMs: latencyMs ?? (this.trialStartedAt ? now - this.trialStartedAt : null),
+            hintsUsed,
+            meta,
+            at: new Date(now).toISOString()
+        };
+
+        this.trials.push(entry);
+        this.trialStartedAt = now;
+        return entry;
+    }
+
+    /**
+     * Get the trials recorded this session
+     */
+    getTrials() {
+        return [...this.trials];
     }
 
     /**
@@ -787,7 +809,8 @@ class CognoActivity {
             this.activityId,
             this.score,
             this.maxScore,
-            duration
+            duration,
+            { moduleId: this.moduleName, difficultyLevel: this.difficulty, level: this.level, trials: this.trials }
         );
 
         console.log(`[CognoActivity] Completed: ${this.activityId}`, result);
@@ -0,0 +1,65 @@
+/**
+ * COGNO SOLUTION - Activity Registry Validation
+ * Fails (exit code 1) when a registry entry breaks the schema or when an
+ * activity page exists under modules/<module>/ without a registry entry.
+ *
+ * Usage:
+ *   node scripts/validate-activity-registry.js [siteRoot ...]
+ *
+ * Defaults to the repository root and, when present, the frontend/ copy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const repoRoot = path.resolve(__dirname, '..');
+
+/**
+ * List activity pages per module, skipping module index pages
+ * @param {string} siteRoot - Directory containing modules/
+ * @param {string[]} moduleIds - Module keys to scan
+ * @returns {Object<string, string[]>}
+ */
+function listActivityPages(siteRoot, moduleIds) {
+    const pages = {};
+    moduleIds.forEach(moduleId => {
+        const dir = path.join(siteRoot, 'modules', moduleId);
+        pages[moduleId] = fs.existsSync(dir)
+            ? fs.readdirSync(dir).filter(file => file.endsWith('.html') && file !== 'index.html')
+            : [];
+    });
+    return pages;
+}
+
+function main() {
+    const roots = process.argv.slice(2).length > 0
+        ? process.argv.slice(2).map(root => path.resolve(root))
+        : [repoRoot, path.join(repoRoot, 'frontend')].filter(root => fs.existsSync(root));
+
+    let failed = false;
+
+    roots.forEach(root => {
+        const registryPath = path.join(root, 'js', 'activity-registry.js');
+        if (!fs.existsSync(registryPath)) {
+            console.error(`✗ ${root}: js/activity-registry.js not found`);
+            failed = true;
+            return;
+        }
+
+        const registry = require(registryPath);
+        const pages = listActivityPages(root, Object.keys(registry.modules));
+        const { valid, errors } = registry.validate(pages);
+
+        if (valid) {
+            console.log(`✓ ${path.relative(repoRoot, root) || '.'}: ${registry.activities.length} activities registered`);
+        } else {
+            failed = true;
+            console.error(`✗ ${path.relative(repoRoot, root) || '.'}: ${errors.length} problem(s)`);
+            errors.forEach(error => console.error(`  - ${error}`));
+        }
+    });
+
+    process.exit(failed ? 1 : 0);
+}
+
+main();
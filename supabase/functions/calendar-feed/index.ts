@@ -0,0 +1,239 @@
+// =========================================================
+// COGNO SOLUTION - Calendar Feed (Supabase Edge Function)
+// Serves a user's consultations as an iCalendar feed that calendar apps
+// subscribe to:
+//
+//   GET {SUPABASE_URL}/functions/v1/calendar-feed/<token>.ics
+//
+// The token is the secret (calendar_feeds.token, created and reset by
+// js/calendar-export.js). Calendar apps can't sign in, so the function is
+// deployed without JWT verification and reads with the service role key:
+//
+//   supabase functions deploy calendar-feed --no-verify-jwt
+//   supabase secrets set SITE_URL=https://<site>
+//
+// SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are provided by Supabase.
+// Events match CognoCalendar.buildCalendar() in js/calendar-export.js (same
+// UID, SEQUENCE and STATUS rules), so downloaded events and feed events
+// update each other. Keep the two in step.
+// =========================================================
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+
+const PRODID = '-//Cogno Solution//Consultations//EN';
+const CALENDAR_NAME = 'Cogno Consultations';
+
+// Past consultations kept in the feed, so recent cancellations still reach calendars
+const FEED_PAST_DAYS = 30;
+
+const CANCELLED_STATUSES = ['cancelled'];
+const TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+
+const SITE_URL = Deno.env.get('SITE_URL') ?? '';
+
+const supabase = createClient(
+    Deno.env.get('SUPABASE_URL')!,
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+    { auth: { persistSession: false } }
+);
+
+type Profile = { full_name?: string | null; display_name?: string | null } | null;
+
+type Consultation = {
+    id: string;
+    doctor_id: string;
+    patient_id: string;
+    scheduled_at: string;
+    duration_minutes: number | null;
+    status: string;
+    reason: string | null;
+    meeting_url: string | null;
+    created_at: string | null;
+    updated_at: string | null;
+    doctor: Profile;
+    patient: Profile;
+};
+
+// =========================================================
+// ICS FORMAT
+// =========================================================
+
+/**
+ * Escape TEXT values (RFC 5545 3.3.11)
+ */
+function escape(text: string | null | undefined): string {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets
+ */
+function fold(line: string): string {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+
+    const parts: string[] = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const length = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards their 75
+        if (size + length > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += length;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * UTC date-time, e.g. 20260302T093000Z
+ */
+function formatDate(date: string | number | Date): string {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function sequence(consultation: Consultation): number {
+    if (!consultation.updated_at || !consultation.created_at) return 0;
+    const seconds = (new Date(consultation.updated_at).getTime() - new Date(consultation.created_at).getTime()) / 1000;
+    return Math.max(0, Math.floor(seconds));
+}
+
+function eventStatus(status: string): string {
+    if (CANCELLED_STATUSES.includes(status)) return 'CANCELLED';
+    return status === 'pending' ? 'TENTATIVE' : 'CONFIRMED';
+}
+
+function joinUrl(consultation: Consultation): string {
+    const path = consultation.meeting_url || `/consultations/video.html?id=${consultation.id}`;
+    return SITE_URL ? new URL(path, SITE_URL).href : path;
+}
+
+function personName(profile: Profile): string {
+    return profile?.display_name || profile?.full_name || '';
+}
+
+/**
+ * VEVENT lines for a consultation, from the point of view of the feed's owner
+ */
+function eventLines(consultation: Consultation, role: 'family' | 'doctor'): string[] {
+    const start = new Date(consultation.scheduled_at);
+    const end = new Date(start.getTime() + (consultation.duration_minutes || 30) * 60000);
+    const cancelled = CANCELLED_STATUSES.includes(consultation.status);
+
+    const doctorName = personName(consultation.doctor);
+    const attendee = role === 'doctor'
+        ? personName(consultation.patient) || 'patient'
+        : doctorName ? (doctorName.startsWith('Dr.') ? doctorName : `Dr. ${doctorName}`) : 'your doctor';
+    const summary = `${cancelled ? 'Cancelled: ' : ''}Consultation with ${attendee}`;
+
+    const description = [
+        consultation.reason ? `Reason: ${consultation.reason}` : '',
+        cancelled ? 'This consultation has been cancelled.' : `Join the video call: ${joinUrl(consultation)}`
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:consultation-${consultation.id}@cogno.care`,
+        `DTSTAMP:${formatDate(new Date())}`,
+        `DTSTART:${formatDate(start)}`,
+        `DTEND:${formatDate(end)}`,
+        `SEQUENCE:${sequence(consultation)}`,
+        `STATUS:${eventStatus(consultation.status)}`,
+        `SUMMARY:${escape(summary)}`,
+        `DESCRIPTION:${escape(description)}`
+    ];
+    if (!cancelled) lines.push('LOCATION:Cogno video call', `URL:${joinUrl(consultation)}`);
+    if (consultation.updated_at) lines.push(`LAST-MODIFIED:${formatDate(consultation.updated_at)}`);
+
+    // Reminder 15 minutes before, when the call can be joined
+    if (!cancelled) {
+        lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escape(summary)}`, 'TRIGGER:-PT15M', 'END:VALARM');
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+function buildCalendar(consultations: Consultation[], userId: string): string {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escape(CALENDAR_NAME)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H'
+    ];
+    consultations.forEach(consultation => {
+        lines.push(...eventLines(consultation, consultation.doctor_id === userId ? 'doctor' : 'family'));
+    });
+    lines.push('END:VCALENDAR');
+
+    return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+// =========================================================
+// FEED
+// =========================================================
+
+/**
+ * Consultations in a user's feed: upcoming ones, plus recent ones so
+ * reschedules and cancellations reach calendars that already have them
+ */
+async function loadConsultations(userId: string): Promise<Consultation[]> {
+    const since = new Date(Date.now() - FEED_PAST_DAYS * 86400000).toISOString();
+    const { data, error } = await supabase
+        .from('consultations')
+        .select(`
+            id, doctor_id, patient_id, scheduled_at, duration_minutes, status, reason,
+            meeting_url, created_at, updated_at,
+            doctor:doctor_id(full_name, display_name),
+            patient:patient_id(full_name, display_name)
+        `)
+        .or(`patient_id.eq.${userId},doctor_id.eq.${userId}`)
+        .gte('scheduled_at', since)
+        .order('scheduled_at');
+
+    if (error) throw error;
+    return (data || []) as unknown as Consultation[];
+}
+
+Deno.serve(async (req: Request) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return new Response('Method not allowed', { status: 405, headers: { Allow: 'GET, HEAD' } });
+    }
+
+    // Last path segment: <token>.ics
+    const token = new URL(req.url).pathname.split('/').pop()?.replace(/\.ics$/, '') ?? '';
+    if (!TOKEN_PATTERN.test(token)) return new Response('Not found', { status: 404 });
+
+    try {
+        const { data: feed, error } = await supabase
+            .from('calendar_feeds')
+            .select('user_id')
+            .eq('token', token)
+            .maybeSingle();
+        if (error) throw error;
+        if (!feed) return new Response('Not found', { status: 404 });
+
+        const ics = buildCalendar(await loadConsultations(feed.user_id), feed.user_id);
+        return new Response(req.method === 'HEAD' ? null : ics, {
+            headers: {
+                'Content-Type': 'text/calendar; charset=utf-8',
+                'Content-Disposition': 'inline; filename="cogno-consultations.ics"',
+                'Cache-Control': 'private, max-age=300'
+            }
+        });
+    } catch (error) {
+        console.error('calendar-feed: Failed to build feed:', error);
+        return new Response('Feed unavailable', { status: 500 });
+    }
+});
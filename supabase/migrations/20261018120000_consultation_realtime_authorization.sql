@@ -0,0 +1,47 @@
+-- =========================================================
+-- Consultation rooms: Realtime authorization
+-- js/realtime.js ConsultationRoom joins the private channel
+-- 'consultation:<consultations.id>'. Only the booked doctor and patient
+-- may receive or send its broadcasts (chat, status, WebRTC signals) and
+-- presence, so sender ids in payloads come from one of the two of them.
+-- =========================================================
+
+create or replace function public.is_consultation_participant(p_topic text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1
+        from public.consultations c
+        where p_topic = 'consultation:' || c.id::text
+          and auth.uid() in (c.doctor_id, c.patient_id)
+    );
+$$;
+
+revoke all on function public.is_consultation_participant(text) from public;
+grant execute on function public.is_consultation_participant(text) to authenticated;
+
+drop policy if exists "Consultation participants can receive" on realtime.messages;
+create policy "Consultation participants can receive"
+on realtime.messages
+for select
+to authenticated
+using (
+    realtime.messages.extension in ('broadcast', 'presence')
+    and realtime.topic() like 'consultation:%'
+    and public.is_consultation_participant(realtime.topic())
+);
+
+drop policy if exists "Consultation participants can send" on realtime.messages;
+create policy "Consultation participants can send"
+on realtime.messages
+for insert
+to authenticated
+with check (
+    realtime.messages.extension in ('broadcast', 'presence')
+    and realtime.topic() like 'consultation:%'
+    and public.is_consultation_participant(realtime.topic())
+);
@@ -0,0 +1,59 @@
+-- =========================================================
+-- Consultation booking conflicts
+-- js/availability.js books and reschedules with plain inserts and updates;
+-- the database refuses any that overlap another active consultation of the
+-- same doctor (SQLSTATE 23P01, shown to families as "That time has just been
+-- booked"). Families can't read other families' consultations under RLS,
+-- so slot lists get the doctor's busy times from get_doctor_busy_times().
+--
+-- Existing overlapping active consultations must be moved or cancelled
+-- before this migration runs, or adding the constraint fails.
+-- =========================================================
+
+create extension if not exists btree_gist;
+
+-- Time a consultation holds. Declared immutable for the index: the interval
+-- is whole minutes, which do not depend on the session timezone.
+create or replace function public.consultation_period(p_start timestamptz, p_minutes integer)
+returns tstzrange
+language sql
+immutable
+as $$
+    select tstzrange(p_start, p_start + make_interval(mins => coalesce(p_minutes, 30)), '[)');
+$$;
+
+alter table public.consultations
+    drop constraint if exists consultations_no_double_booking;
+
+alter table public.consultations
+    add constraint consultations_no_double_booking
+    exclude using gist (
+        doctor_id with =,
+        public.consultation_period(scheduled_at, duration_minutes) with &&
+    )
+    where (status in ('pending', 'confirmed', 'in_progress'));
+
+-- When a doctor is busy between two moments. Times only - never who booked.
+create or replace function public.get_doctor_busy_times(
+    p_doctor_id uuid,
+    p_from timestamptz,
+    p_to timestamptz,
+    p_exclude_id uuid default null
+)
+returns table (scheduled_at timestamptz, duration_minutes integer)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select c.scheduled_at, coalesce(c.duration_minutes, 30)
+    from public.consultations c
+    where c.doctor_id = p_doctor_id
+      and c.status in ('pending', 'confirmed', 'in_progress')
+      and (p_exclude_id is null or c.id <> p_exclude_id)
+      and public.consultation_period(c.scheduled_at, c.duration_minutes) && tstzrange(p_from, p_to, '[)')
+    order by c.scheduled_at;
+$$;
+
+revoke all on function public.get_doctor_busy_times(uuid, timestamptz, timestamptz, uuid) from public;
+grant execute on function public.get_doctor_busy_times(uuid, timestamptz, timestamptz, uuid) to authenticated;
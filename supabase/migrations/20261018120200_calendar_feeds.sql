@@ -0,0 +1,24 @@
+-- =========================================================
+-- Calendar feeds
+-- One secret token per user. js/calendar-export.js creates and resets it;
+-- supabase/functions/calendar-feed looks it up with the service role key
+-- and serves the user's consultations as <token>.ics.
+-- =========================================================
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.calendar_feeds (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    token text not null unique default encode(gen_random_bytes(24), 'hex'),
+    created_at timestamptz not null default now()
+);
+
+alter table public.calendar_feeds enable row level security;
+
+drop policy if exists "Users manage their own calendar feed" on public.calendar_feeds;
+create policy "Users manage their own calendar feed"
+on public.calendar_feeds
+for all
+to authenticated
+using (user_id = auth.uid())
+with check (user_id = auth.uid());
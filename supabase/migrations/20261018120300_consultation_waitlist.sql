@@ -0,0 +1,366 @@
+-- =========================================================
+-- Consultation waitlist
+-- Families add and read their own consultation_waitlist rows
+-- (js/waitlist.js). Everything that touches other families' rows runs here:
+-- cancelling a consultation offers the freed slot to the family that has
+-- waited longest, lapsed offers are passed on every few minutes by pg_cron,
+-- and claiming, declining and leaving go through the RPCs at the bottom.
+-- Offer tokens never leave the database except to the family they were
+-- sent to.
+-- =========================================================
+
+create extension if not exists pgcrypto;
+create extension if not exists pg_cron;
+
+create table if not exists public.consultation_waitlist (
+    id uuid primary key default gen_random_uuid(),
+    family_id uuid not null references auth.users (id) on delete cascade,
+    doctor_id uuid references auth.users (id) on delete cascade,
+    date_from date not null,
+    date_to date not null,
+    timezone text not null default 'UTC',
+    status text not null default 'waiting'
+        check (status in ('waiting', 'offered', 'booked', 'expired', 'cancelled')),
+    offer_token text unique,
+    offer_slot jsonb,
+    offer_expires_at timestamptz,
+    consultation_id uuid references public.consultations (id) on delete set null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    check (date_to >= date_from)
+);
+
+create index if not exists consultation_waitlist_waiting_idx
+    on public.consultation_waitlist (created_at)
+    where status = 'waiting';
+
+alter table public.consultation_waitlist enable row level security;
+
+drop policy if exists "Families read their own waitlist entries" on public.consultation_waitlist;
+create policy "Families read their own waitlist entries"
+on public.consultation_waitlist
+for select
+to authenticated
+using (family_id = auth.uid());
+
+-- New entries only; offers, claims and leaving are handled by the functions below
+drop policy if exists "Families join the waitlist" on public.consultation_waitlist;
+create policy "Families join the waitlist"
+on public.consultation_waitlist
+for insert
+to authenticated
+with check (
+    family_id = auth.uid()
+    and status = 'waiting'
+    and offer_token is null
+    and offer_slot is null
+    and offer_expires_at is null
+    and consultation_id is null
+);
+
+-- =========================================================
+-- OFFERS
+-- =========================================================
+
+-- Offer a slot to the longest-waiting family it suits, skipping families in
+-- p_passed. Returns the entry it was offered to, or null if nobody can take it.
+create or replace function public.offer_waitlist_slot(
+    p_doctor_id uuid,
+    p_start timestamptz,
+    p_minutes integer,
+    p_cancelled_id uuid,
+    p_passed uuid[]
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    -- Slots starting sooner than this are not offered, and offers close this long before the slot
+    v_closes timestamptz := p_start - interval '30 minutes';
+    -- How long a family has to claim an offered slot
+    v_expires timestamptz := least(now() + interval '120 minutes', p_start - interval '30 minutes');
+    v_entry public.consultation_waitlist;
+    v_doctor text;
+    v_zone text;
+begin
+    if v_closes <= now() then
+        return null;
+    end if;
+
+    -- Still free? Someone may have booked it since it was cancelled
+    if exists (
+        select 1
+        from public.consultations c
+        where c.doctor_id = p_doctor_id
+          and c.status in ('pending', 'confirmed', 'in_progress')
+          and public.consultation_period(c.scheduled_at, c.duration_minutes)
+              && public.consultation_period(p_start, p_minutes)
+    ) then
+        return null;
+    end if;
+
+    -- Entries store dates in the family's timezone
+    select w.* into v_entry
+    from public.consultation_waitlist w
+    where w.status = 'waiting'
+      and (w.doctor_id = p_doctor_id or w.doctor_id is null)
+      and not (w.family_id = any (coalesce(p_passed, '{}')))
+      and (p_start at time zone w.timezone)::date between w.date_from and w.date_to
+    order by w.created_at
+    limit 1
+    for update skip locked;
+
+    if not found then
+        return null;
+    end if;
+
+    update public.consultation_waitlist
+    set status = 'offered',
+        offer_token = encode(gen_random_bytes(24), 'hex'),
+        offer_slot = jsonb_build_object(
+            'doctor_id', p_doctor_id,
+            'start', p_start,
+            'duration_minutes', p_minutes,
+            'cancelled_id', p_cancelled_id,
+            'passed', to_jsonb(array_append(coalesce(p_passed, '{}'), v_entry.family_id))
+        ),
+        offer_expires_at = v_expires,
+        updated_at = now()
+    where id = v_entry.id
+    returning * into v_entry;
+
+    select coalesce(nullif(p.display_name, ''), nullif(p.full_name, '')) into v_doctor
+    from public.profiles p
+    where p.id = p_doctor_id;
+    v_doctor := case
+        when v_doctor is null then 'A doctor'
+        when v_doctor like 'Dr.%' then v_doctor
+        else 'Dr. ' || v_doctor
+    end;
+    v_zone := v_entry.timezone;
+
+    insert into public.notifications (user_id, title, message, notification_type, action_url)
+    values (
+        v_entry.family_id,
+        'A consultation slot opened up',
+        format(
+            '%s has a free slot on %s. Claim it by %s, after that it goes to the next family on the waitlist.',
+            v_doctor,
+            to_char(p_start at time zone v_zone, 'Dy, Mon FMDD, FMHH12:MI AM'),
+            to_char(v_expires at time zone v_zone, 'FMHH12:MI AM')
+        ),
+        'waitlist_offer',
+        '/consultations/?claim=' || v_entry.offer_token
+    );
+
+    return v_entry.id;
+end;
+$$;
+
+-- Offer an entry's slot to the next family
+create or replace function public.pass_on_waitlist_offer(p_slot jsonb)
+returns uuid
+language sql
+security definer
+set search_path = public
+as $$
+    select public.offer_waitlist_slot(
+        (p_slot ->> 'doctor_id')::uuid,
+        (p_slot ->> 'start')::timestamptz,
+        (p_slot ->> 'duration_minutes')::integer,
+        (p_slot ->> 'cancelled_id')::uuid,
+        array(select jsonb_array_elements_text(coalesce(p_slot -> 'passed', '[]'::jsonb))::uuid)
+    );
+$$;
+
+-- Offer a cancelled consultation's time, never back to the family that cancelled
+create or replace function public.offer_cancelled_consultation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    perform public.offer_waitlist_slot(
+        new.doctor_id,
+        new.scheduled_at,
+        coalesce(new.duration_minutes, 30),
+        new.id,
+        array[new.patient_id]
+    );
+    return null;
+end;
+$$;
+
+drop trigger if exists consultations_offer_to_waitlist on public.consultations;
+create trigger consultations_offer_to_waitlist
+    after update of status on public.consultations
+    for each row
+    when (new.status = 'cancelled' and old.status is distinct from 'cancelled')
+    execute function public.offer_cancelled_consultation();
+
+-- Move lapsed offers on and close entries whose dates have passed
+create or replace function public.process_waitlist_offers()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_slot jsonb;
+begin
+    -- The family keeps its place for the next slot
+    for v_slot in
+        update public.consultation_waitlist
+        set status = 'waiting', offer_token = null, offer_expires_at = null, updated_at = now()
+        where status = 'offered' and offer_expires_at < now()
+        returning offer_slot
+    loop
+        perform public.pass_on_waitlist_offer(v_slot);
+    end loop;
+
+    update public.consultation_waitlist
+    set status = 'expired', updated_at = now()
+    where status = 'waiting'
+      and date_to < (now() at time zone timezone)::date;
+end;
+$$;
+
+revoke all on function public.offer_waitlist_slot(uuid, timestamptz, integer, uuid, uuid[]) from public;
+revoke all on function public.pass_on_waitlist_offer(jsonb) from public;
+revoke all on function public.offer_cancelled_consultation() from public;
+revoke all on function public.process_waitlist_offers() from public;
+
+select cron.unschedule(jobid) from cron.job where jobname = 'process-waitlist-offers';
+select cron.schedule('process-waitlist-offers', '*/5 * * * *', 'select public.process_waitlist_offers()');
+
+-- =========================================================
+-- FAMILY ACTIONS
+-- =========================================================
+
+-- Book the caller's offered slot. Returns no row when the slot was taken in
+-- the meantime; the family then keeps waiting for the next one.
+create or replace function public.claim_waitlist_offer(p_token text, p_reason text default null)
+returns setof public.consultations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_entry public.consultation_waitlist;
+    v_consultation public.consultations;
+    v_meeting_id text;
+begin
+    select * into v_entry
+    from public.consultation_waitlist
+    where offer_token = p_token
+      and family_id = auth.uid()
+      and status = 'offered'
+      and offer_expires_at > now()
+    for update;
+
+    if not found then
+        raise exception 'This offer has expired or was already used.' using errcode = 'P0002';
+    end if;
+
+    if exists (
+        select 1
+        from public.consultations c
+        where c.doctor_id = (v_entry.offer_slot ->> 'doctor_id')::uuid
+          and c.status in ('pending', 'confirmed', 'in_progress')
+          and public.consultation_period(c.scheduled_at, c.duration_minutes)
+              && public.consultation_period((v_entry.offer_slot ->> 'start')::timestamptz, (v_entry.offer_slot ->> 'duration_minutes')::integer)
+    ) then
+        update public.consultation_waitlist
+        set status = 'waiting', offer_token = null, offer_expires_at = null, updated_at = now()
+        where id = v_entry.id;
+        return;
+    end if;
+
+    -- The slot was someone's booking a moment ago, so the doctor's current hours are not rechecked
+    v_meeting_id := 'cogno-' || (extract(epoch from now()) * 1000)::bigint || '-' || substr(encode(gen_random_bytes(6), 'hex'), 1, 9);
+    insert into public.consultations (
+        patient_id, doctor_id, scheduled_at, duration_minutes, reason, meeting_id, meeting_url, status
+    )
+    values (
+        v_entry.family_id,
+        (v_entry.offer_slot ->> 'doctor_id')::uuid,
+        (v_entry.offer_slot ->> 'start')::timestamptz,
+        (v_entry.offer_slot ->> 'duration_minutes')::integer,
+        coalesce(nullif(trim(p_reason), ''), 'Booked from the waitlist'),
+        v_meeting_id,
+        '/consultations/video.html?room=' || v_meeting_id,
+        'pending'
+    )
+    returning * into v_consultation;
+
+    update public.consultation_waitlist
+    set status = 'booked', offer_token = null, consultation_id = v_consultation.id, updated_at = now()
+    where id = v_entry.id;
+
+    return next v_consultation;
+end;
+$$;
+
+-- Turn the caller's offer down; the family stays on the waitlist
+create or replace function public.decline_waitlist_offer(p_token text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_slot jsonb;
+begin
+    update public.consultation_waitlist
+    set status = 'waiting', offer_token = null, offer_expires_at = null, updated_at = now()
+    where offer_token = p_token
+      and family_id = auth.uid()
+      and status = 'offered'
+    returning offer_slot into v_slot;
+
+    if found then
+        perform public.pass_on_waitlist_offer(v_slot);
+    end if;
+end;
+$$;
+
+-- Leave the waitlist. An open offer is passed on to the next family.
+create or replace function public.leave_waitlist(p_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_entry public.consultation_waitlist;
+begin
+    select * into v_entry
+    from public.consultation_waitlist
+    where id = p_id
+      and family_id = auth.uid()
+      and status in ('waiting', 'offered')
+    for update;
+
+    if not found then
+        return;
+    end if;
+
+    update public.consultation_waitlist
+    set status = 'cancelled', offer_token = null, updated_at = now()
+    where id = p_id;
+
+    if v_entry.status = 'offered' and v_entry.offer_expires_at > now() then
+        perform public.pass_on_waitlist_offer(v_entry.offer_slot);
+    end if;
+end;
+$$;
+
+revoke all on function public.claim_waitlist_offer(text, text) from public;
+revoke all on function public.decline_waitlist_offer(text) from public;
+revoke all on function public.leave_waitlist(uuid) from public;
+grant execute on function public.claim_waitlist_offer(text, text) to authenticated;
+grant execute on function public.decline_waitlist_offer(text) to authenticated;
+grant execute on function public.leave_waitlist(uuid) to authenticated;
@@ -0,0 +1,51 @@
+-- =========================================================
+-- Review items
+-- One row per child, deck and word for the Leitner-box scheduler in
+-- js/spaced-repetition.js. Answers are upserted on (student_id, deck, item);
+-- the child writes their own rows and the doctors they are assigned to can
+-- read them.
+-- =========================================================
+
+create table if not exists public.review_items (
+    id uuid primary key default gen_random_uuid(),
+    student_id uuid not null references auth.users (id) on delete cascade,
+    deck text not null,
+    item text not null,
+    box smallint not null default 1 check (box between 1 and 5),
+    due_date date not null default current_date,
+    correct_count integer not null default 0,
+    attempt_count integer not null default 0,
+    last_result text check (last_result in ('correct', 'hinted', 'incorrect')),
+    last_reviewed_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (student_id, deck, item)
+);
+
+create index if not exists review_items_due_idx
+    on public.review_items (student_id, due_date);
+
+alter table public.review_items enable row level security;
+
+drop policy if exists "Children manage their own review items" on public.review_items;
+create policy "Children manage their own review items"
+on public.review_items
+for all
+to authenticated
+using (student_id = auth.uid())
+with check (student_id = auth.uid());
+
+drop policy if exists "Doctors read their patients' review items" on public.review_items;
+create policy "Doctors read their patients' review items"
+on public.review_items
+for select
+to authenticated
+using (
+    exists (
+        select 1
+        from public.doctor_patients dp
+        where dp.doctor_id = auth.uid()
+          and dp.patient_id = review_items.student_id
+          and dp.status = 'active'
+    )
+);
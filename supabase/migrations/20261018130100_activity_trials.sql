@@ -0,0 +1,61 @@
+-- =========================================================
+-- Activity trials
+-- One row per item answered in a session, written by
+-- CognoTracker.saveTrials. A session is replayed from the outbox with the
+-- same session_key, so (session_key, trial_index) is unique and repeats
+-- are ignored. Children insert their own trials; assigned doctors read
+-- them for error patterns and handwriting replay.
+-- =========================================================
+
+create table if not exists public.activity_trials (
+    id uuid primary key default gen_random_uuid(),
+    student_id uuid not null references auth.users (id) on delete cascade,
+    module_type text not null,
+    activity_id text not null,
+    session_key text not null,
+    trial_index integer not null,
+    prompt text,
+    expected text,
+    response text,
+    correct boolean not null default false,
+    latency_ms integer,
+    hints_used integer not null default 0,
+    difficulty_level text,
+    meta jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now(),
+    unique (session_key, trial_index)
+);
+
+create index if not exists activity_trials_student_idx
+    on public.activity_trials (student_id, module_type, created_at);
+
+alter table public.activity_trials enable row level security;
+
+drop policy if exists "Children read their own trials" on public.activity_trials;
+create policy "Children read their own trials"
+on public.activity_trials
+for select
+to authenticated
+using (student_id = auth.uid());
+
+drop policy if exists "Children record their own trials" on public.activity_trials;
+create policy "Children record their own trials"
+on public.activity_trials
+for insert
+to authenticated
+with check (student_id = auth.uid());
+
+drop policy if exists "Doctors read their patients' trials" on public.activity_trials;
+create policy "Doctors read their patients' trials"
+on public.activity_trials
+for select
+to authenticated
+using (
+    exists (
+        select 1
+        from public.doctor_patients dp
+        where dp.doctor_id = auth.uid()
+          and dp.patient_id = activity_trials.student_id
+          and dp.status = 'active'
+    )
+);
@@ -0,0 +1,55 @@
+-- =========================================================
+-- Content packs
+-- Doctor-authored word lists and number ranges that replace an activity's
+-- built-in content for one patient (js/content-packs.js). Saving upserts on
+-- (patient_id, module_type, activity_id), so each activity has at most one
+-- pack per patient. Assigned doctors manage the packs; the patient reads
+-- their own.
+-- =========================================================
+
+create table if not exists public.content_packs (
+    id uuid primary key default gen_random_uuid(),
+    patient_id uuid not null references auth.users (id) on delete cascade,
+    doctor_id uuid references auth.users (id) on delete set null,
+    module_type text not null,
+    activity_id text not null,
+    title text,
+    content jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (patient_id, module_type, activity_id)
+);
+
+alter table public.content_packs enable row level security;
+
+drop policy if exists "Patients read their own content packs" on public.content_packs;
+create policy "Patients read their own content packs"
+on public.content_packs
+for select
+to authenticated
+using (patient_id = auth.uid());
+
+drop policy if exists "Doctors manage their patients' content packs" on public.content_packs;
+create policy "Doctors manage their patients' content packs"
+on public.content_packs
+for all
+to authenticated
+using (
+    exists (
+        select 1
+        from public.doctor_patients dp
+        where dp.doctor_id = auth.uid()
+          and dp.patient_id = content_packs.patient_id
+          and dp.status = 'active'
+    )
+)
+with check (
+    doctor_id = auth.uid()
+    and exists (
+        select 1
+        from public.doctor_patients dp
+        where dp.doctor_id = auth.uid()
+          and dp.patient_id = content_packs.patient_id
+          and dp.status = 'active'
+    )
+);
@@ -0,0 +1,10 @@
+-- =========================================================
+-- Profile timezone
+-- IANA timezone chosen on the settings page. Streaks count a child's days
+-- in it for every viewer, and a doctor's weekly hours are read in it when
+-- the schedule has none. Null until the user picks one; the app then falls
+-- back to the viewer's browser timezone.
+-- =========================================================
+
+alter table public.profiles
+    add column if not exists timezone text;
@@ -0,0 +1,24 @@
+-- =========================================================
+-- Achievement rules
+-- js/achievements.js writes each badge once with an upsert on
+-- (user_id, achievement_id) and records the streak freeze tokens it awards,
+-- which js/streaks.js spends on missed days. Rows from before this stay
+-- null so js/streaks.js can fall back to its own table of rewards.
+-- Duplicate rows from before the key existed are removed, keeping the
+-- earliest unlock.
+-- =========================================================
+
+alter table public.user_achievements
+    add column if not exists streak_freezes integer;
+
+delete from public.user_achievements ua
+using public.user_achievements earlier
+where ua.user_id = earlier.user_id
+  and ua.achievement_id = earlier.achievement_id
+  and (coalesce(ua.unlocked_at, 'infinity'), ua.id::text) > (coalesce(earlier.unlocked_at, 'infinity'), earlier.id::text);
+
+alter table public.user_achievements
+    drop constraint if exists user_achievements_user_id_achievement_id_key;
+
+alter table public.user_achievements
+    add constraint user_achievements_user_id_achievement_id_key unique (user_id, achievement_id);
@@ -0,0 +1,9 @@
+-- =========================================================
+-- Voice profile
+-- Text-to-speech voice, rate, pitch and volume chosen on the settings page
+-- or from the reader controls (js/tts.js, TTSProfile). Stored per user so
+-- the same voice is used on every device; null until the user changes it.
+-- =========================================================
+
+alter table public.profiles
+    add column if not exists tts_settings jsonb;
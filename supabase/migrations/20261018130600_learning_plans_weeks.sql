@@ -0,0 +1,14 @@
+-- =========================================================
+-- Learning plan weeks
+-- Multi-week plans built on doctor/recommendations.html (see
+-- js/learning-plans.js). Plans saved before this stay null in both
+-- columns: their week 1 starts on created_at and the page shows their
+-- flat activities list.
+-- =========================================================
+
+alter table public.learning_plans
+    add column if not exists start_date date;
+
+-- [{ week: 1, goals: [{ moduleId, activityId, sessions, targetAccuracy }] }]
+alter table public.learning_plans
+    add column if not exists weeks jsonb;
@@ -0,0 +1,37 @@
+-- =========================================================
+-- Doctor availability
+-- One row per doctor with the weekly hours, breaks and vacation blocks
+-- that js/availability.js turns into booking slots. Saved with an upsert
+-- on doctor_id. Unset columns stay null and the app uses its defaults.
+-- Families read every doctor's row to see free slots; only the doctor
+-- writes theirs.
+-- =========================================================
+
+create table if not exists public.doctor_availability (
+    doctor_id uuid primary key references auth.users (id) on delete cascade,
+    timezone text,
+    slot_minutes integer check (slot_minutes > 0),
+    min_notice_minutes integer check (min_notice_minutes >= 0),
+    weekly_hours jsonb,
+    breaks jsonb,
+    blocked_dates jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+alter table public.doctor_availability enable row level security;
+
+drop policy if exists "Doctors manage their own availability" on public.doctor_availability;
+create policy "Doctors manage their own availability"
+on public.doctor_availability
+for all
+to authenticated
+using (doctor_id = auth.uid())
+with check (doctor_id = auth.uid());
+
+drop policy if exists "Signed-in users read doctor availability" on public.doctor_availability;
+create policy "Signed-in users read doctor availability"
+on public.doctor_availability
+for select
+to authenticated
+using (true);